@@ -0,0 +1,26 @@
+// Upload limits and accepted types. Types are checked against the sniffed
+// content (see utils/mime), not the client's declared type.
+require('dotenv').config();
+
+const ATTACHMENT_CONFIG = {
+  maxSizeBytes: parseInt(process.env.ATTACHMENT_MAX_SIZE || 10) * 1024 * 1024,
+  maxPerMessage: 10,
+  allowedTypes: [
+    'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+    'video/mp4', 'video/webm', 'video/quicktime',
+    'audio/mpeg', 'audio/ogg', 'audio/wav',
+    'application/pdf', 'application/zip', 'text/plain'
+  ],
+  thumbnailTypes: ['image/png', 'image/jpeg', 'image/gif', 'image/webp'],
+  thumbnailSize: 320,
+  // Signed download links, for clients that can't send an Authorization header (e.g. <img>)
+  urlTtlSeconds: 5 * 60,
+  // Uploads never sent with a message are removed after this long
+  unclaimedTtlHours: 24,
+  sweepEveryMs: 60 * 60 * 1000,
+  batchSize: 100
+};
+
+module.exports = {
+  ATTACHMENT_CONFIG
+};
\ No newline at end of file
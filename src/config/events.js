@@ -0,0 +1,23 @@
+// State changes every transport must hear about. Each payload carries roomId;
+// member events also carry the affected userId and walletAddress.
+const DOMAIN_EVENTS = {
+  MESSAGE_CREATED: 'message_created',
+  MESSAGE_UPDATED: 'message_updated',
+  MESSAGE_DELETED: 'message_deleted',
+  MESSAGE_PREVIEW_READY: 'message_preview_ready',
+  MESSAGE_PINNED: 'message_pinned',
+  MESSAGE_UNPINNED: 'message_unpinned',
+  REACTION_ADDED: 'reaction_added',
+  REACTION_REMOVED: 'reaction_removed',
+  MEMBER_JOINED: 'member_joined',
+  MEMBER_APPROVED: 'member_approved',
+  MEMBER_REJECTED: 'member_rejected',
+  MEMBER_REMOVED: 'member_removed',
+  MEMBER_LEFT: 'member_left',
+  ROOM_UPDATED: 'room_updated',
+  ROOM_DELETED: 'room_deleted'
+};
+
+module.exports = {
+  DOMAIN_EVENTS
+};
\ No newline at end of file
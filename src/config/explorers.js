@@ -0,0 +1,41 @@
+// Block explorers whose transaction and address pages are previewed from
+// chain data (through ChainService) instead of the page itself. Chains need
+// an RPC_URL_<chainId> (or RPC_URL) for the summary to include chain data.
+const EXPLORERS = {
+  'etherscan.io': { chainId: 1, name: 'Etherscan', symbol: 'ETH' },
+  'sepolia.etherscan.io': { chainId: 11155111, name: 'Etherscan (Sepolia)', symbol: 'ETH' },
+  'optimistic.etherscan.io': { chainId: 10, name: 'Optimism Explorer', symbol: 'ETH' },
+  'arbiscan.io': { chainId: 42161, name: 'Arbiscan', symbol: 'ETH' },
+  'basescan.org': { chainId: 8453, name: 'BaseScan', symbol: 'ETH' },
+  'polygonscan.com': { chainId: 137, name: 'PolygonScan', symbol: 'POL' },
+  'bscscan.com': { chainId: 56, name: 'BscScan', symbol: 'BNB' }
+};
+
+const TX_PATH_REGEX = /^\/tx\/(0x[0-9a-fA-F]{64})\/?$/;
+const ADDRESS_PATH_REGEX = /^\/address\/(0x[0-9a-fA-F]{40})\/?$/;
+
+// { explorer, type: 'transaction' | 'address', value } for explorer URLs, otherwise null
+const matchExplorerUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const explorer = EXPLORERS[parsed.hostname.replace(/^www\./, '')];
+  if (!explorer) return null;
+
+  const tx = parsed.pathname.match(TX_PATH_REGEX);
+  if (tx) return { explorer, type: 'transaction', value: tx[1].toLowerCase() };
+
+  const address = parsed.pathname.match(ADDRESS_PATH_REGEX);
+  if (address) return { explorer, type: 'address', value: address[1].toLowerCase() };
+
+  return null;
+};
+
+module.exports = {
+  EXPLORERS,
+  matchExplorerUrl
+};
\ No newline at end of file
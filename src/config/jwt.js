@@ -1,14 +1,17 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 const JWT_CONFIG = {
   secret: process.env.JWT_SECRET,
-  expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || 30)
 };
 
-const generateToken = (walletAddress) => {
+// Access tokens carry the session (token family) id so they can be revoked server-side
+const generateToken = (walletAddress, sessionId) => {
   return jwt.sign(
-    { walletAddress },
+    { walletAddress, sid: sessionId },
     JWT_CONFIG.secret,
     { expiresIn: JWT_CONFIG.expiresIn }
   );
@@ -22,8 +25,15 @@ const verifyToken = (token) => {
   }
 };
 
+// Refresh tokens are opaque random strings; only their hash is stored
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 module.exports = {
   generateToken,
   verifyToken,
+  generateRefreshToken,
+  hashRefreshToken,
   JWT_CONFIG
 };
\ No newline at end of file
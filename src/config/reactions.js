@@ -0,0 +1,63 @@
+// Reactions are either a single emoji (stored as the emoji itself) or a
+// shortcode name: a built-in one below, which is stored as its emoji, or a
+// custom one defined by the room (room_reactions table). Shortcodes may be
+// written with or without colons.
+const BUILT_IN_REACTIONS = {
+  like: '👍',
+  heart: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  sad: '😢',
+  fire: '🔥',
+  rocket: '🚀',
+  eyes: '👀'
+};
+
+const SHORTCODE_REGEX = /^[a-z0-9_+-]{1,32}$/;
+const EMOJI_REGEX = /^\p{RGI_Emoji}$/v;
+
+const MAX_ALLOWED_REACTIONS = 50;
+const MAX_CUSTOM_REACTIONS = 100;
+
+// Canonical form of a reaction, or null if it is neither an emoji nor a
+// well-formed shortcode. Bare symbols like "❤" get the emoji presentation
+// selector, and built-in shortcodes become their emoji.
+const normalizeReaction = (input) => {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const value = input.trim();
+
+  if (EMOJI_REGEX.test(value)) {
+    return { key: value, kind: 'emoji' };
+  }
+
+  if (EMOJI_REGEX.test(`${value}\uFE0F`)) {
+    return { key: `${value}\uFE0F`, kind: 'emoji' };
+  }
+
+  const name = value.replace(/^:(.*):$/, '$1').toLowerCase();
+  if (Object.hasOwn(BUILT_IN_REACTIONS, name)) {
+    return { key: BUILT_IN_REACTIONS[name], kind: 'emoji' };
+  }
+
+  if (SHORTCODE_REGEX.test(name)) {
+    return { key: name, kind: 'shortcode' };
+  }
+
+  return null;
+};
+
+// Built-in shortcode for an emoji key (the name pre-reaction clients used), else the key
+const toShortcode = (key) =>
+  Object.keys(BUILT_IN_REACTIONS).find(name => BUILT_IN_REACTIONS[name] === key) || key;
+
+module.exports = {
+  BUILT_IN_REACTIONS,
+  SHORTCODE_REGEX,
+  MAX_ALLOWED_REACTIONS,
+  MAX_CUSTOM_REACTIONS,
+  normalizeReaction,
+  toShortcode
+};
\ No newline at end of file
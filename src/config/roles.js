@@ -0,0 +1,73 @@
+// Room permission matrix. Built-in roles are fixed here; rooms may add custom
+// roles (room_roles table) with any subset of PERMISSIONS except the owner-only
+// ones, and a rank in 1-99.
+const PERMISSIONS = [
+  'send_messages',
+  'invite',
+  'approve_requests',
+  'remove_members',
+  'delete_messages',
+  'pin_messages',
+  'mention_everyone',
+  'edit_room',
+  'manage_roles',
+  'delete_room'
+];
+
+// Held by the owner alone, whatever other roles are granted
+const OWNER_ONLY_PERMISSIONS = ['delete_room'];
+
+const BUILT_IN_ROLES = {
+  owner: {
+    rank: 100,
+    permissions: PERMISSIONS
+  },
+  admin: {
+    rank: 80,
+    permissions: PERMISSIONS.filter(permission => !OWNER_ONLY_PERMISSIONS.includes(permission))
+  },
+  moderator: {
+    rank: 50,
+    permissions: ['send_messages', 'invite', 'approve_requests', 'remove_members', 'delete_messages', 'pin_messages', 'mention_everyone']
+  },
+  member: {
+    rank: 10,
+    permissions: ['send_messages']
+  },
+  read_only: {
+    rank: 0,
+    permissions: []
+  }
+};
+
+// Roles that map to the legacy is_admin flag
+const ADMIN_ROLES = ['owner', 'admin'];
+
+// Resolve a room_members row (optionally joined with room_roles as
+// custom_permissions / custom_rank) to its effective rank and permissions
+const resolveRole = (member) => {
+  const builtIn = BUILT_IN_ROLES[member.role];
+
+  if (builtIn) {
+    return { role: member.role, rank: builtIn.rank, permissions: builtIn.permissions };
+  }
+
+  if (member.custom_permissions) {
+    const permissions = member.custom_permissions.filter(permission => !OWNER_ONLY_PERMISSIONS.includes(permission));
+    return { role: member.role, rank: member.custom_rank, permissions };
+  }
+
+  // Custom role was deleted: fall back to plain member
+  return { role: 'member', rank: BUILT_IN_ROLES.member.rank, permissions: BUILT_IN_ROLES.member.permissions };
+};
+
+const hasPermission = (member, permission) => resolveRole(member).permissions.includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  OWNER_ONLY_PERMISSIONS,
+  BUILT_IN_ROLES,
+  ADMIN_ROLES,
+  resolveRole,
+  hasPermission
+};
\ No newline at end of file
@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+require('dotenv').config();
+
+const SIWE_CONFIG = {
+  // Domains (host[:port]) the frontend is served from; required
+  domains: process.env.SIWE_DOMAIN ? process.env.SIWE_DOMAIN.split(',').map(d => d.trim()) : [],
+  uri: process.env.SIWE_URI,
+  chainIds: (process.env.SIWE_CHAIN_IDS || '1').split(',').map(id => parseInt(id)),
+  statement: process.env.SIGNING_MESSAGE,
+  nonceTtlMinutes: parseInt(process.env.SIWE_NONCE_TTL || 10),
+  clockSkewMs: 60 * 1000
+};
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+const FIELD_LABELS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+// EIP-4361 nonces must be at least 8 alphanumeric characters
+const generateNonce = () => crypto.randomBytes(16).toString('hex');
+
+const buildSiweMessage = ({
+  domain,
+  address,
+  statement,
+  uri,
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime
+}) => {
+  const lines = [
+    `${domain}${HEADER_SUFFIX}`,
+    ethers.getAddress(address),
+    ''
+  ];
+
+  if (statement) {
+    lines.push(statement);
+  }
+
+  lines.push(
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  );
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${expirationTime}`);
+  }
+
+  return lines.join('\n');
+};
+
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    throw new Error('SIWE message must be a string');
+  }
+
+  const lines = message.split('\n');
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) {
+    throw new Error('Invalid SIWE message header');
+  }
+
+  const origin = lines[0].slice(0, -HEADER_SUFFIX.length);
+  const schemeMatch = origin.match(/^([a-zA-Z][a-zA-Z0-9+\-.]*):\/\/(.+)$/);
+  const fields = {
+    scheme: schemeMatch ? schemeMatch[1] : null,
+    domain: schemeMatch ? schemeMatch[2] : origin,
+    address: lines[1],
+    statement: null,
+    resources: []
+  };
+
+  if (!fields.domain || /\s/.test(fields.domain)) {
+    throw new Error('Invalid SIWE domain');
+  }
+
+  if (!fields.address || !ethers.isAddress(fields.address) || ethers.getAddress(fields.address) !== fields.address) {
+    throw new Error('SIWE address must be an EIP-55 checksummed address');
+  }
+
+  if (lines[2] !== '') {
+    throw new Error('Malformed SIWE message');
+  }
+
+  // Statement is optional: either "\n\n" or "\n<statement>\n\n" follows the address
+  let i = 3;
+  if (lines[i] !== '') {
+    fields.statement = lines[i];
+    i++;
+    if (lines[i] !== '') {
+      throw new Error('Malformed SIWE message');
+    }
+  }
+  i++;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line === 'Resources:') {
+      fields.resources = lines.slice(i + 1).map(resource => {
+        if (!resource.startsWith('- ')) {
+          throw new Error('Malformed SIWE resources');
+        }
+        return resource.slice(2);
+      });
+      break;
+    }
+
+    const separator = line.indexOf(': ');
+    const key = FIELD_LABELS[line.slice(0, separator)];
+
+    if (separator === -1 || !key || fields[key] !== undefined) {
+      throw new Error(`Unexpected SIWE field: ${line}`);
+    }
+
+    fields[key] = line.slice(separator + 2);
+  }
+
+  for (const required of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+    if (!fields[required]) {
+      throw new Error(`SIWE message missing ${required}`);
+    }
+  }
+
+  fields.chainId = parseInt(fields.chainId);
+  return fields;
+};
+
+const parseTimestamp = (value, field) => {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid SIWE ${field}`);
+  }
+  return time;
+};
+
+// Checks everything that can be checked without the signature or the nonce store
+const validateSiweMessage = (fields, { domains, chainIds = SIWE_CONFIG.chainIds, now = Date.now() }) => {
+  if (fields.version !== '1') {
+    throw new Error('Unsupported SIWE version');
+  }
+
+  if (!domains.includes(fields.domain)) {
+    throw new Error('SIWE domain mismatch');
+  }
+
+  try {
+    new URL(fields.uri);
+  } catch (error) {
+    throw new Error('Invalid SIWE URI');
+  }
+
+  if (!chainIds.includes(fields.chainId)) {
+    throw new Error('Unsupported chain ID');
+  }
+
+  if (!/^[a-zA-Z0-9]{8,}$/.test(fields.nonce)) {
+    throw new Error('Invalid SIWE nonce');
+  }
+
+  if (parseTimestamp(fields.issuedAt, 'issued at') > now + SIWE_CONFIG.clockSkewMs) {
+    throw new Error('SIWE message issued in the future');
+  }
+
+  if (fields.expirationTime && parseTimestamp(fields.expirationTime, 'expiration time') <= now) {
+    throw new Error('SIWE message expired');
+  }
+
+  if (fields.notBefore && parseTimestamp(fields.notBefore, 'not before') > now + SIWE_CONFIG.clockSkewMs) {
+    throw new Error('SIWE message not yet valid');
+  }
+
+  return true;
+};
+
+// Domains accepted in SIWE messages. Never derived from the request: the Host
+// header is client-controlled, so a proxying site could get valid signatures.
+const getExpectedDomains = () => SIWE_CONFIG.domains;
+
+// Called at startup; sign-in cannot be domain-bound without SIWE_DOMAIN
+const assertSiweConfigured = () => {
+  if (SIWE_CONFIG.domains.length === 0) {
+    throw new Error('SIWE_DOMAIN must list the domain(s) the frontend is served from');
+  }
+};
+
+module.exports = {
+  SIWE_CONFIG,
+  generateNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweMessage,
+  getExpectedDomains,
+  assertSiweConfigured
+};
\ No newline at end of file
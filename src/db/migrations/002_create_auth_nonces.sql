@@ -0,0 +1,13 @@
+-- Sign-In with Ethereum (EIP-4361) nonces: short-lived and single-use
+CREATE TABLE IF NOT EXISTS auth_nonces (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    nonce VARCHAR(64) UNIQUE NOT NULL,
+    wallet_address VARCHAR(42) NOT NULL,
+    chain_id INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_wallet ON auth_nonces(wallet_address);
+CREATE INDEX IF NOT EXISTS idx_auth_nonces_expires ON auth_nonces(expires_at);
\ No newline at end of file
@@ -0,0 +1,7 @@
+-- User profiles: self-managed fields plus cached ENS reverse resolution
+ALTER TABLE users ADD COLUMN IF NOT EXISTS display_name VARCHAR(50);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS bio VARCHAR(500);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url VARCHAR(500);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ens_name VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ens_avatar VARCHAR(500);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS ens_resolved_at TIMESTAMP WITH TIME ZONE;
\ No newline at end of file
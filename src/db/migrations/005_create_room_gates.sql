@@ -0,0 +1,35 @@
+-- Token-gated rooms: membership decided by on-chain holdings. This is the
+-- only definition of the room type list ('group_dm' comes from 020), since
+-- every migration is re-applied on each run.
+ALTER TABLE chat_rooms DROP CONSTRAINT IF EXISTS chat_rooms_room_type_check;
+ALTER TABLE chat_rooms ADD CONSTRAINT chat_rooms_room_type_check
+    CHECK (room_type IN ('public', 'private', 'p2p', 'gated', 'group_dm'));
+
+-- 'any': holding one rule's asset is enough; 'all': every rule must pass
+ALTER TABLE chat_rooms ADD COLUMN IF NOT EXISTS gate_match VARCHAR(3) DEFAULT 'any'
+    CHECK (gate_match IN ('any', 'all'));
+
+-- Members who no longer hold the gating asset are demoted to 'ineligible';
+-- 'requested' is a message request recipient (021). Every migration is
+-- re-applied on each run, so this is the only definition of the status list.
+ALTER TABLE room_members DROP CONSTRAINT IF EXISTS room_members_status_check;
+ALTER TABLE room_members ADD CONSTRAINT room_members_status_check
+    CHECK (status IN ('pending', 'approved', 'rejected', 'left', 'ineligible', 'requested'));
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS gate_checked_at TIMESTAMP WITH TIME ZONE;
+-- Consecutive rechecks that couldn't read holdings; the member is skipped
+-- until gate_retry_at so failures don't hold up the rest of the queue
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS gate_check_failures INTEGER DEFAULT 0;
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS gate_retry_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS room_gates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_id UUID REFERENCES chat_rooms(id) ON DELETE CASCADE,
+    chain_id INTEGER NOT NULL,
+    contract_address VARCHAR(42) NOT NULL,
+    token_standard VARCHAR(10) NOT NULL CHECK (token_standard IN ('erc20', 'erc721', 'erc1155')),
+    min_balance NUMERIC(78, 0) NOT NULL DEFAULT 1,
+    token_ids TEXT[],
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_gates_room ON room_gates(room_id);
\ No newline at end of file
@@ -0,0 +1,32 @@
+-- Named member roles replace the is_admin flag (kept in sync for legacy queries)
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS role VARCHAR(30) NOT NULL DEFAULT 'member';
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS left_at TIMESTAMP WITH TIME ZONE;
+
+-- Backfill: room creator becomes owner, other admins keep admin
+UPDATE room_members rm
+SET role = 'owner'
+FROM chat_rooms cr
+WHERE rm.room_id = cr.id AND rm.user_id = cr.admin_id AND rm.role = 'member' AND cr.room_type != 'p2p';
+
+UPDATE room_members
+SET role = 'admin'
+WHERE is_admin = true AND role = 'member'
+AND room_id IN (SELECT id FROM chat_rooms WHERE room_type != 'p2p');
+
+-- Custom per-room roles; built-in roles (owner, admin, moderator, member, read_only) live in code
+CREATE TABLE IF NOT EXISTS room_roles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_id UUID REFERENCES chat_rooms(id) ON DELETE CASCADE,
+    name VARCHAR(30) NOT NULL,
+    permissions TEXT[] NOT NULL DEFAULT '{}',
+    rank INTEGER NOT NULL CHECK (rank > 0 AND rank < 100),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(room_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_roles_room ON room_roles(room_id);
+
+-- Messages pinned by members with the pin_messages permission
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS pinned_by UUID REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_pinned ON messages(room_id, pinned_at DESC) WHERE pinned_at IS NOT NULL;
\ No newline at end of file
@@ -0,0 +1,12 @@
+-- Message threads: replies point at their thread root via parent_message_id
+CREATE INDEX IF NOT EXISTS idx_messages_parent ON messages(parent_message_id, created_at);
+
+CREATE TABLE IF NOT EXISTS thread_followers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_thread_followers_user ON thread_followers(user_id);
\ No newline at end of file
@@ -0,0 +1,56 @@
+-- Per-member read marker: the last message read, keyed like message pages on (created_at, id).
+-- No foreign key so the marker survives deletion of the message it points at.
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS last_read_message_id UUID;
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS last_read_at TIMESTAMP WITH TIME ZONE;
+
+-- Rebuilt on the read marker; the original referenced a last_seen column that never existed
+DROP FUNCTION IF EXISTS get_user_rooms_with_metadata(UUID);
+
+CREATE FUNCTION get_user_rooms_with_metadata(
+    p_user_id UUID
+)
+RETURNS TABLE(
+    room_id UUID,
+    room_name VARCHAR,
+    room_type VARCHAR,
+    description TEXT,
+    admin_wallet VARCHAR,
+    member_count BIGINT,
+    unread_count BIGINT,
+    mention_count BIGINT,
+    last_message_at TIMESTAMPTZ,
+    user_status VARCHAR,
+    is_user_admin BOOLEAN
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT 
+        cr.id AS room_id,
+        cr.name AS room_name,
+        cr.room_type,
+        cr.description,
+        u.wallet_address AS admin_wallet,
+        (SELECT COUNT(*) FROM room_members rm2 WHERE rm2.room_id = cr.id AND rm2.status = 'approved') AS member_count,
+        COUNT(m.id) AS unread_count,
+        COUNT(m.id) FILTER (WHERE m.content ILIKE '%@' || me.wallet_address || '%') AS mention_count,
+        (SELECT MAX(lm.created_at) FROM messages lm WHERE lm.room_id = cr.id) AS last_message_at,
+        rm.status AS user_status,
+        rm.is_admin AS is_user_admin
+    FROM room_members rm
+    JOIN chat_rooms cr ON rm.room_id = cr.id
+    JOIN users u ON cr.admin_id = u.id
+    JOIN users me ON rm.user_id = me.id
+    LEFT JOIN messages m ON m.room_id = cr.id
+        AND rm.status = 'approved'
+        AND m.sender_id != rm.user_id
+        AND (m.created_at, m.id) > (
+            COALESCE(rm.last_read_at, rm.joined_at),
+            COALESCE(rm.last_read_message_id, '00000000-0000-0000-0000-000000000000'::uuid)
+        )
+    WHERE rm.user_id = p_user_id 
+    AND rm.status IN ('approved', 'pending')
+    AND cr.is_active = true
+    GROUP BY cr.id, cr.name, cr.room_type, cr.description, u.wallet_address, rm.status, rm.is_admin
+    ORDER BY 9 DESC NULLS LAST;
+END;
+$$ LANGUAGE plpgsql;
\ No newline at end of file
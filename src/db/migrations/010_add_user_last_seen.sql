@@ -0,0 +1,2 @@
+-- Presence: live status is kept in memory; last_seen_at records when a wallet was last connected
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP WITH TIME ZONE;
\ No newline at end of file
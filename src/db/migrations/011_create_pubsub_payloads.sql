@@ -0,0 +1,10 @@
+-- Pub/sub messages too large for a NOTIFY payload; receivers fetch them by id.
+-- Rows are short-lived and swept by every node.
+CREATE TABLE IF NOT EXISTS pubsub_payloads (
+    id BIGSERIAL PRIMARY KEY,
+    channel VARCHAR(63) NOT NULL,
+    payload TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_pubsub_payloads_created ON pubsub_payloads(created_at);
\ No newline at end of file
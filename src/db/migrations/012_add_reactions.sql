@@ -0,0 +1,61 @@
+-- Reactions: message_likes rows hold any emoji or shortcode, not just "like"
+ALTER TABLE message_likes ALTER COLUMN reaction_type TYPE VARCHAR(64);
+CREATE INDEX IF NOT EXISTS idx_message_likes_message_type ON message_likes(message_id, reaction_type);
+
+-- Optional per-room allow-list (NULL allows any emoji, built-in or room shortcode)
+ALTER TABLE chat_rooms ADD COLUMN IF NOT EXISTS allowed_reactions TEXT[];
+
+-- Custom per-room shortcode reactions
+CREATE TABLE IF NOT EXISTS room_reactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_id UUID REFERENCES chat_rooms(id) ON DELETE CASCADE,
+    shortcode VARCHAR(32) NOT NULL,
+    image_url VARCHAR(500) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(room_id, shortcode)
+);
+
+-- Built-in shortcodes are stored as their emoji (BUILT_IN_REACTIONS in
+-- src/config/reactions.js); a user's shortcode row is dropped when they also
+-- reacted with the emoji
+WITH built_in(shortcode, emoji) AS (
+    VALUES ('like', '👍'), ('heart', '❤️'), ('laugh', '😂'), ('wow', '😮'),
+           ('sad', '😢'), ('fire', '🔥'), ('rocket', '🚀'), ('eyes', '👀')
+), duplicates AS (
+    DELETE FROM message_likes ml
+    USING built_in b
+    WHERE ml.reaction_type = b.shortcode
+    AND EXISTS (
+        SELECT 1 FROM message_likes e
+        WHERE e.message_id = ml.message_id AND e.user_id = ml.user_id AND e.reaction_type = b.emoji
+    )
+    RETURNING ml.id
+)
+UPDATE message_likes ml
+SET reaction_type = b.emoji
+FROM built_in b
+WHERE ml.reaction_type = b.shortcode
+AND ml.id NOT IN (SELECT id FROM duplicates);
+
+WITH built_in(shortcode, emoji) AS (
+    VALUES ('like', '👍'), ('heart', '❤️'), ('laugh', '😂'), ('wow', '😮'),
+           ('sad', '😢'), ('fire', '🔥'), ('rocket', '🚀'), ('eyes', '👀')
+)
+UPDATE chat_rooms cr
+SET allowed_reactions = (
+    SELECT array_agg(k.key ORDER BY k.position)
+    FROM (
+        SELECT COALESCE(b.emoji, a.key) as key, MIN(a.position) as position
+        FROM unnest(cr.allowed_reactions) WITH ORDINALITY AS a(key, position)
+        LEFT JOIN built_in b ON b.shortcode = a.key
+        GROUP BY 1
+    ) k
+)
+WHERE cr.allowed_reactions && ARRAY['like', 'heart', 'laugh', 'wow', 'sad', 'fire', 'rocket', 'eyes'];
+
+-- Deleting a room's last allowed custom reaction used to leave an empty
+-- allow-list, which rejected every reaction
+UPDATE chat_rooms SET allowed_reactions = NULL WHERE allowed_reactions = '{}';
+
+ALTER TABLE message_likes ALTER COLUMN reaction_type SET DEFAULT '👍';
\ No newline at end of file
@@ -0,0 +1,21 @@
+-- Link previews, cached per URL and shared by every message linking it.
+-- kind: page (Open Graph / HTML), oembed, transaction, address, or none for
+-- URLs that produced nothing (cached briefly so they are not refetched per message)
+CREATE TABLE IF NOT EXISTS link_previews (
+    url VARCHAR(2048) PRIMARY KEY,
+    kind VARCHAR(20) NOT NULL,
+    title VARCHAR(300),
+    description VARCHAR(1000),
+    site_name VARCHAR(200),
+    image_url VARCHAR(2048),
+    data JSONB,
+    fetched_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS message_link_previews (
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    url VARCHAR(2048) REFERENCES link_previews(url) ON DELETE CASCADE,
+    position SMALLINT NOT NULL,
+    PRIMARY KEY (message_id, url)
+);
\ No newline at end of file
@@ -0,0 +1,22 @@
+-- Notification center: one row per recipient. data holds type-specific details
+-- (invitationId, threadId, mentionType); read_at stays NULL until read.
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('invitation', 'join_request', 'member_approved', 'member_rejected', 'mention', 'reply')),
+    room_id UUID REFERENCES chat_rooms(id) ON DELETE CASCADE,
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Per-room preferences: all (mentions, replies and join requests), mentions
+-- only, or none; muted_until silences the room entirely until then
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS notification_level VARCHAR(10) NOT NULL DEFAULT 'all'
+    CHECK (notification_level IN ('all', 'mentions', 'none'));
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS muted_until TIMESTAMP WITH TIME ZONE;
\ No newline at end of file
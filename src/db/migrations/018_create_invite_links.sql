@@ -0,0 +1,27 @@
+-- Shareable invite links. Redeeming one joins the room with the link's role,
+-- approved straight away when auto_approve is set or as a pending request
+-- otherwise. max_uses and expires_at are optional limits.
+CREATE TABLE IF NOT EXISTS room_invite_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_id UUID REFERENCES chat_rooms(id) ON DELETE CASCADE,
+    code VARCHAR(32) NOT NULL UNIQUE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    role VARCHAR(50) NOT NULL DEFAULT 'member',
+    auto_approve BOOLEAN NOT NULL DEFAULT true,
+    max_uses INTEGER CHECK (max_uses > 0),
+    use_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_room_invite_links_room ON room_invite_links(room_id, created_at DESC);
+
+-- Who joined through which link, and whether they were let in or queued
+CREATE TABLE IF NOT EXISTS room_invite_link_redemptions (
+    link_id UUID REFERENCES room_invite_links(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('approved', 'pending')),
+    redeemed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (link_id, user_id)
+);
\ No newline at end of file
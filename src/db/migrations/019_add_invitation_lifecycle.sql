@@ -0,0 +1,31 @@
+-- Invitations can be revoked by room admins, and pending ones past expires_at
+-- are marked expired by a background sweep
+ALTER TABLE room_invitations DROP CONSTRAINT IF EXISTS room_invitations_status_check;
+ALTER TABLE room_invitations ADD CONSTRAINT room_invitations_status_check
+    CHECK (status IN ('pending', 'accepted', 'rejected', 'revoked', 'expired'));
+
+ALTER TABLE room_invitations ADD COLUMN IF NOT EXISTS revoked_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE room_invitations ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+-- Moved forward whenever the invitation is resent
+ALTER TABLE room_invitations ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP WITH TIME ZONE;
+UPDATE room_invitations SET sent_at = created_at WHERE sent_at IS NULL;
+ALTER TABLE room_invitations ALTER COLUMN sent_at SET DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_room_invitations_pending ON room_invitations(expires_at) WHERE status = 'pending';
+
+-- One pending invitation per invitee and room; older duplicates are expired
+UPDATE room_invitations SET status = 'expired'
+WHERE id IN (
+    SELECT id FROM (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY room_id, LOWER(invitee_wallet_address)
+            ORDER BY expires_at DESC, created_at DESC
+        ) as position
+        FROM room_invitations
+        WHERE status = 'pending'
+    ) ranked
+    WHERE position > 1
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_room_invitations_pending_invitee
+    ON room_invitations(room_id, LOWER(invitee_wallet_address)) WHERE status = 'pending';
\ No newline at end of file
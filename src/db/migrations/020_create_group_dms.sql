@@ -0,0 +1,12 @@
+-- Group DMs: 3-10 members, no admin approval. member_key is a hash of the
+-- sorted member wallets so creating a DM with the same people finds the
+-- existing room; auto_named rooms are renamed when members change. The
+-- 'group_dm' room type is in chat_rooms_room_type_check (005).
+
+ALTER TABLE chat_rooms ADD COLUMN IF NOT EXISTS member_key VARCHAR(64);
+ALTER TABLE chat_rooms ADD COLUMN IF NOT EXISTS auto_named BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_chat_rooms_member_key ON chat_rooms(member_key) WHERE member_key IS NOT NULL;
+
+-- Members added to an existing group DM only see messages from when they were added
+ALTER TABLE room_members ADD COLUMN IF NOT EXISTS history_visible_from TIMESTAMP WITH TIME ZONE;
\ No newline at end of file
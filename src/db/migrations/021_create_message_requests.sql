@@ -0,0 +1,21 @@
+-- P2P message requests. A conversation opened by a wallet the recipient does
+-- not know starts as a request: the recipient's membership is 'requested'
+-- (no access, no live events) until they accept, and the sender can only send
+-- a few messages meanwhile. message_count counts those messages. The
+-- 'requested' status is in room_members_status_check (005).
+CREATE TABLE IF NOT EXISTS message_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    room_id UUID NOT NULL UNIQUE REFERENCES chat_rooms(id) ON DELETE CASCADE,
+    sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recipient_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'blocked')),
+    message_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_requests_recipient ON message_requests(recipient_id, status, created_at DESC);
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('invitation', 'join_request', 'member_approved', 'member_rejected', 'mention', 'reply', 'message_request'));
\ No newline at end of file
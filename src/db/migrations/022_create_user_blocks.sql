@@ -0,0 +1,11 @@
+-- Wallets a user has blocked. Blocked users cannot open P2P conversations
+-- with, invite or add to a group DM the blocker, and their messages are
+-- flagged for the blocker.
+CREATE TABLE IF NOT EXISTS user_blocks (
+    blocker_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    blocked_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (blocker_id, blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
\ No newline at end of file
@@ -0,0 +1,81 @@
+const db = require('../../config/db');
+const { historyVisibleTo } = require('./fragments');
+
+const AttachmentQueries = {
+  createAttachment: async ({ roomId, uploaderId, storageKey, thumbnailKey, filename, mimeType, sizeBytes, width, height }) => {
+    const query = `
+      INSERT INTO attachments (room_id, uploader_id, storage_key, thumbnail_key, filename, mime_type, size_bytes, width, height)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+    return await db.query(query, [roomId, uploaderId, storageKey, thumbnailKey, filename, mimeType, sizeBytes, width, height]);
+  },
+
+  // Attachment if the user is an approved member of its room. Uploads not yet
+  // sent with a message are only visible to the uploader, and attachments of
+  // messages from before the user joined a group DM are hidden.
+  getAccessibleAttachment: async (attachmentId, userId) => {
+    const query = `
+      SELECT a.*
+      FROM attachments a
+      JOIN room_members rm ON rm.room_id = a.room_id
+      LEFT JOIN messages m ON m.id = a.message_id
+      WHERE a.id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
+      AND (a.message_id IS NOT NULL OR a.uploader_id = $2)
+      AND ${historyVisibleTo('$2')}
+    `;
+    return await db.query(query, [attachmentId, userId]);
+  },
+
+  getAttachmentById: async (attachmentId) => {
+    const query = 'SELECT * FROM attachments WHERE id = $1';
+    return await db.query(query, [attachmentId]);
+  },
+
+  // The uploader's unsent uploads in a room among attachmentIds
+  getUnclaimedAttachments: async (attachmentIds, roomId, uploaderId) => {
+    const query = `
+      SELECT id FROM attachments
+      WHERE id = ANY($1::uuid[]) AND room_id = $2 AND uploader_id = $3
+      AND message_id IS NULL
+    `;
+    return await db.query(query, [attachmentIds, roomId, uploaderId]);
+  },
+
+  claimAttachments: async (attachmentIds, roomId, uploaderId, messageId, client = db) => {
+    const query = `
+      UPDATE attachments
+      SET message_id = $4
+      WHERE id = ANY($1::uuid[]) AND room_id = $2 AND uploader_id = $3
+      AND message_id IS NULL
+      RETURNING *
+    `;
+    return await client.query(query, [attachmentIds, roomId, uploaderId, messageId]);
+  },
+
+  deleteMessageAttachments: async (messageId) => {
+    const query = `
+      DELETE FROM attachments
+      WHERE message_id = $1
+      RETURNING storage_key, thumbnail_key
+    `;
+    return await db.query(query, [messageId]);
+  },
+
+  // Uploads never sent with a message
+  deleteUnclaimedAttachments: async (olderThanHours, limit) => {
+    const query = `
+      DELETE FROM attachments
+      WHERE id IN (
+        SELECT id FROM attachments
+        WHERE message_id IS NULL
+        AND created_at < CURRENT_TIMESTAMP - ($1 || ' hours')::interval
+        LIMIT $2
+      )
+      RETURNING storage_key, thumbnail_key
+    `;
+    return await db.query(query, [olderThanHours, limit]);
+  }
+};
+
+module.exports = AttachmentQueries;
\ No newline at end of file
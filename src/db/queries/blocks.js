@@ -0,0 +1,101 @@
+const db = require('../../config/db');
+const { SENDER_PROFILE } = require('./fragments');
+
+const BlockQueries = {
+  // Also settles pending message requests from the blocked user; returns no
+  // row when the block already existed
+  blockUser: async (blockerId, blockedId) => {
+    const query = `
+      WITH block AS (
+        INSERT INTO user_blocks (blocker_id, blocked_id)
+        VALUES ($1, $2)
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      ), requests AS (
+        UPDATE message_requests
+        SET status = 'blocked', responded_at = CURRENT_TIMESTAMP
+        WHERE recipient_id = $1 AND sender_id = $2 AND status = 'pending'
+        RETURNING room_id
+      ), memberships AS (
+        UPDATE room_members
+        SET status = 'rejected'
+        WHERE user_id = $1 AND room_id IN (SELECT room_id FROM requests)
+      )
+      SELECT * FROM block
+    `;
+    return await db.query(query, [blockerId, blockedId]);
+  },
+
+  unblockUser: async (blockerId, blockedId) => {
+    const query = `
+      DELETE FROM user_blocks
+      WHERE blocker_id = $1 AND blocked_id = $2
+      RETURNING *
+    `;
+    return await db.query(query, [blockerId, blockedId]);
+  },
+
+  isBlocked: async (blockerId, blockedId) => {
+    const query = `SELECT 1 FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2`;
+    return await db.query(query, [blockerId, blockedId]);
+  },
+
+  // Users who blocked the given user
+  getBlockerIds: async (blockedId) => {
+    const query = `SELECT blocker_id FROM user_blocks WHERE blocked_id = $1`;
+    return await db.query(query, [blockedId]);
+  },
+
+  // Lowercase wallets among walletAddresses whose owners blocked the user
+  getBlockersAmong: async (blockedId, walletAddresses) => {
+    const query = `
+      SELECT LOWER(u.wallet_address) as wallet_address
+      FROM user_blocks ub
+      JOIN users u ON ub.blocker_id = u.id
+      WHERE ub.blocked_id = $1
+      AND LOWER(u.wallet_address) = ANY($2::text[])
+    `;
+    return await db.query(query, [blockedId, walletAddresses]);
+  },
+
+  // Whether the other member of a P2P room has blocked the user
+  isBlockedInP2PRoom: async (roomId, userId) => {
+    const query = `
+      SELECT 1
+      FROM chat_rooms cr
+      JOIN room_members rm ON rm.room_id = cr.id AND rm.user_id != $2
+      JOIN user_blocks ub ON ub.blocker_id = rm.user_id AND ub.blocked_id = $2
+      WHERE cr.id = $1 AND cr.room_type = 'p2p'
+      LIMIT 1
+    `;
+    return await db.query(query, [roomId, userId]);
+  },
+
+  // The user's block list, newest first, keyed on (created_at, blocked id)
+  getBlockedUsers: async (blockerId, { cursor = null, limit = 50 } = {}) => {
+    const params = [blockerId];
+    let cursorCondition = '';
+
+    if (cursor) {
+      params.push(cursor.id);
+      cursorCondition = `AND (ub.created_at, ub.blocked_id) < (
+        SELECT c.created_at, c.blocked_id FROM user_blocks c WHERE c.blocker_id = $1 AND c.blocked_id = $2
+      )`;
+    }
+
+    params.push(limit);
+
+    const query = `
+      SELECT u.id, u.wallet_address, ${SENDER_PROFILE} as profile, ub.created_at as blocked_at
+      FROM user_blocks ub
+      JOIN users u ON ub.blocked_id = u.id
+      WHERE ub.blocker_id = $1
+      ${cursorCondition}
+      ORDER BY ub.created_at DESC, ub.blocked_id DESC
+      LIMIT $${params.length}
+    `;
+    return await db.query(query, params);
+  }
+};
+
+module.exports = BlockQueries;
\ No newline at end of file
@@ -0,0 +1,116 @@
+// SQL snippets shared between query modules
+
+// Sender profile summary embedded in message rows (expects users aliased as u)
+const SENDER_PROFILE = `
+  json_build_object(
+    'wallet_address', u.wallet_address,
+    'display_name', u.display_name,
+    'avatar_url', COALESCE(u.avatar_url, u.ens_avatar),
+    'ens_name', u.ens_name
+  )
+`;
+
+// Thread summary columns for a message row, not counting deleted replies
+// (expects messages aliased as m)
+const REPLY_SUMMARY = `
+  (SELECT COUNT(*) FROM messages r WHERE r.parent_message_id = m.id AND r.deleted_at IS NULL) as reply_count,
+  (SELECT MAX(r.created_at) FROM messages r WHERE r.parent_message_id = m.id AND r.deleted_at IS NULL) as last_reply_at
+`;
+
+// Wallet of whoever deleted a tombstoned message (expects messages aliased as m)
+const DELETED_BY = `
+  (SELECT du.wallet_address FROM users du WHERE du.id = m.deleted_by) as deleted_by_wallet
+`;
+
+// Attachments of a message in upload order, in the shape of
+// AttachmentService.toSummary (expects messages aliased as m)
+const ATTACHMENTS = `
+  (SELECT COALESCE(json_agg(json_build_object(
+            'id', a.id,
+            'filename', a.filename,
+            'mime_type', a.mime_type,
+            'size_bytes', a.size_bytes,
+            'width', a.width,
+            'height', a.height,
+            'url', '/api/attachments/' || a.id,
+            'thumbnail_url', CASE WHEN a.thumbnail_key IS NOT NULL THEN '/api/attachments/' || a.id || '/thumbnail' END
+          ) ORDER BY a.created_at), '[]'::json)
+   FROM attachments a
+   WHERE a.message_id = m.id) as attachments
+`;
+
+// Link previews of a message in the order the links appear (expects messages aliased as m)
+const LINK_PREVIEWS = `
+  (SELECT COALESCE(json_agg(json_build_object(
+            'url', lp.url,
+            'kind', lp.kind,
+            'title', lp.title,
+            'description', lp.description,
+            'site_name', lp.site_name,
+            'image_url', lp.image_url,
+            'data', lp.data
+          ) ORDER BY mlp.position), '[]'::json)
+   FROM message_link_previews mlp
+   JOIN link_previews lp ON lp.url = mlp.url
+   WHERE mlp.message_id = m.id AND m.deleted_at IS NULL) as link_previews
+`;
+
+// Messages a member has not read yet: newer than their read marker (or their join
+// time), sent by someone else and not deleted (expects messages as m, room_members as rm)
+const UNREAD_CONDITION = `
+  m.sender_id != rm.user_id
+  AND m.deleted_at IS NULL
+  AND (m.created_at, m.id) > (
+    COALESCE(rm.last_read_at, rm.joined_at),
+    COALESCE(rm.last_read_message_id, '00000000-0000-0000-0000-000000000000'::uuid)
+  )
+`;
+
+// Reactions of a message grouped by reaction, in order of first use (expects
+// messages aliased as m); viewerParam is the placeholder holding the viewer's user id
+const reactionSummary = (viewerParam) => `
+  (SELECT COALESCE(json_agg(json_build_object(
+            'reaction', rx.reaction_type,
+            'count', rx.count,
+            'reacted_by_me', rx.mine
+          ) ORDER BY rx.first_at), '[]'::json)
+   FROM (
+     SELECT reaction_type, COUNT(*) as count,
+            COALESCE(BOOL_OR(user_id = ${viewerParam}::uuid), false) as mine,
+            MIN(created_at) as first_at
+     FROM message_likes
+     WHERE message_id = m.id
+     GROUP BY reaction_type
+   ) rx) as reactions
+`;
+
+// Hides messages sent before the viewer was added to a group DM (expects
+// messages aliased as m); viewerParam is the placeholder holding the viewer's user id
+const historyVisibleTo = (viewerParam) => `
+  NOT EXISTS (
+    SELECT 1 FROM room_members hv
+    WHERE hv.room_id = m.room_id AND hv.user_id = ${viewerParam}::uuid
+    AND hv.history_visible_from > m.created_at
+  )
+`;
+
+// Whether the viewer has blocked the sender, so clients can collapse the
+// message (expects messages aliased as m); viewerParam holds the viewer's user id
+const senderBlockedBy = (viewerParam) => `
+  EXISTS (
+    SELECT 1 FROM user_blocks sb
+    WHERE sb.blocker_id = ${viewerParam}::uuid AND sb.blocked_id = m.sender_id
+  ) as sender_blocked
+`;
+
+module.exports = {
+  SENDER_PROFILE,
+  REPLY_SUMMARY,
+  DELETED_BY,
+  ATTACHMENTS,
+  LINK_PREVIEWS,
+  reactionSummary,
+  historyVisibleTo,
+  senderBlockedBy,
+  UNREAD_CONDITION
+};
\ No newline at end of file
@@ -0,0 +1,100 @@
+const db = require('../../config/db');
+
+const GateQueries = {
+  getRoomGates: async (roomId) => {
+    const query = `
+      SELECT id, chain_id, contract_address, token_standard, min_balance::text, token_ids
+      FROM room_gates
+      WHERE room_id = $1
+      ORDER BY created_at
+    `;
+    return await db.query(query, [roomId]);
+  },
+
+  replaceRoomGates: async (roomId, gateMatch, gates) => {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM room_gates WHERE room_id = $1', [roomId]);
+
+      for (const gate of gates) {
+        await client.query(
+          `INSERT INTO room_gates (room_id, chain_id, contract_address, token_standard, min_balance, token_ids)
+           VALUES ($1, $2, $3, $4, $5, $6)`,
+          [roomId, gate.chainId, gate.contractAddress, gate.tokenStandard, gate.minBalance, gate.tokenIds]
+        );
+      }
+
+      await client.query(
+        'UPDATE chat_rooms SET gate_match = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [roomId, gateMatch]
+      );
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    return await GateQueries.getRoomGates(roomId);
+  },
+
+  // Approved non-admin members of active gated rooms not checked within the interval
+  getMembersDueForCheck: async (intervalMinutes, limit = 100) => {
+    const query = `
+      SELECT rm.room_id, rm.user_id, u.wallet_address, cr.gate_match
+      FROM room_members rm
+      JOIN chat_rooms cr ON rm.room_id = cr.id
+      JOIN users u ON rm.user_id = u.id
+      WHERE cr.room_type = 'gated'
+      AND cr.is_active = true
+      AND rm.status = 'approved'
+      AND rm.is_admin = false
+      AND (rm.gate_checked_at IS NULL
+           OR rm.gate_checked_at < CURRENT_TIMESTAMP - ($1 * INTERVAL '1 minute'))
+      AND (rm.gate_retry_at IS NULL OR rm.gate_retry_at <= CURRENT_TIMESTAMP)
+      ORDER BY rm.gate_retry_at NULLS FIRST, rm.gate_checked_at NULLS FIRST
+      LIMIT $2
+    `;
+    return await db.query(query, [intervalMinutes, limit]);
+  },
+
+  markChecked: async (roomId, userId) => {
+    const query = `
+      UPDATE room_members 
+      SET gate_checked_at = CURRENT_TIMESTAMP, gate_check_failures = 0, gate_retry_at = NULL
+      WHERE room_id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    return await db.query(query, [roomId, userId]);
+  },
+
+  // Holdings couldn't be read: retry after a delay that doubles with each
+  // consecutive failure, up to maxDelayMinutes
+  markCheckFailed: async (roomId, userId, baseDelayMinutes, maxDelayMinutes) => {
+    const query = `
+      UPDATE room_members
+      SET gate_check_failures = gate_check_failures + 1,
+          gate_retry_at = CURRENT_TIMESTAMP
+            + LEAST($3 * POWER(2, LEAST(gate_check_failures, 20)), $4) * INTERVAL '1 minute'
+      WHERE room_id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    return await db.query(query, [roomId, userId, baseDelayMinutes, maxDelayMinutes]);
+  },
+
+  demoteMember: async (roomId, userId) => {
+    const query = `
+      UPDATE room_members 
+      SET status = 'ineligible', gate_checked_at = CURRENT_TIMESTAMP,
+          gate_check_failures = 0, gate_retry_at = NULL
+      WHERE room_id = $1 AND user_id = $2 AND status = 'approved'
+      RETURNING *
+    `;
+    return await db.query(query, [roomId, userId]);
+  }
+};
+
+module.exports = GateQueries;
\ No newline at end of file
@@ -0,0 +1,86 @@
+const db = require('../../config/db');
+
+const GroupDmQueries = {
+  // Serializes creation for one member set until the transaction ends
+  lockMemberKey: async (memberKey, client) => {
+    const query = `SELECT pg_advisory_xact_lock(hashtext($1))`;
+    return await client.query(query, [memberKey]);
+  },
+
+  // Most recently active group DM with exactly this member set
+  findByMemberKey: async (memberKey, client = db) => {
+    const query = `
+      SELECT id FROM chat_rooms
+      WHERE room_type = 'group_dm' AND member_key = $1 AND is_active = true
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `;
+    return await client.query(query, [memberKey]);
+  },
+
+  getUsersByWallets: async (walletAddresses) => {
+    const query = `
+      SELECT id, wallet_address, display_name, ens_name
+      FROM users
+      WHERE LOWER(wallet_address) = ANY($1::text[])
+    `;
+    return await db.query(query, [walletAddresses]);
+  },
+
+  // Creates the room with every member approved
+  createGroupDm: async (name, creatorId, memberKey, autoNamed, userIds, client = db) => {
+    const query = `
+      WITH room AS (
+        INSERT INTO chat_rooms (name, room_type, admin_id, member_key, auto_named)
+        VALUES ($1, 'group_dm', $2, $3, $4)
+        RETURNING id
+      ), members AS (
+        INSERT INTO room_members (room_id, user_id, status, role, is_admin)
+        SELECT room.id, t.user_id, 'approved', 'member', false
+        FROM room, unnest($5::uuid[]) AS t(user_id)
+      )
+      SELECT id FROM room
+    `;
+    return await client.query(query, [name, creatorId, memberKey, autoNamed, userIds]);
+  },
+
+  getActiveMembers: async (roomId) => {
+    const query = `
+      SELECT u.id as user_id, u.wallet_address, u.display_name, u.ens_name
+      FROM room_members rm
+      JOIN users u ON rm.user_id = u.id
+      WHERE rm.room_id = $1 AND rm.status = 'approved'
+      ORDER BY rm.joined_at ASC
+    `;
+    return await db.query(query, [roomId]);
+  },
+
+  // Adds (or re-adds former) members with history visible from now; returns the added user ids
+  addMembers: async (roomId, userIds) => {
+    const query = `
+      INSERT INTO room_members (room_id, user_id, status, role, is_admin, joined_at, history_visible_from)
+      SELECT $1, t.user_id, 'approved', 'member', false, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+      FROM unnest($2::uuid[]) AS t(user_id)
+      ON CONFLICT (room_id, user_id) DO UPDATE
+      SET status = 'approved', role = 'member', is_admin = false, left_at = NULL,
+          joined_at = EXCLUDED.joined_at, history_visible_from = EXCLUDED.history_visible_from,
+          last_read_message_id = NULL, last_read_at = NULL
+      WHERE room_members.status != 'approved'
+      RETURNING user_id
+    `;
+    return await db.query(query, [roomId, userIds]);
+  },
+
+  // Stores the new member set, renaming the room unless it was named by hand
+  updateMemberSet: async (roomId, memberKey, generatedName) => {
+    const query = `
+      UPDATE chat_rooms
+      SET member_key = $2, name = CASE WHEN auto_named THEN $3 ELSE name END
+      WHERE id = $1
+      RETURNING *
+    `;
+    return await db.query(query, [roomId, memberKey, generatedName]);
+  }
+};
+
+module.exports = GroupDmQueries;
\ No newline at end of file
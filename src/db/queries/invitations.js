@@ -15,11 +15,132 @@ const InvitationQueries = {
       SELECT ri.*, u.wallet_address as inviter_wallet
       FROM room_invitations ri
       JOIN users u ON ri.inviter_id = u.id
-      WHERE ri.id = $1 AND ri.expires_at > CURRENT_TIMESTAMP
+      WHERE ri.id = $1 AND ri.status = 'pending' AND ri.expires_at > CURRENT_TIMESTAMP
     `;
     return await db.query(query, [invitationId]);
   },
 
+  // Creates pending invitations for (lowercase) wallet addresses; addresses
+  // that already hold a pending invitation get no row
+  createInvitations: async (roomId, inviterId, walletAddresses) => {
+    const query = `
+      INSERT INTO room_invitations (room_id, inviter_id, invitee_wallet_address)
+      SELECT $1, $2, t.wallet FROM unnest($3::text[]) AS t(wallet)
+      ON CONFLICT (room_id, LOWER(invitee_wallet_address)) WHERE status = 'pending' DO NOTHING
+      RETURNING *
+    `;
+    return await db.query(query, [roomId, inviterId, walletAddresses]);
+  },
+
+  // Marks the addresses' pending invitations past expires_at expired ahead of
+  // the sweep, so they don't hold the one-pending-invitation slot
+  expireOverdueFor: async (roomId, walletAddresses) => {
+    const query = `
+      UPDATE room_invitations
+      SET status = 'expired'
+      WHERE room_id = $1 AND status = 'pending' AND expires_at <= CURRENT_TIMESTAMP
+      AND LOWER(invitee_wallet_address) = ANY($2::text[])
+    `;
+    return await db.query(query, [roomId, walletAddresses]);
+  },
+
+  getRoomInvitation: async (roomId, invitationId) => {
+    const query = `SELECT * FROM room_invitations WHERE id = $1 AND room_id = $2`;
+    return await db.query(query, [invitationId, roomId]);
+  },
+
+  // Which of the addresses already belong to the room or hold a live
+  // invitation (other than exceptInvitationId)
+  getExistingInvitees: async (roomId, walletAddresses, exceptInvitationId = null) => {
+    const query = `
+      SELECT LOWER(u.wallet_address) as wallet_address, 'already_member' as reason
+      FROM room_members rm
+      JOIN users u ON rm.user_id = u.id
+      WHERE rm.room_id = $1 AND rm.status = 'approved'
+      AND LOWER(u.wallet_address) = ANY($2::text[])
+      UNION
+      SELECT LOWER(ri.invitee_wallet_address), 'already_invited'
+      FROM room_invitations ri
+      WHERE ri.room_id = $1 AND ri.status = 'pending' AND ri.expires_at > CURRENT_TIMESTAMP
+      AND LOWER(ri.invitee_wallet_address) = ANY($2::text[])
+      AND ($3::uuid IS NULL OR ri.id != $3::uuid)
+    `;
+    return await db.query(query, [roomId, walletAddresses, exceptInvitationId]);
+  },
+
+  // A room's invitations, newest first, keyed on (created_at, id). Pending
+  // invitations past their expiry already count as expired.
+  getRoomInvitations: async (roomId, { statuses = null, cursor = null, limit = 50 } = {}) => {
+    const params = [roomId, statuses];
+    let cursorCondition = '';
+
+    if (cursor) {
+      params.push(cursor.id);
+      cursorCondition = `AND (i.created_at, i.id) < (
+        SELECT c.created_at, c.id FROM room_invitations c WHERE c.id = $3 AND c.room_id = $1
+      )`;
+    }
+
+    params.push(limit);
+
+    const query = `
+      SELECT * FROM (
+        SELECT ri.id, ri.room_id, ri.invitee_wallet_address,
+               CASE WHEN ri.status = 'pending' AND ri.expires_at <= CURRENT_TIMESTAMP
+                    THEN 'expired' ELSE ri.status END as status,
+               inviter.wallet_address as inviter_wallet,
+               revoker.wallet_address as revoked_by_wallet,
+               ri.created_at, ri.sent_at, ri.expires_at, ri.revoked_at
+        FROM room_invitations ri
+        LEFT JOIN users inviter ON ri.inviter_id = inviter.id
+        LEFT JOIN users revoker ON ri.revoked_by = revoker.id
+        WHERE ri.room_id = $1
+      ) i
+      WHERE ($2::text[] IS NULL OR i.status = ANY($2::text[]))
+      ${cursorCondition}
+      ORDER BY i.created_at DESC, i.id DESC
+      LIMIT $${params.length}
+    `;
+    return await db.query(query, params);
+  },
+
+  revokeInvitation: async (roomId, invitationId, revokedBy) => {
+    const query = `
+      UPDATE room_invitations
+      SET status = 'revoked', revoked_by = $3, revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND room_id = $2 AND status = 'pending'
+      RETURNING *
+    `;
+    return await db.query(query, [invitationId, roomId, revokedBy]);
+  },
+
+  // Re-opens a pending or expired invitation with a fresh expiry
+  resendInvitation: async (roomId, invitationId, expiryDays) => {
+    const query = `
+      UPDATE room_invitations
+      SET status = 'pending', sent_at = CURRENT_TIMESTAMP,
+          expires_at = CURRENT_TIMESTAMP + ($3 || ' days')::interval
+      WHERE id = $1 AND room_id = $2 AND status IN ('pending', 'expired')
+      RETURNING *
+    `;
+    return await db.query(query, [invitationId, roomId, expiryDays]);
+  },
+
+  // Marks up to limit overdue pending invitations expired; returns them
+  expireInvitations: async (limit = 100) => {
+    const query = `
+      UPDATE room_invitations
+      SET status = 'expired'
+      WHERE id IN (
+        SELECT id FROM room_invitations
+        WHERE status = 'pending' AND expires_at <= CURRENT_TIMESTAMP
+        LIMIT $1
+      )
+      RETURNING id
+    `;
+    return await db.query(query, [limit]);
+  },
+
   getUserInvitations: async (walletAddress) => {
     // FIXED: Added LOWER() for case-insensitive comparison and proper table aliases
     const query = `
@@ -0,0 +1,116 @@
+const db = require('../../config/db');
+
+// Link columns plus its creator (and their current role, null once they left)
+// and a computed status
+const LINK_SELECT = `
+  SELECT l.id, l.room_id, l.code, l.role, l.auto_approve, l.max_uses, l.use_count,
+         l.expires_at, l.revoked_at, l.created_at,
+         u.wallet_address as created_by_wallet,
+         cm.role as creator_role,
+         CASE
+           WHEN l.revoked_at IS NOT NULL THEN 'revoked'
+           WHEN l.expires_at IS NOT NULL AND l.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+           WHEN l.max_uses IS NOT NULL AND l.use_count >= l.max_uses THEN 'exhausted'
+           ELSE 'active'
+         END as status
+  FROM room_invite_links l
+  LEFT JOIN users u ON l.created_by = u.id
+  LEFT JOIN room_members cm ON cm.room_id = l.room_id AND cm.user_id = l.created_by AND cm.status = 'approved'
+`;
+
+const InviteLinkQueries = {
+  createLink: async (roomId, createdBy, { code, role, autoApprove, maxUses, expiresAt }) => {
+    const query = `
+      INSERT INTO room_invite_links (room_id, created_by, code, role, auto_approve, max_uses, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `;
+    return await db.query(query, [roomId, createdBy, code, role, autoApprove, maxUses, expiresAt]);
+  },
+
+  getLinkById: async (linkId) => {
+    return await db.query(`${LINK_SELECT} WHERE l.id = $1`, [linkId]);
+  },
+
+  getRoomLinks: async (roomId) => {
+    return await db.query(`${LINK_SELECT} WHERE l.room_id = $1 ORDER BY l.created_at DESC`, [roomId]);
+  },
+
+  // Link by code with the room it joins (active rooms only)
+  getLinkByCode: async (code) => {
+    const query = `
+      SELECT l.*, cr.name as room_name, cr.description as room_description,
+             cr.room_type, cr.gate_match,
+             (SELECT COUNT(*) FROM room_members m WHERE m.room_id = cr.id AND m.status = 'approved') as member_count
+      FROM room_invite_links l
+      JOIN chat_rooms cr ON l.room_id = cr.id
+      WHERE l.code = $1 AND cr.is_active = true
+    `;
+    return await db.query(query, [code]);
+  },
+
+  revokeLink: async (roomId, linkId) => {
+    const query = `
+      UPDATE room_invite_links SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND room_id = $2 AND revoked_at IS NULL
+      RETURNING id
+    `;
+    return await db.query(query, [linkId, roomId]);
+  },
+
+  // Claims one use of a usable link and joins the user in the same statement,
+  // so concurrent redemptions cannot exceed max_uses. Only former ('left'),
+  // demoted ('ineligible') and, through an auto-approve link, pending members
+  // are re-admitted, as on the join route. Returns no row when the link is
+  // revoked, expired or used up, or the user can't join through it.
+  redeemLink: async (linkId, userId, adminRoles) => {
+    const query = `
+      WITH claimed AS (
+        UPDATE room_invite_links l
+        SET use_count = use_count + 1
+        WHERE l.id = $1 AND l.revoked_at IS NULL
+        AND (l.expires_at IS NULL OR l.expires_at > CURRENT_TIMESTAMP)
+        AND (l.max_uses IS NULL OR l.use_count < l.max_uses)
+        AND NOT EXISTS (
+          SELECT 1 FROM room_members rm
+          WHERE rm.room_id = l.room_id AND rm.user_id = $2
+          AND NOT (rm.status IN ('left', 'ineligible') OR (rm.status = 'pending' AND l.auto_approve))
+        )
+        RETURNING id, room_id, role, auto_approve
+      ), member AS (
+        INSERT INTO room_members (room_id, user_id, status, role, is_admin, joined_at)
+        SELECT room_id, $2, CASE WHEN auto_approve THEN 'approved' ELSE 'pending' END,
+               role, role = ANY($3::text[]), CURRENT_TIMESTAMP
+        FROM claimed
+        ON CONFLICT (room_id, user_id) DO UPDATE
+        SET status = EXCLUDED.status, role = EXCLUDED.role, is_admin = EXCLUDED.is_admin,
+            joined_at = EXCLUDED.joined_at, left_at = NULL,
+            last_read_message_id = NULL, last_read_at = NULL
+        WHERE room_members.status IN ('left', 'ineligible')
+        OR (room_members.status = 'pending' AND EXCLUDED.status = 'approved')
+        RETURNING status
+      ), redemption AS (
+        INSERT INTO room_invite_link_redemptions (link_id, user_id, status)
+        SELECT claimed.id, $2, member.status FROM claimed, member
+        ON CONFLICT (link_id, user_id) DO UPDATE
+        SET status = EXCLUDED.status, redeemed_at = CURRENT_TIMESTAMP
+      )
+      SELECT claimed.room_id, claimed.role, member.status
+      FROM claimed, member
+    `;
+    return await db.query(query, [linkId, userId, adminRoles]);
+  },
+
+  getRedemptions: async (linkId) => {
+    const query = `
+      SELECT u.wallet_address, r.status, r.redeemed_at
+      FROM room_invite_link_redemptions r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.link_id = $1
+      ORDER BY r.redeemed_at DESC
+    `;
+    return await db.query(query, [linkId]);
+  }
+};
+
+module.exports = InviteLinkQueries;
\ No newline at end of file
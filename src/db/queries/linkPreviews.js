@@ -0,0 +1,55 @@
+const db = require('../../config/db');
+
+const LinkPreviewQueries = {
+  // Cached previews (including "none" results) that have not expired
+  getCachedPreviews: async (urls) => {
+    const query = `
+      SELECT * FROM link_previews
+      WHERE url = ANY($1::text[]) AND expires_at > CURRENT_TIMESTAMP
+    `;
+    return await db.query(query, [urls]);
+  },
+
+  upsertPreview: async ({ url, kind, title, description, siteName, imageUrl, data }, ttlMinutes) => {
+    const query = `
+      INSERT INTO link_previews (url, kind, title, description, site_name, image_url, data, fetched_at, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP + ($8 || ' minutes')::interval)
+      ON CONFLICT (url) DO UPDATE
+      SET kind = EXCLUDED.kind,
+          title = EXCLUDED.title,
+          description = EXCLUDED.description,
+          site_name = EXCLUDED.site_name,
+          image_url = EXCLUDED.image_url,
+          data = EXCLUDED.data,
+          fetched_at = EXCLUDED.fetched_at,
+          expires_at = EXCLUDED.expires_at
+      RETURNING *
+    `;
+    return await db.query(query, [url, kind, title, description, siteName, imageUrl, data, ttlMinutes]);
+  },
+
+  // Replaces a message's previews with urls (in display order); returns the
+  // number of rows removed or written, which is 0 once the message is deleted
+  setMessagePreviews: async (messageId, urls) => {
+    const query = `
+      WITH live AS (
+        SELECT id FROM messages WHERE id = $1 AND deleted_at IS NULL FOR SHARE
+      ), removed AS (
+        DELETE FROM message_link_previews
+        WHERE message_id IN (SELECT id FROM live) AND NOT (url = ANY($2::text[]))
+        RETURNING 1
+      ), written AS (
+        INSERT INTO message_link_previews (message_id, url, position)
+        SELECT live.id, t.url, t.ord - 1
+        FROM live, unnest($2::text[]) WITH ORDINALITY AS t(url, ord)
+        ON CONFLICT (message_id, url) DO UPDATE SET position = EXCLUDED.position
+        RETURNING 1
+      )
+      SELECT (SELECT COUNT(*) FROM removed) + (SELECT COUNT(*) FROM written) as changed
+    `;
+    const result = await db.query(query, [messageId, urls]);
+    return parseInt(result.rows[0].changed);
+  }
+};
+
+module.exports = LinkPreviewQueries;
\ No newline at end of file
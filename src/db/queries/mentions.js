@@ -0,0 +1,93 @@
+const db = require('../../config/db');
+const { SENDER_PROFILE, UNREAD_CONDITION } = require('./fragments');
+
+const MentionQueries = {
+  // Approved members of the room matching any of the addresses or cached ENS names
+  findMentionedMembers: async (roomId, addresses, ensNames) => {
+    const query = `
+      SELECT u.id as user_id, u.wallet_address
+      FROM room_members rm
+      JOIN users u ON rm.user_id = u.id
+      WHERE rm.room_id = $1 AND rm.status = 'approved'
+      AND (LOWER(u.wallet_address) = ANY($2::text[]) OR LOWER(u.ens_name) = ANY($3::text[]))
+    `;
+    return await db.query(query, [roomId, addresses, ensNames]);
+  },
+
+  getApprovedMemberIds: async (roomId) => {
+    const query = `
+      SELECT user_id FROM room_members
+      WHERE room_id = $1 AND status = 'approved'
+    `;
+    return await db.query(query, [roomId]);
+  },
+
+  // Inserts mentions ([{ userId, type }]); returns only the rows that are new
+  addMentions: async (messageId, roomId, mentions) => {
+    const query = `
+      INSERT INTO message_mentions (message_id, room_id, user_id, mention_type)
+      SELECT $1, $2, t.user_id, t.mention_type
+      FROM unnest($3::uuid[], $4::text[]) AS t(user_id, mention_type)
+      ON CONFLICT (message_id, user_id) DO NOTHING
+      RETURNING user_id, mention_type
+    `;
+    return await db.query(query, [
+      messageId,
+      roomId,
+      mentions.map(mention => mention.userId),
+      mentions.map(mention => mention.type)
+    ]);
+  },
+
+  // Drops mentions an edit removed
+  removeMentionsExcept: async (messageId, userIds) => {
+    const query = `
+      DELETE FROM message_mentions
+      WHERE message_id = $1 AND NOT (user_id = ANY($2::uuid[]))
+    `;
+    return await db.query(query, [messageId, userIds]);
+  },
+
+  // Mentions inbox, newest first, in rooms the user still belongs to; unread
+  // means past the user's read marker in that room
+  getUserMentions: async (userId, { roomId = null, unreadOnly = false, cursor = null, limit = 50 } = {}) => {
+    const params = [userId, roomId];
+    const conditions = [];
+
+    if (unreadOnly) {
+      conditions.push(`(${UNREAD_CONDITION})`);
+    }
+
+    if (cursor) {
+      params.push(cursor.id);
+      conditions.push(`(m.created_at, m.id) < (SELECT c.created_at, c.id FROM messages c WHERE c.id = $${params.length})`);
+    }
+
+    params.push(limit);
+
+    const query = `
+      SELECT m.id, m.room_id, m.content, m.parent_message_id, m.created_at, m.is_edited,
+             cr.name as room_name,
+             u.wallet_address as sender_wallet,
+             ${SENDER_PROFILE} as sender_profile,
+             mm.mention_type,
+             (${UNREAD_CONDITION}) as is_unread
+      FROM message_mentions mm
+      JOIN messages m ON mm.message_id = m.id
+      JOIN users u ON m.sender_id = u.id
+      JOIN chat_rooms cr ON m.room_id = cr.id
+      JOIN room_members rm ON rm.room_id = m.room_id AND rm.user_id = mm.user_id
+      WHERE mm.user_id = $1
+      AND ($2::uuid IS NULL OR m.room_id = $2)
+      AND rm.status = 'approved'
+      AND cr.is_active = true
+      AND m.deleted_at IS NULL
+      ${conditions.map(c => `AND ${c}`).join('\n      ')}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $${params.length}
+    `;
+    return await db.query(query, params);
+  }
+};
+
+module.exports = MentionQueries;
\ No newline at end of file
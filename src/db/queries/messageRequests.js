@@ -0,0 +1,120 @@
+const db = require('../../config/db');
+const { SENDER_PROFILE } = require('./fragments');
+
+const MessageRequestQueries = {
+  // Serializes opening a conversation between the two users until the transaction ends
+  lockPair: async (userId, otherUserId, client) => {
+    const query = `SELECT pg_advisory_xact_lock(hashtext('p2p:' || LEAST($1::text, $2::text) || ':' || GREATEST($1::text, $2::text)))`;
+    return await client.query(query, [userId, otherUserId]);
+  },
+
+  getRequestByRoom: async (roomId) => {
+    const query = `SELECT * FROM message_requests WHERE room_id = $1`;
+    return await db.query(query, [roomId]);
+  },
+
+  // Whether the two users are both approved members of some active room
+  sharesRoom: async (userId, otherUserId) => {
+    const query = `
+      SELECT 1
+      FROM room_members a
+      JOIN room_members b ON a.room_id = b.room_id
+      JOIN chat_rooms cr ON a.room_id = cr.id
+      WHERE a.user_id = $1 AND b.user_id = $2
+      AND a.status = 'approved' AND b.status = 'approved'
+      AND cr.is_active = true
+      LIMIT 1
+    `;
+    return await db.query(query, [userId, otherUserId]);
+  },
+
+  // Creates a P2P room where only the sender is approved, plus its request
+  createRequestRoom: async (name, senderId, recipientId, client = db) => {
+    const query = `
+      WITH room AS (
+        INSERT INTO chat_rooms (name, room_type, admin_id)
+        VALUES ($1, 'p2p', $2)
+        RETURNING id
+      ), members AS (
+        INSERT INTO room_members (room_id, user_id, status, is_admin)
+        SELECT room.id, t.user_id, t.status, t.is_admin
+        FROM room, (VALUES ($2::uuid, 'approved', true), ($3::uuid, 'requested', false)) AS t(user_id, status, is_admin)
+      )
+      INSERT INTO message_requests (room_id, sender_id, recipient_id)
+      SELECT id, $2, $3 FROM room
+      RETURNING *
+    `;
+    return await client.query(query, [name, senderId, recipientId]);
+  },
+
+  // Counts one more message against a pending request; no row once the limit is reached
+  claimSend: async (roomId, senderId, limit) => {
+    const query = `
+      UPDATE message_requests
+      SET message_count = message_count + 1
+      WHERE room_id = $1 AND sender_id = $2 AND status = 'pending' AND message_count < $3
+      RETURNING message_count
+    `;
+    return await db.query(query, [roomId, senderId, limit]);
+  },
+
+  // Pending requests sent to the user, newest first, keyed on (created_at, id),
+  // with the sender and the messages sent so far
+  getIncomingRequests: async (userId, { cursor = null, limit = 50 } = {}) => {
+    const params = [userId];
+    let cursorCondition = '';
+
+    if (cursor) {
+      params.push(cursor.id);
+      cursorCondition = `AND (mr.created_at, mr.id) < (
+        SELECT c.created_at, c.id FROM message_requests c WHERE c.id = $2 AND c.recipient_id = $1
+      )`;
+    }
+
+    params.push(limit);
+
+    const query = `
+      SELECT mr.id, mr.room_id, mr.created_at,
+             u.wallet_address as sender_wallet,
+             ${SENDER_PROFILE} as sender_profile,
+             COALESCE((
+               SELECT json_agg(json_build_object('id', m.id, 'content', m.content, 'created_at', m.created_at) ORDER BY m.created_at)
+               FROM messages m
+               WHERE m.room_id = mr.room_id AND m.sender_id = mr.sender_id AND m.deleted_at IS NULL
+             ), '[]') as messages
+      FROM message_requests mr
+      JOIN users u ON mr.sender_id = u.id
+      JOIN chat_rooms cr ON mr.room_id = cr.id
+      WHERE mr.recipient_id = $1
+      AND mr.status = 'pending'
+      AND cr.is_active = true
+      ${cursorCondition}
+      ORDER BY mr.created_at DESC, mr.id DESC
+      LIMIT $${params.length}
+    `;
+    return await db.query(query, params);
+  },
+
+  // Settles a pending request and the recipient's membership in one statement;
+  // accepting makes the recipient an approved member
+  respondToRequest: async (roomId, recipientId, status) => {
+    const query = `
+      WITH request AS (
+        UPDATE message_requests
+        SET status = $3, responded_at = CURRENT_TIMESTAMP
+        WHERE room_id = $1 AND recipient_id = $2 AND status = ANY($4::text[])
+        RETURNING *
+      ), membership AS (
+        UPDATE room_members
+        SET status = CASE WHEN $3 = 'accepted' THEN 'approved' ELSE 'rejected' END,
+            joined_at = CASE WHEN $3 = 'accepted' THEN CURRENT_TIMESTAMP ELSE joined_at END
+        WHERE room_id = $1 AND user_id = $2 AND EXISTS (SELECT 1 FROM request)
+      )
+      SELECT * FROM request
+    `;
+    const from = status === 'accepted' ? ['pending', 'declined', 'blocked'] : ['pending'];
+    return await db.query(query, [roomId, recipientId, status, from]);
+  }
+};
+
+module.exports = MessageRequestQueries;
\ No newline at end of file
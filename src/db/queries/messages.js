@@ -1,61 +1,335 @@
 const db = require('../../config/db');
+const { SENDER_PROFILE, REPLY_SUMMARY, DELETED_BY, ATTACHMENTS, LINK_PREVIEWS, reactionSummary, historyVisibleTo, senderBlockedBy } = require('./fragments');
+const { encodeCursor } = require('../../utils/cursor');
 
 const MessageQueries = {
-  createMessage: async (roomId, senderId, content, parentMessageId = null) => {
+  createMessage: async (roomId, senderId, content, parentMessageId = null, client = db) => {
     const query = `
       INSERT INTO messages (room_id, sender_id, content, parent_message_id)
       VALUES ($1, $2, $3, $4)
       RETURNING *
     `;
-    return await db.query(query, [roomId, senderId, content, parentMessageId]);
+    return await client.query(query, [roomId, senderId, content, parentMessageId]);
   },
 
-  getRoomMessages: async (roomId, limit = 50, before = null) => {
+  // One page of room messages, newest first, keyed on (created_at, id).
+  // Anchors are message ids: `before` / `after` exclude the anchor, `around`
+  // centres the page on it (anchor included in the older half). viewerId
+  // fills reacted_by_me in each message's reaction summary and sender_blocked,
+  // and hides messages from before the viewer joined a group DM. Deleted
+  // messages are returned as tombstones (empty content, deleted_at set).
+  getRoomMessages: async (roomId, { limit = 50, before = null, after = null, around = null, topLevelOnly = false, viewerId = null } = {}) => {
+    const fetchSlice = async (comparison, anchorId, order, count) => {
+      const params = [roomId, viewerId];
+      let anchorCondition = '';
+
+      if (anchorId) {
+        params.push(anchorId);
+        anchorCondition = `AND (m.created_at, m.id) ${comparison} (
+          SELECT c.created_at, c.id FROM messages c WHERE c.id = $3 AND c.room_id = $1
+        )`;
+      }
+
+      params.push(count);
+
+      const query = `
+        SELECT m.*, u.wallet_address as sender_wallet,
+               ${SENDER_PROFILE} as sender_profile,
+               ${REPLY_SUMMARY},
+               ${DELETED_BY},
+               ${ATTACHMENTS},
+               ${LINK_PREVIEWS},
+               ${reactionSummary('$2')},
+               ${senderBlockedBy('$2')},
+               COUNT(ml.id) as like_count,
+               ARRAY_AGG(DISTINCT ul.wallet_address) as liked_by
+        FROM messages m
+        JOIN users u ON m.sender_id = u.id
+        LEFT JOIN message_likes ml ON m.id = ml.message_id
+        LEFT JOIN users ul ON ml.user_id = ul.id
+        WHERE m.room_id = $1
+        AND ${historyVisibleTo('$2')}
+        ${topLevelOnly ? 'AND m.parent_message_id IS NULL' : ''}
+        ${anchorCondition}
+        GROUP BY m.id, u.id
+        ORDER BY m.created_at ${order}, m.id ${order}
+        LIMIT $${params.length}
+      `;
+      const result = await db.query(query, params);
+      return result.rows;
+    };
+
+    let older = [];
+    let newer = [];
+    let hasOlder = false;
+    let hasNewer = false;
+
+    if (around) {
+      const olderCount = Math.ceil(limit / 2);
+      const newerCount = limit - olderCount;
+      [older, newer] = await Promise.all([
+        fetchSlice('<=', around, 'DESC', olderCount + 1),
+        fetchSlice('>', around, 'ASC', newerCount + 1)
+      ]);
+      hasOlder = older.length > olderCount;
+      hasNewer = newer.length > newerCount;
+      older = older.slice(0, olderCount);
+      newer = newer.slice(0, newerCount);
+    } else if (after) {
+      // The anchor itself counts as older if the viewer can still see it
+      let olderCheck;
+      [newer, olderCheck] = await Promise.all([
+        fetchSlice('>', after, 'ASC', limit + 1),
+        fetchSlice('<=', after, 'DESC', 1)
+      ]);
+      hasNewer = newer.length > limit;
+      hasOlder = olderCheck.length > 0;
+      newer = newer.slice(0, limit);
+    } else {
+      let newerCheck = [];
+      [older, newerCheck] = await Promise.all([
+        fetchSlice('<', before, 'DESC', limit + 1),
+        before ? fetchSlice('>=', before, 'ASC', 1) : []
+      ]);
+      hasOlder = older.length > limit;
+      hasNewer = newerCheck.length > 0;
+      older = older.slice(0, limit);
+    }
+
+    const messages = [...newer.reverse(), ...older];
+
+    return {
+      messages,
+      pagination: {
+        limit,
+        hasOlder,
+        hasNewer,
+        // nextCursor pages towards older messages, prevCursor towards newer ones
+        nextCursor: hasOlder && messages.length ? encodeCursor(messages[messages.length - 1]) : null,
+        prevCursor: hasNewer && messages.length ? encodeCursor(messages[0]) : null
+      }
+    };
+  },
+
+  messageInRoom: async (messageId, roomId) => {
+    const query = 'SELECT 1 FROM messages WHERE id = $1 AND room_id = $2';
+    const result = await db.query(query, [messageId, roomId]);
+    return result.rows.length > 0;
+  },
+
+  getMessageById: async (messageId) => {
+    const query = 'SELECT * FROM messages WHERE id = $1';
+    return await db.query(query, [messageId]);
+  },
+
+  // With a viewer, messages from before they joined a group DM are left out
+  getMessageWithSender: async (messageId, viewerId = null) => {
+    const query = `
+      SELECT m.*, u.wallet_address as sender_wallet,
+             ${SENDER_PROFILE} as sender_profile,
+             ${REPLY_SUMMARY},
+             ${DELETED_BY},
+             ${ATTACHMENTS},
+             ${LINK_PREVIEWS}
+      FROM messages m
+      JOIN users u ON m.sender_id = u.id
+      WHERE m.id = $1
+      AND ${historyVisibleTo('$2')}
+    `;
+    return await db.query(query, [messageId, viewerId]);
+  },
+
+  getMessageVisibleTo: async (messageId, viewerId) => {
+    const query = `SELECT m.* FROM messages m WHERE m.id = $1 AND ${historyVisibleTo('$2')}`;
+    return await db.query(query, [messageId, viewerId]);
+  },
+
+  // Replies of a thread, oldest first, paginated with `after` (deleted replies as tombstones)
+  getThreadReplies: async (rootId, limit = 50, after = null, viewerId = null) => {
     let query = `
       SELECT m.*, u.wallet_address as sender_wallet,
+             ${SENDER_PROFILE} as sender_profile,
+             ${DELETED_BY},
+             ${ATTACHMENTS},
+             ${LINK_PREVIEWS},
+             ${reactionSummary('$2')},
+             ${senderBlockedBy('$2')},
              COUNT(ml.id) as like_count,
              ARRAY_AGG(DISTINCT ul.wallet_address) as liked_by
       FROM messages m
       JOIN users u ON m.sender_id = u.id
       LEFT JOIN message_likes ml ON m.id = ml.message_id
       LEFT JOIN users ul ON ml.user_id = ul.id
-      WHERE m.room_id = $1
-    `;
-    
-    const params = [roomId];
-    
-    if (before) {
-      query += ` AND m.created_at < $2`;
-      params.push(before);
+      WHERE m.parent_message_id = $1
+      AND ${historyVisibleTo('$2')}
+    `;
+
+    const params = [rootId, viewerId];
+
+    // after is the id of the last reply already seen, keyed on (created_at, id)
+    if (after) {
+      query += ` AND (m.created_at, m.id) > (
+        SELECT c.created_at, c.id FROM messages c WHERE c.id = $3 AND c.parent_message_id = $1
+      )`;
+      params.push(after);
     }
-    
+
     query += `
-      GROUP BY m.id, u.wallet_address
-      ORDER BY m.created_at DESC
+      GROUP BY m.id, u.id
+      ORDER BY m.created_at ASC, m.id ASC
       LIMIT $${params.length + 1}
     `;
     params.push(limit);
-    
+
     return await db.query(query, params);
   },
 
+  getThreadSummary: async (rootId) => {
+    const query = `
+      SELECT COUNT(*) as reply_count, MAX(created_at) as last_reply_at
+      FROM messages
+      WHERE parent_message_id = $1 AND deleted_at IS NULL
+    `;
+    return await db.query(query, [rootId]);
+  },
+
+  followThread: async (messageId, userId) => {
+    const query = `
+      INSERT INTO thread_followers (message_id, user_id)
+      VALUES ($1, $2)
+      ON CONFLICT (message_id, user_id) DO NOTHING
+      RETURNING *
+    `;
+    return await db.query(query, [messageId, userId]);
+  },
+
+  unfollowThread: async (messageId, userId) => {
+    const query = `
+      DELETE FROM thread_followers 
+      WHERE message_id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    return await db.query(query, [messageId, userId]);
+  },
+
+  isFollowingThread: async (messageId, userId) => {
+    const query = 'SELECT 1 FROM thread_followers WHERE message_id = $1 AND user_id = $2';
+    const result = await db.query(query, [messageId, userId]);
+    return result.rows.length > 0;
+  },
+
+  // Followers who are still approved members of the thread's room
+  getThreadFollowers: async (messageId) => {
+    const query = `
+      SELECT tf.user_id
+      FROM thread_followers tf
+      JOIN messages m ON tf.message_id = m.id
+      JOIN room_members rm ON rm.room_id = m.room_id AND rm.user_id = tf.user_id
+      WHERE tf.message_id = $1 AND rm.status = 'approved'
+    `;
+    return await db.query(query, [messageId]);
+  },
+
+  // Replaces the content of a live message, keeping the previous version in message_edits
   updateMessage: async (messageId, content, senderId) => {
     const query = `
-      UPDATE messages 
+      WITH previous AS (
+        SELECT id, content FROM messages
+        WHERE id = $1 AND sender_id = $3 AND deleted_at IS NULL
+        FOR UPDATE
+      ), history AS (
+        INSERT INTO message_edits (message_id, content, edited_by)
+        SELECT id, content, $3 FROM previous
+        WHERE content IS DISTINCT FROM $2
+      )
+      UPDATE messages m
       SET content = $2, is_edited = true, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1 AND sender_id = $3
-      RETURNING *
+      FROM previous
+      WHERE m.id = previous.id
+      RETURNING m.*
     `;
     return await db.query(query, [messageId, content, senderId]);
   },
 
-  deleteMessage: async (messageId, senderId) => {
+  // Tombstones a message: content, edit history, reactions and link previews are dropped,
+  // the row stays so replies and read markers keep pointing at it
+  deleteMessage: async (messageId, deletedBy, reason = null) => {
     const query = `
-      DELETE FROM messages 
-      WHERE id = $1 AND sender_id = $2
-      RETURNING *
+      WITH tombstone AS (
+        UPDATE messages
+        SET content = '', deleted_at = CURRENT_TIMESTAMP, deleted_by = $2,
+            deletion_reason = $3, pinned_at = NULL, pinned_by = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING *
+      ), history AS (
+        DELETE FROM message_edits WHERE message_id IN (SELECT id FROM tombstone)
+      ), reactions AS (
+        DELETE FROM message_likes WHERE message_id IN (SELECT id FROM tombstone)
+      ), previews AS (
+        DELETE FROM message_link_previews WHERE message_id IN (SELECT id FROM tombstone)
+      ), mentions AS (
+        DELETE FROM message_mentions WHERE message_id IN (SELECT id FROM tombstone)
+      ), notices AS (
+        DELETE FROM notifications WHERE message_id IN (SELECT id FROM tombstone)
+      )
+      SELECT * FROM tombstone
+    `;
+    return await db.query(query, [messageId, deletedBy, reason]);
+  },
+
+  // Pins a live message of the room the pinner can see; no row if it is
+  // already pinned
+  pinMessage: async (messageId, roomId, userId) => {
+    const query = `
+      UPDATE messages m
+      SET pinned_at = CURRENT_TIMESTAMP, pinned_by = $3
+      WHERE m.id = $1 AND m.room_id = $2 AND m.deleted_at IS NULL AND m.pinned_at IS NULL
+      AND ${historyVisibleTo('$3')}
+      RETURNING m.id, m.room_id, m.pinned_at
+    `;
+    return await db.query(query, [messageId, roomId, userId]);
+  },
+
+  unpinMessage: async (messageId, roomId) => {
+    const query = `
+      UPDATE messages
+      SET pinned_at = NULL, pinned_by = NULL
+      WHERE id = $1 AND room_id = $2 AND pinned_at IS NOT NULL
+      RETURNING id, room_id
+    `;
+    return await db.query(query, [messageId, roomId]);
+  },
+
+  // Pinned messages of a room, most recently pinned first
+  getPinnedMessages: async (roomId, viewerId, limit = 100) => {
+    const query = `
+      SELECT m.*, u.wallet_address as sender_wallet,
+             ${SENDER_PROFILE} as sender_profile,
+             ${ATTACHMENTS},
+             ${LINK_PREVIEWS},
+             pinner.wallet_address as pinned_by_wallet
+      FROM messages m
+      JOIN users u ON m.sender_id = u.id
+      LEFT JOIN users pinner ON m.pinned_by = pinner.id
+      WHERE m.room_id = $1 AND m.pinned_at IS NOT NULL
+      AND ${historyVisibleTo('$2')}
+      ORDER BY m.pinned_at DESC
+      LIMIT $3
     `;
-    return await db.query(query, [messageId, senderId]);
+    return await db.query(query, [roomId, viewerId, limit]);
+  },
+
+  // Previous versions of a message, oldest first
+  getMessageEdits: async (messageId) => {
+    const query = `
+      SELECT e.id, e.content, e.edited_at, u.wallet_address as edited_by
+      FROM message_edits e
+      LEFT JOIN users u ON e.edited_by = u.id
+      WHERE e.message_id = $1
+      ORDER BY e.edited_at ASC
+    `;
+    return await db.query(query, [messageId]);
   },
 
   likeMessage: async (messageId, userId, reactionType = 'like') => {
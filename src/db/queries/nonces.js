@@ -0,0 +1,41 @@
+const db = require('../../config/db');
+
+const NonceQueries = {
+  createNonce: async (nonce, walletAddress, chainId, ttlMinutes) => {
+    const query = `
+      INSERT INTO auth_nonces (nonce, wallet_address, chain_id, expires_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 * INTERVAL '1 minute'))
+      RETURNING *
+    `;
+    return await db.query(query, [nonce, walletAddress, chainId, ttlMinutes]);
+  },
+
+  getActiveNonce: async (nonce) => {
+    const query = `
+      SELECT * FROM auth_nonces
+      WHERE nonce = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    `;
+    return await db.query(query, [nonce]);
+  },
+
+  // Marks the nonce used; returns no rows if another request consumed it first
+  consumeNonce: async (nonce) => {
+    const query = `
+      UPDATE auth_nonces
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE nonce = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    return await db.query(query, [nonce]);
+  },
+
+  deleteExpiredNonces: async () => {
+    const query = `
+      DELETE FROM auth_nonces
+      WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '1 day'
+    `;
+    return await db.query(query);
+  }
+};
+
+module.exports = NonceQueries;
\ No newline at end of file
@@ -0,0 +1,123 @@
+const db = require('../../config/db');
+const { SENDER_PROFILE } = require('./fragments');
+
+// Notification rows with room, actor and message details attached; the message
+// preview is only shown while the recipient is still an approved member
+const NOTIFICATION_SELECT = `
+  SELECT n.id, n.type, n.room_id, cr.name as room_name, n.message_id,
+         CASE WHEN rm.status = 'approved' THEN LEFT(m.content, 200) END as message_preview,
+         u.wallet_address as actor_wallet,
+         CASE WHEN u.id IS NOT NULL THEN ${SENDER_PROFILE} END as actor_profile,
+         n.data, n.read_at, n.created_at
+  FROM notifications n
+  LEFT JOIN chat_rooms cr ON n.room_id = cr.id
+  LEFT JOIN messages m ON n.message_id = m.id
+  LEFT JOIN users u ON n.actor_id = u.id
+  LEFT JOIN room_members rm ON rm.room_id = n.room_id AND rm.user_id = n.user_id
+`;
+
+const NotificationQueries = {
+  // Inserts one notification per recipient; returns the new ids and recipients
+  createNotifications: async (userIds, { type, roomId = null, messageId = null, actorId = null, data = {} }) => {
+    const query = `
+      INSERT INTO notifications (user_id, type, room_id, message_id, actor_id, data)
+      SELECT t.user_id, $2, $3, $4, $5, $6
+      FROM unnest($1::uuid[]) AS t(user_id)
+      RETURNING id, user_id
+    `;
+    return await db.query(query, [userIds, type, roomId, messageId, actorId, data]);
+  },
+
+  getNotificationsByIds: async (ids) => {
+    const query = `
+      ${NOTIFICATION_SELECT}
+      WHERE n.id = ANY($1::uuid[])
+      ORDER BY n.created_at DESC, n.id DESC
+    `;
+    return await db.query(query, [ids]);
+  },
+
+  // Newest first, keyed on (created_at, id)
+  getUserNotifications: async (userId, { unreadOnly = false, cursor = null, limit = 50 } = {}) => {
+    const params = [userId];
+    let cursorCondition = '';
+
+    if (cursor) {
+      params.push(cursor.id);
+      cursorCondition = `AND (n.created_at, n.id) < (
+        SELECT c.created_at, c.id FROM notifications c WHERE c.id = $2 AND c.user_id = $1
+      )`;
+    }
+
+    params.push(limit);
+
+    const query = `
+      ${NOTIFICATION_SELECT}
+      WHERE n.user_id = $1
+      ${unreadOnly ? 'AND n.read_at IS NULL' : ''}
+      ${cursorCondition}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $${params.length}
+    `;
+    return await db.query(query, params);
+  },
+
+  getUnreadCount: async (userId) => {
+    const query = 'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL';
+    const result = await db.query(query, [userId]);
+    return parseInt(result.rows[0].count);
+  },
+
+  // Marks the given notifications (all of the user's when ids is null) read
+  // or unread; returns the ids that changed
+  setRead: async (userId, ids, read) => {
+    const query = `
+      UPDATE notifications
+      SET read_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP END
+      WHERE user_id = $1
+      AND ($2::uuid[] IS NULL OR id = ANY($2::uuid[]))
+      AND (read_at IS NULL) = $3
+      RETURNING id
+    `;
+    return await db.query(query, [userId, ids, read]);
+  },
+
+  // The subset of userIds that want a notification from this room right now:
+  // approved members whose level allows it and who have not muted the room.
+  // kind is 'mention' (levels all and mentions) or 'activity' (level all).
+  // Members who blocked actorId are left out.
+  getNotifiableMembers: async (roomId, userIds, kind, actorId = null) => {
+    const query = `
+      SELECT user_id FROM room_members rm
+      WHERE room_id = $1 AND user_id = ANY($2::uuid[])
+      AND status = 'approved'
+      AND notification_level = ANY($3::text[])
+      AND (muted_until IS NULL OR muted_until <= CURRENT_TIMESTAMP)
+      AND NOT EXISTS (
+        SELECT 1 FROM user_blocks ub WHERE ub.blocker_id = rm.user_id AND ub.blocked_id = $4::uuid
+      )
+    `;
+    const levels = kind === 'mention' ? ['all', 'mentions'] : ['all'];
+    return await db.query(query, [roomId, userIds, levels, actorId]);
+  },
+
+  getRoomPreferences: async (roomId, userId) => {
+    const query = `
+      SELECT notification_level, muted_until FROM room_members
+      WHERE room_id = $1 AND user_id = $2 AND status IN ('approved', 'pending')
+    `;
+    return await db.query(query, [roomId, userId]);
+  },
+
+  updateRoomPreferences: async (roomId, userId, level, mutedUntil) => {
+    const query = `
+      UPDATE room_members
+      SET notification_level = $3, muted_until = $4
+      WHERE room_id = $1 AND user_id = $2 AND status IN ('approved', 'pending')
+      RETURNING notification_level, muted_until
+    `;
+    return await db.query(query, [roomId, userId, level, mutedUntil]);
+  }
+};
+
+module.exports = NotificationQueries;
\ No newline at end of file
@@ -0,0 +1,88 @@
+const db = require('../../config/db');
+const { SENDER_PROFILE, reactionSummary } = require('./fragments');
+
+const ReactionQueries = {
+  getReactionSummary: async (messageId, viewerId = null) => {
+    const query = `
+      SELECT ${reactionSummary('$2')}
+      FROM messages m
+      WHERE m.id = $1
+    `;
+    return await db.query(query, [messageId, viewerId]);
+  },
+
+  // Who reacted, newest first, optionally for a single reaction
+  getReactors: async (messageId, reaction = null, limit = 100) => {
+    const query = `
+      SELECT ml.reaction_type as reaction, ml.created_at,
+             u.wallet_address, ${SENDER_PROFILE} as profile
+      FROM message_likes ml
+      JOIN users u ON ml.user_id = u.id
+      WHERE ml.message_id = $1
+      AND ($2::text IS NULL OR ml.reaction_type = $2)
+      ORDER BY ml.created_at DESC
+      LIMIT $3
+    `;
+    return await db.query(query, [messageId, reaction, limit]);
+  },
+
+  getAllowedReactions: async (roomId) => {
+    const query = 'SELECT allowed_reactions FROM chat_rooms WHERE id = $1';
+    return await db.query(query, [roomId]);
+  },
+
+  setAllowedReactions: async (roomId, allowedReactions) => {
+    const query = `
+      UPDATE chat_rooms
+      SET allowed_reactions = $2
+      WHERE id = $1
+      RETURNING allowed_reactions
+    `;
+    return await db.query(query, [roomId, allowedReactions]);
+  },
+
+  getCustomReactions: async (roomId) => {
+    const query = `
+      SELECT shortcode, image_url, created_at
+      FROM room_reactions
+      WHERE room_id = $1
+      ORDER BY shortcode
+    `;
+    return await db.query(query, [roomId]);
+  },
+
+  getCustomReaction: async (roomId, shortcode) => {
+    const query = 'SELECT * FROM room_reactions WHERE room_id = $1 AND shortcode = $2';
+    return await db.query(query, [roomId, shortcode]);
+  },
+
+  createCustomReaction: async (roomId, shortcode, imageUrl, createdBy) => {
+    const query = `
+      INSERT INTO room_reactions (room_id, shortcode, image_url, created_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (room_id, shortcode) DO NOTHING
+      RETURNING shortcode, image_url, created_at
+    `;
+    return await db.query(query, [roomId, shortcode, imageUrl, createdBy]);
+  },
+
+  // Also drops the shortcode from the room's allow-list; an allow-list left
+  // empty becomes NULL (any reaction) rather than rejecting every reaction
+  deleteCustomReaction: async (roomId, shortcode) => {
+    const query = `
+      WITH removed AS (
+        DELETE FROM room_reactions
+        WHERE room_id = $1 AND shortcode = $2
+        RETURNING shortcode
+      ), allowed AS (
+        UPDATE chat_rooms
+        SET allowed_reactions = NULLIF(array_remove(allowed_reactions, $2), '{}')
+        WHERE id = $1 AND EXISTS (SELECT 1 FROM removed)
+      )
+      SELECT shortcode FROM removed
+    `;
+    return await db.query(query, [roomId, shortcode]);
+  }
+};
+
+module.exports = ReactionQueries;
\ No newline at end of file
@@ -0,0 +1,51 @@
+const db = require('../../config/db');
+const { UNREAD_CONDITION } = require('./fragments');
+
+const ReadStateQueries = {
+  // Moves the member's read marker to messageId (or the room's latest message).
+  // Markers only move forward; returns no row when nothing changed.
+  markRead: async (roomId, userId, messageId = null) => {
+    const query = `
+      UPDATE room_members rm
+      SET last_read_message_id = m.id, last_read_at = m.created_at
+      FROM messages m
+      WHERE rm.room_id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
+      AND m.room_id = $1
+      AND m.id = COALESCE($3::uuid, (
+        SELECT l.id FROM messages l WHERE l.room_id = $1
+        ORDER BY l.created_at DESC, l.id DESC LIMIT 1
+      ))
+      AND (
+        rm.last_read_at IS NULL
+        OR (m.created_at, m.id) > (rm.last_read_at, rm.last_read_message_id)
+      )
+      RETURNING rm.last_read_message_id, rm.last_read_at
+    `;
+    return await db.query(query, [roomId, userId, messageId]);
+  },
+
+  getReadState: async (roomId, userId) => {
+    const query = `
+      SELECT rm.last_read_message_id, rm.last_read_at,
+             (SELECT COUNT(*) FROM messages m WHERE m.room_id = rm.room_id AND ${UNREAD_CONDITION}) as unread_count
+      FROM room_members rm
+      WHERE rm.room_id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
+    `;
+    return await db.query(query, [roomId, userId]);
+  },
+
+  // Read markers of every approved member, for "seen" indicators
+  getRoomReceipts: async (roomId) => {
+    const query = `
+      SELECT u.wallet_address, rm.last_read_message_id, rm.last_read_at
+      FROM room_members rm
+      JOIN users u ON rm.user_id = u.id
+      WHERE rm.room_id = $1 AND rm.status = 'approved'
+      AND rm.last_read_message_id IS NOT NULL
+      ORDER BY rm.last_read_at DESC
+    `;
+    return await db.query(query, [roomId]);
+  }
+};
+
+module.exports = ReadStateQueries;
\ No newline at end of file
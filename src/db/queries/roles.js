@@ -0,0 +1,107 @@
+const db = require('../../config/db');
+
+const RoleQueries = {
+  // Approved membership joined with its custom role definition (if any)
+  getMemberWithRole: async (roomId, userId) => {
+    const query = `
+      SELECT rm.*, rr.permissions as custom_permissions, rr.rank as custom_rank
+      FROM room_members rm
+      LEFT JOIN room_roles rr ON rr.room_id = rm.room_id AND rr.name = rm.role
+      WHERE rm.room_id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
+    `;
+    return await db.query(query, [roomId, userId]);
+  },
+
+  getApprovedMembersWithRoles: async (roomId, excludeUserId = null) => {
+    const query = `
+      SELECT rm.*, rr.permissions as custom_permissions, rr.rank as custom_rank
+      FROM room_members rm
+      LEFT JOIN room_roles rr ON rr.room_id = rm.room_id AND rr.name = rm.role
+      WHERE rm.room_id = $1 AND rm.status = 'approved'
+      AND ($2::uuid IS NULL OR rm.user_id != $2)
+      ORDER BY rm.joined_at ASC
+    `;
+    return await db.query(query, [roomId, excludeUserId]);
+  },
+
+  getCustomRoles: async (roomId) => {
+    const query = `
+      SELECT name, permissions, rank, created_at
+      FROM room_roles
+      WHERE room_id = $1
+      ORDER BY rank DESC, name
+    `;
+    return await db.query(query, [roomId]);
+  },
+
+  createCustomRole: async (roomId, name, permissions, rank) => {
+    const query = `
+      INSERT INTO room_roles (room_id, name, permissions, rank)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (room_id, name) DO NOTHING
+      RETURNING name, permissions, rank, created_at
+    `;
+    return await db.query(query, [roomId, name, permissions, rank]);
+  },
+
+  // Members holding the role fall back to plain member
+  deleteCustomRole: async (roomId, name) => {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        'DELETE FROM room_roles WHERE room_id = $1 AND name = $2 RETURNING *',
+        [roomId, name]
+      );
+      await client.query(
+        `UPDATE room_members SET role = 'member', is_admin = false WHERE room_id = $1 AND role = $2`,
+        [roomId, name]
+      );
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  setMemberRole: async (roomId, userId, role, isAdmin) => {
+    const query = `
+      UPDATE room_members
+      SET role = $3, is_admin = $4
+      WHERE room_id = $1 AND user_id = $2
+      RETURNING *
+    `;
+    return await db.query(query, [roomId, userId, role, isAdmin]);
+  },
+
+  // Hand the owner role to another member and point chat_rooms.admin_id at them
+  transferOwnership: async (roomId, fromUserId, toUserId, formerOwnerRole = 'member') => {
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE room_members SET role = $3, is_admin = $4 WHERE room_id = $1 AND user_id = $2',
+        [roomId, fromUserId, formerOwnerRole, formerOwnerRole === 'admin']
+      );
+      await client.query(
+        `UPDATE room_members SET role = 'owner', is_admin = true WHERE room_id = $1 AND user_id = $2`,
+        [roomId, toUserId]
+      );
+      await client.query(
+        'UPDATE chat_rooms SET admin_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [roomId, toUserId]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+};
+
+module.exports = RoleQueries;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const db = require('../../config/db');
+const { UNREAD_CONDITION } = require('./fragments');
 
 const RoomQueries = {
   createRoom: async (name, description, roomType, adminId) => {
@@ -27,7 +28,7 @@ const RoomQueries = {
       FROM chat_rooms cr
       JOIN users u ON cr.admin_id = u.id
       LEFT JOIN room_members rm ON cr.id = rm.room_id AND rm.status = 'approved'
-      WHERE cr.room_type = 'public' AND cr.is_active = true
+      WHERE cr.room_type IN ('public', 'gated') AND cr.is_active = true
       GROUP BY cr.id, u.wallet_address
       ORDER BY cr.created_at DESC
       LIMIT $1 OFFSET $2
@@ -38,27 +39,49 @@ const RoomQueries = {
   getUserRooms: async (userId) => {
     const query = `
       SELECT cr.*, u.wallet_address as admin_wallet,
-             rm.status, rm.is_admin
+             rm.status, rm.is_admin, rm.role,
+             rm.last_read_message_id, rm.last_read_at,
+             rm.notification_level, rm.muted_until,
+             COUNT(m.id) as unread_count,
+             COUNT(mm.message_id) as mention_count
       FROM room_members rm
       JOIN chat_rooms cr ON rm.room_id = cr.id
       JOIN users u ON cr.admin_id = u.id
+      LEFT JOIN messages m ON m.room_id = cr.id
+        AND rm.status = 'approved'
+        AND ${UNREAD_CONDITION}
+      LEFT JOIN message_mentions mm ON mm.message_id = m.id AND mm.user_id = rm.user_id
       WHERE rm.user_id = $1 
       AND rm.status IN ('approved', 'pending')
       AND cr.is_active = true
+      GROUP BY cr.id, u.id, rm.id
       ORDER BY cr.updated_at DESC
     `;
     return await db.query(query, [userId]);
   },
 
-  addRoomMember: async (roomId, userId, status = 'pending', isAdmin = false) => {
+  // Re-adding a former member starts them over: new role, join time and read state
+  addRoomMember: async (roomId, userId, status = 'pending', isAdmin = false, role = 'member') => {
     const query = `
-      INSERT INTO room_members (room_id, user_id, status, is_admin)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (room_id, user_id) 
-      DO UPDATE SET status = EXCLUDED.status
+      INSERT INTO room_members (room_id, user_id, status, is_admin, role)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (room_id, user_id)
+      DO UPDATE SET status = EXCLUDED.status, is_admin = EXCLUDED.is_admin, role = EXCLUDED.role,
+                    joined_at = CURRENT_TIMESTAMP, left_at = NULL,
+                    last_read_message_id = NULL, last_read_at = NULL
+      RETURNING *
+    `;
+    return await db.query(query, [roomId, userId, status, isAdmin, role]);
+  },
+
+  updateRoom: async (roomId, name, description) => {
+    const query = `
+      UPDATE chat_rooms
+      SET name = COALESCE($2, name), description = COALESCE($3, description), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND is_active = true
       RETURNING *
     `;
-    return await db.query(query, [roomId, userId, status, isAdmin]);
+    return await db.query(query, [roomId, name, description]);
   },
 
   removeRoomMember: async (roomId, userId) => {
@@ -70,6 +93,12 @@ const RoomQueries = {
     return await db.query(query, [roomId, userId]);
   },
 
+  // Membership row in any status
+  getMembership: async (roomId, userId) => {
+    const query = 'SELECT * FROM room_members WHERE room_id = $1 AND user_id = $2';
+    return await db.query(query, [roomId, userId]);
+  },
+
   updateMemberStatus: async (roomId, userId, status) => {
     const query = `
       UPDATE room_members 
@@ -82,7 +111,8 @@ const RoomQueries = {
 
   getRoomMembers: async (roomId) => {
     const query = `
-      SELECT u.wallet_address, rm.status, rm.is_admin, rm.joined_at
+      SELECT rm.user_id, u.wallet_address, rm.status, rm.is_admin, rm.role, rm.joined_at,
+             u.last_seen_at
       FROM room_members rm
       JOIN users u ON rm.user_id = u.id
       WHERE rm.room_id = $1 AND rm.status = 'approved'
@@ -118,7 +148,7 @@ const RoomQueries = {
     return await db.query(query, [roomId]);
   },
 
-  getP2PRoom: async (user1Id, user2Id) => {
+  getP2PRoom: async (user1Id, user2Id, client = db) => {
     const query = `
       SELECT cr.*
       FROM chat_rooms cr
@@ -130,44 +160,19 @@ const RoomQueries = {
       AND cr.is_active = true
       LIMIT 1
     `;
-    return await db.query(query, [user1Id, user2Id]);
+    return await client.query(query, [user1Id, user2Id]);
   },
 
-  createP2PRoom: async (user1Id, user2Id) => {
+  createP2PRoom: async (user1Id, user2Id, client = db) => {
     // Use the PostgreSQL function
     const query = `SELECT create_or_get_p2p_room($1, $2) as room_id`;
-    const user1 = await db.query('SELECT wallet_address FROM users WHERE id = $1', [user1Id]);
-    const user2 = await db.query('SELECT wallet_address FROM users WHERE id = $2', [user2Id]);
+    const user1 = await client.query('SELECT wallet_address FROM users WHERE id = $1', [user1Id]);
+    const user2 = await client.query('SELECT wallet_address FROM users WHERE id = $1', [user2Id]);
     
-    return await db.query(query, [
+    return await client.query(query, [
       user1.rows[0].wallet_address,
       user2.rows[0].wallet_address
     ]);
-  },
-
-  // ADDED: Function to get room messages
-  getRoomMessages: async (roomId, limit = 50, offset = 0) => {
-    const query = `
-      SELECT 
-        m.*,
-        u.wallet_address as sender_wallet
-      FROM messages m
-      JOIN users u ON m.sender_id = u.id
-      WHERE m.room_id = $1
-      ORDER BY m.created_at DESC
-      LIMIT $2 OFFSET $3
-    `;
-    return await db.query(query, [roomId, limit, offset]);
-  },
-
-  // ADDED: Function to send a message (if not already in a separate queries file)
-  sendMessage: async (roomId, senderId, content) => {
-    const query = `
-      INSERT INTO messages (room_id, sender_id, content)
-      VALUES ($1, $2, $3)
-      RETURNING *
-    `;
-    return await db.query(query, [roomId, senderId, content]);
   }
 };
 
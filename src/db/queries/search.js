@@ -0,0 +1,70 @@
+const db = require('../../config/db');
+const { SENDER_PROFILE, REPLY_SUMMARY, historyVisibleTo } = require('./fragments');
+
+// Content is HTML-escaped before highlighting so snippets are safe to render
+const ESCAPED_CONTENT = `replace(replace(replace(m.content, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+
+const SearchQueries = {
+  // Newest-first matches in active rooms where the user is an approved member
+  searchMessages: async (userId, q, { roomId, senderWallet, from, to, hasReplies, cursor, limit = 20 }) => {
+    const params = [userId, q];
+    const conditions = [];
+
+    if (roomId) {
+      params.push(roomId);
+      conditions.push(`m.room_id = $${params.length}`);
+    }
+
+    if (senderWallet) {
+      params.push(senderWallet);
+      conditions.push(`LOWER(u.wallet_address) = LOWER($${params.length})`);
+    }
+
+    if (from) {
+      params.push(from);
+      conditions.push(`m.created_at >= $${params.length}`);
+    }
+
+    if (to) {
+      params.push(to);
+      conditions.push(`m.created_at <= $${params.length}`);
+    }
+
+    if (hasReplies !== undefined) {
+      conditions.push(`${hasReplies ? '' : 'NOT '}EXISTS (SELECT 1 FROM messages r WHERE r.parent_message_id = m.id AND r.deleted_at IS NULL)`);
+    }
+
+    if (cursor) {
+      params.push(cursor.id);
+      conditions.push(`(m.created_at, m.id) < (SELECT c.created_at, c.id FROM messages c WHERE c.id = $${params.length})`);
+    }
+
+    params.push(limit);
+
+    const query = `
+      SELECT m.*, u.wallet_address as sender_wallet,
+             ${SENDER_PROFILE} as sender_profile,
+             ${REPLY_SUMMARY},
+             cr.name as room_name,
+             ts_rank(m.content_tsv, query) as rank,
+             ts_headline('english', ${ESCAPED_CONTENT}, query,
+               'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5') as snippet
+      FROM messages m
+      CROSS JOIN websearch_to_tsquery('english', $2) query
+      JOIN users u ON m.sender_id = u.id
+      JOIN chat_rooms cr ON m.room_id = cr.id
+      JOIN room_members rm ON rm.room_id = m.room_id AND rm.user_id = $1
+      WHERE m.content_tsv @@ query
+      AND m.deleted_at IS NULL
+      AND rm.status = 'approved'
+      AND cr.is_active = true
+      AND ${historyVisibleTo('$1')}
+      ${conditions.map(c => `AND ${c}`).join('\n      ')}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $${params.length}
+    `;
+    return await db.query(query, params);
+  }
+};
+
+module.exports = SearchQueries;
\ No newline at end of file
@@ -0,0 +1,98 @@
+const db = require('../../config/db');
+
+const SessionQueries = {
+  // Pass familyId to continue an existing family (rotation), or null to start a new one
+  createSession: async (userId, tokenHash, ttlDays, { familyId = null, userAgent = null, ipAddress = null } = {}, client = db) => {
+    const query = `
+      INSERT INTO sessions (family_id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+      VALUES (COALESCE($1, uuid_generate_v4()), $2, $3, $4, $5, CURRENT_TIMESTAMP + ($6 * INTERVAL '1 day'))
+      RETURNING *
+    `;
+    return await client.query(query, [familyId, userId, tokenHash, userAgent, ipAddress, ttlDays]);
+  },
+
+  getSessionByTokenHashForUpdate: async (tokenHash, client) => {
+    const query = `
+      SELECT s.*, u.wallet_address
+      FROM sessions s
+      JOIN users u ON s.user_id = u.id
+      WHERE s.refresh_token_hash = $1
+      FOR UPDATE OF s
+    `;
+    return await client.query(query, [tokenHash]);
+  },
+
+  markSessionReplaced: async (sessionRowId, client = db) => {
+    const query = `
+      UPDATE sessions 
+      SET replaced_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    return await client.query(query, [sessionRowId]);
+  },
+
+  // A family is active while its current (unreplaced) token is unrevoked and unexpired
+  isSessionActive: async (familyId) => {
+    const query = `
+      SELECT 1 FROM sessions
+      WHERE family_id = $1
+      AND replaced_at IS NULL
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const result = await db.query(query, [familyId]);
+    return result.rows.length > 0;
+  },
+
+  getUserSessions: async (userId) => {
+    const query = `
+      SELECT 
+        s.family_id as id,
+        s.user_agent,
+        s.ip_address,
+        s.created_at as last_used_at,
+        s.expires_at,
+        (SELECT MIN(f.created_at) FROM sessions f WHERE f.family_id = s.family_id) as created_at
+      FROM sessions s
+      WHERE s.user_id = $1
+      AND s.replaced_at IS NULL
+      AND s.revoked_at IS NULL
+      AND s.expires_at > CURRENT_TIMESTAMP
+      ORDER BY s.created_at DESC
+    `;
+    return await db.query(query, [userId]);
+  },
+
+  revokeFamily: async (familyId, reason, client = db) => {
+    const query = `
+      UPDATE sessions 
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+      WHERE family_id = $1 AND revoked_at IS NULL
+      RETURNING family_id
+    `;
+    return await client.query(query, [familyId, reason]);
+  },
+
+  revokeUserFamily: async (userId, familyId, reason) => {
+    const query = `
+      UPDATE sessions 
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+      WHERE user_id = $1 AND family_id = $2 AND revoked_at IS NULL
+      RETURNING family_id
+    `;
+    return await db.query(query, [userId, familyId, reason]);
+  },
+
+  revokeOtherUserSessions: async (userId, keepFamilyId, reason) => {
+    const query = `
+      UPDATE sessions 
+      SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $3
+      WHERE user_id = $1 AND family_id != $2 AND revoked_at IS NULL
+      RETURNING family_id
+    `;
+    return await db.query(query, [userId, keepFamilyId, reason]);
+  }
+};
+
+module.exports = SessionQueries;
\ No newline at end of file
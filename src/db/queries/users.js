@@ -1,20 +1,16 @@
 const db = require('../../config/db');
 
 const UserQueries = {
-  // Create or update user with new nonce
+  // Create user on first sign-in attempt (login nonces live in auth_nonces)
   createOrUpdateUser: async (walletAddress) => {
-    const nonce = Math.floor(Math.random() * 1000000).toString();
     const query = `
-      INSERT INTO users (wallet_address, nonce, last_login)
-      VALUES ($1, $2, CURRENT_TIMESTAMP)
+      INSERT INTO users (wallet_address)
+      VALUES ($1)
       ON CONFLICT (wallet_address) 
-      DO UPDATE SET 
-        nonce = EXCLUDED.nonce,
-        last_login = CURRENT_TIMESTAMP,
-        updated_at = CURRENT_TIMESTAMP
+      DO UPDATE SET updated_at = CURRENT_TIMESTAMP
       RETURNING *
     `;
-    return await db.query(query, [walletAddress, nonce]);
+    return await db.query(query, [walletAddress]);
   },
 
   getUserByWallet: async (walletAddress) => {
@@ -22,19 +18,75 @@ const UserQueries = {
     return await db.query(query, [walletAddress]);
   },
 
+  // Addresses typed by other users may differ in checksum case from the stored one
+  getUserByWalletAnyCase: async (walletAddress) => {
+    const query = 'SELECT * FROM users WHERE LOWER(wallet_address) = LOWER($1)';
+    return await db.query(query, [walletAddress]);
+  },
+
   getUserById: async (userId) => {
     const query = 'SELECT * FROM users WHERE id = $1';
     return await db.query(query, [userId]);
   },
 
-  updateUserNonce: async (walletAddress, nonce) => {
+  // Only keys present in `fields` are written, so null clears a field
+  updateProfile: async (userId, fields) => {
+    const columns = {
+      displayName: 'display_name',
+      bio: 'bio',
+      avatarUrl: 'avatar_url'
+    };
+    const sets = [];
+    const params = [userId];
+
+    Object.keys(columns).forEach(key => {
+      if (fields[key] !== undefined) {
+        params.push(fields[key]);
+        sets.push(`${columns[key]} = $${params.length}`);
+      }
+    });
+
+    if (!sets.length) {
+      return await UserQueries.getUserById(userId);
+    }
+
+    const query = `
+      UPDATE users 
+      SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 
+      RETURNING *
+    `;
+    return await db.query(query, params);
+  },
+
+  updateEnsRecord: async (userId, ensName, ensAvatar) => {
     const query = `
       UPDATE users 
-      SET nonce = $2, updated_at = CURRENT_TIMESTAMP 
-      WHERE wallet_address = $1 
-      RETURNING nonce
+      SET ens_name = $2, ens_avatar = $3, ens_resolved_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 
+      RETURNING *
     `;
-    return await db.query(query, [walletAddress, nonce]);
+    return await db.query(query, [userId, ensName, ensAvatar]);
+  },
+
+  updateLastLogin: async (userId) => {
+    const query = `
+      UPDATE users 
+      SET last_login = CURRENT_TIMESTAMP 
+      WHERE id = $1 
+      RETURNING *
+    `;
+    return await db.query(query, [userId]);
+  },
+
+  updateLastSeen: async (userId) => {
+    const query = `
+      UPDATE users 
+      SET last_seen_at = CURRENT_TIMESTAMP 
+      WHERE id = $1 
+      RETURNING last_seen_at
+    `;
+    return await db.query(query, [userId]);
   }
 };
 
@@ -1,16 +1,39 @@
 const { ethers } = require('ethers');
 const { verifyToken } = require('../config/jwt');
+const { parseSiweMessage, validateSiweMessage, getExpectedDomains } = require('../config/siwe');
+const { resolveRole } = require('../config/roles');
 const UserQueries = require('../db/queries/users');
+const NonceQueries = require('../db/queries/nonces');
+const RoleQueries = require('../db/queries/roles');
+const ChainService = require('../services/chain');
+const SessionService = require('../services/sessions');
 const MessageQueries = require('../db/queries/messages');
 const db = require('../config/db'); // Add this import at the top
 
-const verifyWalletSignature = (message, signature, walletAddress) => {
+// Signatures are 65 bytes for EOAs; smart-contract wallets may use any length
+// (e.g. concatenated Safe owner signatures), capped to keep RPC payloads sane
+const SIGNATURE_REGEX = /^0x([a-fA-F0-9]{2}){1,4096}$/;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const verifyWalletSignature = async (message, signature, walletAddress, chainId) => {
   try {
-    // Recover the address from the signature
-    const recoveredAddress = ethers.verifyMessage(message, signature);
-    
-    // Compare recovered address with provided address (case-insensitive)
-    return recoveredAddress.toLowerCase() === walletAddress.toLowerCase();
+    if (ethers.dataLength(signature) === 65) {
+      try {
+        // Recover the address from the signature
+        const recoveredAddress = ethers.verifyMessage(message, signature);
+        
+        // Compare recovered address with provided address (case-insensitive)
+        if (recoveredAddress.toLowerCase() === walletAddress.toLowerCase()) {
+          return true;
+        }
+      } catch (error) {
+        // Not a recoverable ECDSA signature; may still be valid for a contract wallet
+      }
+    }
+
+    // Fall back to EIP-1271 for smart-contract wallets
+    return await ChainService.isValidContractSignature(walletAddress, message, signature, chainId);
   } catch (error) {
     console.error('Signature verification error:', error);
     return false;
@@ -29,6 +52,12 @@ const authMiddleware = {
       }
 
       const decoded = verifyToken(token);
+
+      // Tokens without a session id predate refresh rotation and cannot be revoked
+      if (!decoded.sid || !(await SessionService.isActive(decoded.sid))) {
+        return res.status(401).json({ error: 'Session expired or revoked' });
+      }
+
       const userResult = await UserQueries.getUserByWallet(decoded.walletAddress);
 
       if (!userResult.rows.length) {
@@ -36,49 +65,76 @@ const authMiddleware = {
       }
 
       req.user = userResult.rows[0];
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
   },
 
-  // Verify wallet signature for login
+  // Verify a signed Sign-In with Ethereum (EIP-4361) message for login
   verifySignature: async (req, res, next) => {
     try {
-      const { walletAddress, signature } = req.body;
-
-      if (!walletAddress || !signature) {
-        return res.status(400).json({ error: 'Wallet address and signature required' });
-      }
+      const { message, signature, walletAddress } = req.body;
 
-      // Validate wallet address format
-      if (!/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
-        return res.status(400).json({ error: 'Invalid wallet address format' });
+      if (!message || !signature) {
+        return res.status(400).json({ error: 'SIWE message and signature required' });
       }
 
       // Validate signature format
-      if (!/^0x[a-fA-F0-9]{130}$/.test(signature)) {
+      if (!SIGNATURE_REGEX.test(signature)) {
         return res.status(400).json({ error: 'Invalid signature format' });
       }
 
-      // Get user and their nonce
-      const userResult = await UserQueries.getUserByWallet(walletAddress);
-      
-      if (!userResult.rows.length) {
-        return res.status(404).json({ error: 'User not found. Please get nonce first.' });
+      let siwe;
+      try {
+        siwe = parseSiweMessage(message);
+        validateSiweMessage(siwe, { domains: getExpectedDomains() });
+      } catch (error) {
+        return res.status(401).json({ error: error.message });
+      }
+
+      if (walletAddress && walletAddress.toLowerCase() !== siwe.address.toLowerCase()) {
+        return res.status(401).json({ error: 'Wallet address does not match SIWE message' });
+      }
+
+      // Nonce must have been issued by us, for this wallet and chain
+      const nonceResult = await NonceQueries.getActiveNonce(siwe.nonce);
+
+      if (!nonceResult.rows.length) {
+        return res.status(401).json({ error: 'Nonce invalid, expired or already used' });
       }
 
-      const user = userResult.rows[0];
-      const message = `${process.env.SIGNING_MESSAGE} ${user.nonce}`;
+      const issuedNonce = nonceResult.rows[0];
+
+      if (issuedNonce.wallet_address.toLowerCase() !== siwe.address.toLowerCase() ||
+          issuedNonce.chain_id !== siwe.chainId) {
+        return res.status(401).json({ error: 'Nonce was not issued for this wallet and chain' });
+      }
 
       // Verify signature
-      const isValid = verifyWalletSignature(message, signature, walletAddress);
+      const isValid = await verifyWalletSignature(message, signature, siwe.address, siwe.chainId);
 
       if (!isValid) {
         return res.status(401).json({ error: 'Invalid signature' });
       }
 
-      req.user = user;
+      // Consume only after the signature checks out, atomically against concurrent replays
+      const consumed = await NonceQueries.consumeNonce(siwe.nonce);
+
+      if (!consumed.rows.length) {
+        return res.status(401).json({ error: 'Nonce invalid, expired or already used' });
+      }
+
+      // Look up with the address as submitted to /nonce so existing rows keep matching
+      const userResult = await UserQueries.getUserByWallet(issuedNonce.wallet_address);
+
+      if (!userResult.rows.length) {
+        return res.status(404).json({ error: 'User not found. Please get nonce first.' });
+      }
+
+      req.user = userResult.rows[0];
+      req.siwe = siwe;
       next();
     } catch (error) {
       console.error('Signature verification error:', error);
@@ -87,7 +143,7 @@ const authMiddleware = {
   },
 
   // Socket.IO authentication middleware
-  authenticateSocket: (socket, next) => {
+  authenticateSocket: async (socket, next) => {
     try {
       const token = socket.handshake.auth.token;
       
@@ -96,6 +152,11 @@ const authMiddleware = {
       }
 
       const decoded = verifyToken(token);
+
+      if (!decoded.sid || !(await SessionService.isActive(decoded.sid))) {
+        return next(new Error('Authentication error: Session revoked'));
+      }
+
       socket.user = decoded;
       next();
     } catch (error) {
@@ -103,27 +164,33 @@ const authMiddleware = {
     }
   },
 
-  // Check if user is room admin - FIXED: Using imported db
-  checkRoomAdmin: async (req, res, next) => {
+  // Require a room permission (see config/roles.js); sets req.membership
+  requirePermission: (permission) => async (req, res, next) => {
     try {
       const { roomId } = req.params;
       const userId = req.user.id;
 
-      const query = `
-        SELECT rm.is_admin 
-        FROM room_members rm
-        WHERE rm.room_id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
-      `;
-      
-      const result = await db.query(query, [roomId, userId]);
+      if (!UUID_REGEX.test(roomId || '')) {
+        return res.status(400).json({ error: 'Invalid room ID' });
+      }
 
-      if (!result.rows.length || !result.rows[0].is_admin) {
-        return res.status(403).json({ error: 'Admin access required' });
+      const result = await RoleQueries.getMemberWithRole(roomId, userId);
+
+      if (!result.rows.length) {
+        return res.status(403).json({ error: 'Not a member of this room' });
       }
 
+      const member = result.rows[0];
+      const resolved = resolveRole(member);
+
+      if (!resolved.permissions.includes(permission)) {
+        return res.status(403).json({ error: `Missing permission: ${permission}` });
+      }
+
+      req.membership = { ...member, ...resolved };
       next();
     } catch (error) {
-      console.error('Admin check error:', error);
+      console.error('Permission check error:', error);
       return res.status(500).json({ error: 'Authorization check failed' });
     }
   },
@@ -134,6 +201,10 @@ const authMiddleware = {
       const { roomId } = req.params;
       const userId = req.user.id;
 
+      if (!UUID_REGEX.test(roomId || '')) {
+        return res.status(400).json({ error: 'Invalid room ID' });
+      }
+
       const query = `
         SELECT rm.status 
         FROM room_members rm
@@ -0,0 +1,145 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const authMiddleware = require('../middleware/auth');
+const AttachmentService = require('../services/attachments');
+const { ATTACHMENT_CONFIG } = require('../config/attachments');
+
+// Files are buffered in memory (bounded by the size limit) so their type can be sniffed before storing
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: ATTACHMENT_CONFIG.maxSizeBytes,
+    files: 1
+  }
+}).single('file');
+
+const parseUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `File too large (max ${ATTACHMENT_CONFIG.maxSizeBytes / 1024 / 1024} MB)` });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ error: 'Send one file in the "file" field' });
+    }
+    next(error);
+  });
+};
+
+const sendFile = async (res, attachment, variant) => {
+  const stream = await AttachmentService.open(attachment, variant);
+  const isThumbnail = variant === 'thumbnail';
+  const mimeType = isThumbnail ? 'image/webp' : attachment.mime_type;
+
+  // Only images and media render inline; everything else downloads
+  const disposition = isThumbnail || /^(image|video|audio)\//.test(mimeType) ? 'inline' : 'attachment';
+
+  res.set({
+    'Content-Type': mimeType,
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`,
+    'Cache-Control': 'private, max-age=3600',
+    'X-Content-Type-Options': 'nosniff',
+    // Frontends on another origin embed these directly
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+  });
+  if (!isThumbnail) {
+    res.set('Content-Length', attachment.size_bytes);
+  }
+
+  stream.on('error', (error) => {
+    console.error('Attachment stream error:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Upload a file to a room (multipart, field "file"); send it by passing the
+// returned id in a message's attachmentIds
+router.post('/rooms/:roomId/attachments', authMiddleware.authenticateToken, authMiddleware.requirePermission('send_messages'), parseUpload, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const attachment = await AttachmentService.upload(req.user, roomId, req.file);
+
+    res.status(201).json({
+      success: true,
+      attachment
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Upload attachment error:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+});
+
+// Download an attachment (approved room members only)
+router.get('/attachments/:attachmentId', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const attachment = await AttachmentService.getForUser(req.params.attachmentId, req.user.id);
+    await sendFile(res, attachment, 'file');
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Download attachment error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+// Download an image attachment's thumbnail
+router.get('/attachments/:attachmentId/thumbnail', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const attachment = await AttachmentService.getForUser(req.params.attachmentId, req.user.id);
+    await sendFile(res, attachment, 'thumbnail');
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Download thumbnail error:', error);
+    res.status(500).json({ error: 'Failed to download thumbnail' });
+  }
+});
+
+// Short-lived signed links for the file and thumbnail (for <img>/<video> tags)
+router.get('/attachments/:attachmentId/url', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const attachment = await AttachmentService.getForUser(req.params.attachmentId, req.user.id);
+
+    res.json({
+      attachmentId: attachment.id,
+      ...AttachmentService.createSignedUrls(attachment)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Sign attachment URL error:', error);
+    res.status(500).json({ error: 'Failed to create download link' });
+  }
+});
+
+// Download through a signed link (no Authorization header)
+router.get('/attachments/:attachmentId/download', async (req, res) => {
+  try {
+    const { variant = 'file', expires, signature } = req.query;
+
+    if (!['file', 'thumbnail'].includes(variant)) {
+      return res.status(400).json({ error: 'variant must be file or thumbnail' });
+    }
+
+    const attachment = await AttachmentService.getBySignature(req.params.attachmentId, { variant, expires, signature });
+    await sendFile(res, attachment, variant);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Signed download error:', error);
+    res.status(500).json({ error: 'Failed to download attachment' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
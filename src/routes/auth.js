@@ -1,26 +1,74 @@
 const express = require('express');
 const router = express.Router();
-const { generateToken } = require('../config/jwt');
+const { SIWE_CONFIG, generateNonce, buildSiweMessage, getExpectedDomains } = require('../config/siwe');
 const UserQueries = require('../db/queries/users');
+const NonceQueries = require('../db/queries/nonces');
+const SessionQueries = require('../db/queries/sessions');
+const SessionService = require('../services/sessions');
+const ProfileService = require('../services/profiles');
 const authMiddleware = require('../middleware/auth');
+const db = require('../config/db');
 require('dotenv').config();
 
-// Get nonce for wallet
+const isValidAvatarUrl = (url) => {
+  if (typeof url !== 'string' || url.length > 500) return false;
+  try {
+    return ['https:', 'ipfs:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const getSessionMeta = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null
+});
+
+// Get a Sign-In with Ethereum message for wallet
 router.post('/nonce', async (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    const { walletAddress, chainId = SIWE_CONFIG.chainIds[0] } = req.body;
 
     // Simple wallet address validation without ethers
     if (!walletAddress || !/^0x[a-fA-F0-9]{40}$/.test(walletAddress)) {
       return res.status(400).json({ error: 'Valid Ethereum wallet address required' });
     }
 
-    const result = await UserQueries.createOrUpdateUser(walletAddress);
-    const user = result.rows[0];
+    if (!SIWE_CONFIG.chainIds.includes(parseInt(chainId))) {
+      return res.status(400).json({ error: 'Unsupported chain ID' });
+    }
+
+    await UserQueries.createOrUpdateUser(walletAddress);
+
+    const nonceResult = await NonceQueries.createNonce(
+      generateNonce(),
+      walletAddress,
+      parseInt(chainId),
+      SIWE_CONFIG.nonceTtlMinutes
+    );
+    const issued = nonceResult.rows[0];
+
+    // Best-effort cleanup of long-expired nonces
+    NonceQueries.deleteExpiredNonces().catch(error => {
+      console.error('Nonce cleanup error:', error);
+    });
+
+    const domain = getExpectedDomains()[0];
+    const message = buildSiweMessage({
+      domain,
+      address: walletAddress,
+      statement: SIWE_CONFIG.statement,
+      uri: SIWE_CONFIG.uri || `${req.protocol}://${domain}`,
+      chainId: issued.chain_id,
+      nonce: issued.nonce,
+      issuedAt: new Date(issued.created_at).toISOString(),
+      expirationTime: new Date(issued.expires_at).toISOString()
+    });
 
     res.json({ 
-      nonce: user.nonce,
-      message: `${process.env.SIGNING_MESSAGE} ${user.nonce}`
+      nonce: issued.nonce,
+      message,
+      expiresAt: issued.expires_at
     });
   } catch (error) {
     console.error('Nonce generation error:', error);
@@ -28,19 +76,20 @@ router.post('/nonce', async (req, res) => {
   }
 });
 
-// Verify signature and get JWT
+// Verify signed SIWE message and get JWT
 router.post('/verify', authMiddleware.verifySignature, async (req, res) => {
   try {
     const user = req.user;
     
-    // Generate new nonce for next login
-    await UserQueries.updateUserNonce(user.wallet_address, Math.floor(Math.random() * 1000000).toString());
+    await UserQueries.updateLastLogin(user.id);
     
-    // Generate JWT
-    const token = generateToken(user.wallet_address);
+    // Start a session: short-lived JWT plus rotating refresh token
+    const tokens = await SessionService.createSession(user, getSessionMeta(req));
     
     res.json({
-      token,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
       user: {
         walletAddress: user.wallet_address,
         id: user.id,
@@ -53,23 +102,109 @@ router.post('/verify', authMiddleware.verifySignature, async (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh', authMiddleware.authenticateToken, (req, res) => {
+// Rotate refresh token and get a new access token
+router.post('/refresh', async (req, res) => {
   try {
-    const token = generateToken(req.user.wallet_address);
-    res.json({ token });
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'Refresh token required' });
+    }
+
+    const tokens = await SessionService.rotate(refreshToken, getSessionMeta(req));
+
+    res.json({
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      refreshTokenExpiresAt: tokens.refreshTokenExpiresAt
+    });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Token refresh error:', error);
     res.status(500).json({ error: 'Token refresh failed' });
   }
 });
 
+// Logout (revoke current session)
+router.post('/logout', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    await SessionService.revoke(req.user.id, req.sessionId, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// List active sessions (devices)
+router.get('/sessions', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await SessionQueries.getUserSessions(req.user.id);
+
+    res.json({
+      sessions: result.rows.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeOthers(req.user.id, req.sessionId, 'revoked_by_user');
+
+    res.json({
+      success: true,
+      revokedCount: revoked.length
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(sessionId)) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
+
+    const revoked = await SessionService.revoke(req.user.id, sessionId, 'revoked_by_user');
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
 // Get user profile
 router.get('/me', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const user = req.user;
+    const user = await ProfileService.getFreshProfile(req.user);
     
     // Get user's rooms
-    const db = require('../../config/db');
     const roomsQuery = `
       SELECT COUNT(*) as room_count 
       FROM room_members 
@@ -78,9 +213,8 @@ router.get('/me', authMiddleware.authenticateToken, async (req, res) => {
     const roomsResult = await db.query(roomsQuery, [user.id]);
     
     res.json({
-      walletAddress: user.wallet_address,
+      ...ProfileService.toProfile(user),
       id: user.id,
-      createdAt: user.created_at,
       lastLogin: user.last_login,
       roomCount: parseInt(roomsResult.rows[0].room_count) || 0
     });
@@ -90,4 +224,48 @@ router.get('/me', authMiddleware.authenticateToken, async (req, res) => {
   }
 });
 
+// Update user profile
+router.put('/me', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { displayName, bio, avatarUrl, refreshEns } = req.body;
+    const fields = {};
+
+    if (displayName !== undefined) {
+      if (displayName !== null && (typeof displayName !== 'string' || displayName.trim().length > 50)) {
+        return res.status(400).json({ error: 'Display name must be at most 50 characters' });
+      }
+      fields.displayName = displayName && displayName.trim() ? displayName.trim() : null;
+    }
+
+    if (bio !== undefined) {
+      if (bio !== null && (typeof bio !== 'string' || bio.length > 500)) {
+        return res.status(400).json({ error: 'Bio must be at most 500 characters' });
+      }
+      fields.bio = bio || null;
+    }
+
+    if (avatarUrl !== undefined) {
+      if (avatarUrl !== null && !isValidAvatarUrl(avatarUrl)) {
+        return res.status(400).json({ error: 'Avatar URL must be an https:// or ipfs:// URL' });
+      }
+      fields.avatarUrl = avatarUrl || null;
+    }
+
+    const result = await UserQueries.updateProfile(req.user.id, fields);
+    let user = result.rows[0];
+
+    if (refreshEns) {
+      user = await ProfileService.resolveEns(user, { force: true });
+    }
+
+    res.json({
+      success: true,
+      profile: ProfileService.toProfile(user)
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const InvitationQueries = require('../db/queries/invitations');
+const DomainEvents = require('../services/events');
+const { DOMAIN_EVENTS } = require('../config/events');
 const db = require('../config/db');
 
 // Get user invitations
@@ -142,6 +144,12 @@ router.post('/:invitationId/accept', authMiddleware.authenticateToken, async (re
       }
 
       await client.query('COMMIT');
+
+      DomainEvents.publish(DOMAIN_EVENTS.MEMBER_JOINED, {
+        roomId: invitation.room_id,
+        userId,
+        walletAddress
+      });
       
       console.log(`[POST /invitations/accept] Success for ${invitationId}`);
       res.json({
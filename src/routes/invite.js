@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const InviteLinkService = require('../services/inviteLinks');
+
+// Preview the room an invite link joins
+router.get('/:code', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const room = await InviteLinkService.preview(req.params.code);
+
+    res.json({ room });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Preview invite link error:', error);
+    res.status(500).json({ error: 'Failed to get invite link' });
+  }
+});
+
+// Join a room through an invite link
+router.post('/:code/redeem', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await InviteLinkService.redeem(req.user, req.params.code);
+
+    res.json({
+      success: true,
+      ...result,
+      message: result.status === 'approved' ? 'Joined room' : 'Join request sent to admin'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Redeem invite link error:', error);
+    res.status(500).json({ error: 'Failed to redeem invite link' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
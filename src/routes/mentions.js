@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const MentionQueries = require('../db/queries/mentions');
+const { UUID_REGEX, encodeCursor, decodeCursor } = require('../utils/cursor');
+
+// Get messages that mention the current user
+router.get('/', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { roomId, unread, cursor, limit = 50 } = req.query;
+
+    if (roomId && !UUID_REGEX.test(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    if (unread !== undefined && !['true', 'false'].includes(unread)) {
+      return res.status(400).json({ error: 'unread must be true or false' });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const result = await MentionQueries.getUserMentions(req.user.id, {
+      roomId: roomId || null,
+      unreadOnly: unread === 'true',
+      cursor: cursor ? decodeCursor(cursor) : null,
+      limit: pageSize
+    });
+
+    const hasMore = result.rows.length === pageSize;
+
+    res.json({
+      mentions: result.rows,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(result.rows[result.rows.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get mentions error:', error);
+    res.status(500).json({ error: 'Failed to get mentions' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
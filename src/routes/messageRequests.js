@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const MessageRequestQueries = require('../db/queries/messageRequests');
+const MessageRequestService = require('../services/messageRequests');
+const { UUID_REGEX, encodeCursor, decodeCursor } = require('../utils/cursor');
+
+// Pending message requests sent to the current user, with their messages
+router.get('/', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit = 50 } = req.query;
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const result = await MessageRequestQueries.getIncomingRequests(req.user.id, {
+      cursor: cursor ? decodeCursor(cursor) : null,
+      limit: pageSize
+    });
+
+    const hasMore = result.rows.length === pageSize;
+
+    res.json({
+      requests: result.rows,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(result.rows[result.rows.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get message requests error:', error);
+    res.status(500).json({ error: 'Failed to get message requests' });
+  }
+});
+
+// Accept, decline or block the request in a P2P room
+const respondToRequest = (action) => async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    if (!UUID_REGEX.test(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    const request = await MessageRequestService.respond(roomId, req.user, action);
+
+    res.json({
+      success: true,
+      roomId,
+      status: request.status
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`Message request ${action} error:`, error);
+    res.status(500).json({ error: `Failed to ${action} message request` });
+  }
+};
+
+router.post('/:roomId/accept', authMiddleware.authenticateToken, respondToRequest('accept'));
+router.post('/:roomId/decline', authMiddleware.authenticateToken, respondToRequest('decline'));
+router.post('/:roomId/block', authMiddleware.authenticateToken, respondToRequest('block'));
+
+module.exports = router;
\ No newline at end of file
@@ -2,15 +2,41 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const MessageQueries = require('../db/queries/messages');
+const ProfileService = require('../services/profiles');
+const ThreadService = require('../services/threads');
+const DomainEvents = require('../services/events');
+const ReactionService = require('../services/reactions');
+const AttachmentService = require('../services/attachments');
+const MessageRequestService = require('../services/messageRequests');
+const ReactionQueries = require('../db/queries/reactions');
+const RoleQueries = require('../db/queries/roles');
+const { normalizeReaction, toShortcode } = require('../config/reactions');
+const { DOMAIN_EVENTS } = require('../config/events');
+const { resolveRole } = require('../config/roles');
+const { parsePageQuery, encodeCursor, decodeCursor, UUID_REGEX } = require('../utils/cursor');
+const { historyVisibleTo } = require('../db/queries/fragments');
 
 // Add missing db import
 const db = require('../config/db');
 
+// Message row if the user is an approved member of its room (and the message
+// is not from before they were added to a group DM), otherwise null
+const getAccessibleMessage = async (messageId, userId) => {
+  const query = `
+    SELECT m.*
+    FROM messages m
+    JOIN room_members rm ON m.room_id = rm.room_id
+    WHERE m.id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
+    AND ${historyVisibleTo('$2')}
+  `;
+  const result = await db.query(query, [messageId, userId]);
+  return result.rows[0] || null;
+};
+
 // Get room messages
 router.get('/rooms/:roomId/messages', authMiddleware.authenticateToken, authMiddleware.checkRoomMember, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { limit = 50, before } = req.query;
     const userId = req.user.id;
 
     // Check if user can view room
@@ -19,86 +45,221 @@ router.get('/rooms/:roomId/messages', authMiddleware.authenticateToken, authMidd
       return res.status(403).json({ error: 'Access denied or pending approval' });
     }
 
-    const result = await MessageQueries.getRoomMessages(
-      roomId, 
-      parseInt(limit), 
-      before
-    );
+    const page = parsePageQuery(req.query);
 
-    res.json({
-      messages: result.rows,
-      pagination: {
-        limit: parseInt(limit),
-        hasMore: result.rows.length === parseInt(limit),
-        lastMessageDate: result.rows.length > 0 ? result.rows[result.rows.length - 1].created_at : null
-      }
-    });
+    // Anchors must be messages in this room
+    const anchor = page.around || page.before || page.after;
+    if (anchor && !(await MessageQueries.messageInRoom(anchor, roomId))) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const result = await MessageQueries.getRoomMessages(roomId, { ...page, viewerId: userId });
+
+    res.json(result);
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Get messages error:', error);
     res.status(500).json({ error: 'Failed to get messages' });
   }
 });
 
 // Send message
-router.post('/rooms/:roomId/messages', authMiddleware.authenticateToken, authMiddleware.checkRoomMember, async (req, res) => {
+router.post('/rooms/:roomId/messages', authMiddleware.authenticateToken, authMiddleware.requirePermission('send_messages'), async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { content, parentMessageId } = req.body;
+    const { content = '', parentMessageId, attachmentIds } = req.body;
     const senderId = req.user.id;
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Message content required' });
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Message content must be a string' });
+    }
+
+    // Uploads made through POST /rooms/:roomId/attachments
+    const attachmentIdList = await AttachmentService.validateForMessage(roomId, senderId, attachmentIds);
+
+    if (content.trim().length === 0 && attachmentIdList.length === 0) {
+      return res.status(400).json({ error: 'Message content or attachments required' });
     }
 
     if (content.length > 2000) {
       return res.status(400).json({ error: 'Message too long (max 2000 characters)' });
     }
 
-    // Check if user is approved member
-    const canSend = await MessageQueries.checkUserCanViewRoom(senderId, roomId);
-    if (!canSend.rows.length || canSend.rows[0].status !== 'approved') {
-      return res.status(403).json({ error: 'Must be approved member to send messages' });
-    }
+    // Replies attach to the thread root in the same room
+    const threadId = await ThreadService.resolveParent(roomId, parentMessageId, senderId);
 
-    const result = await MessageQueries.createMessage(
-      roomId, 
-      senderId, 
-      content.trim(), 
-      parentMessageId
+    // Unaccepted message requests allow only a few messages
+    await MessageRequestService.authorizeSend(roomId, senderId);
+
+    const created = await AttachmentService.createMessage(
+      roomId,
+      senderId,
+      content.trim(),
+      threadId,
+      attachmentIdList
     );
 
-    const message = result.rows[0];
-    
-    // Get sender wallet for response
-    const userQuery = 'SELECT wallet_address FROM users WHERE id = $1';
-    const userResult = await db.query(userQuery, [senderId]);
+    const message = {
+      ...created.message,
+      sender_wallet: req.user.wallet_address,
+      sender_profile: ProfileService.toSummary(req.user),
+      attachments: created.attachments,
+      link_previews: [],
+      reactions: [],
+      like_count: 0,
+      liked_by: []
+    };
+
+    DomainEvents.publish(DOMAIN_EVENTS.MESSAGE_CREATED, { roomId, message });
+
+    ThreadService.recordReply(message).catch(error => {
+      console.error('Thread reply bookkeeping error:', error);
+    });
     
     res.status(201).json({
       success: true,
-      message: {
-        ...message,
-        sender_wallet: userResult.rows[0].wallet_address,
-        like_count: 0,
-        liked_by: []
-      }
+      message
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Send message error:', error);
     res.status(500).json({ error: 'Failed to send message' });
   }
 });
 
-// Edit message
+// Get a thread: root message plus paginated replies (oldest first)
+router.get('/messages/:messageId/thread', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { limit = 50, after } = req.query;
+    const userId = req.user.id;
+
+    if (!UUID_REGEX.test(messageId)) {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
+    const afterId = after ? decodeCursor(after).id : null;
+
+    const message = await getAccessibleMessage(messageId, userId);
+    if (!message) {
+      return res.status(403).json({ error: 'Cannot view this thread' });
+    }
+
+    // Asking for a reply's thread returns the thread it belongs to
+    const threadId = message.parent_message_id || message.id;
+    const pageSize = Math.min(parseInt(limit) || 50, 100);
+
+    const [rootResult, replies, following] = await Promise.all([
+      MessageQueries.getMessageWithSender(threadId, userId),
+      MessageQueries.getThreadReplies(threadId, pageSize, afterId, userId),
+      MessageQueries.isFollowingThread(threadId, userId)
+    ]);
+    // A root sent before the user was added to a group DM stays hidden
+    const rootMessage = rootResult.rows[0] || null;
+    const summary = rootMessage || (await MessageQueries.getThreadSummary(threadId)).rows[0];
+
+    res.json({
+      threadId,
+      root: rootMessage,
+      replies: replies.rows,
+      replyCount: parseInt(summary.reply_count),
+      lastReplyAt: summary.last_reply_at,
+      isFollowing: following,
+      pagination: {
+        limit: pageSize,
+        hasMore: replies.rows.length === pageSize,
+        nextCursor: replies.rows.length === pageSize ? encodeCursor(replies.rows[replies.rows.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get thread error:', error);
+    res.status(500).json({ error: 'Failed to get thread' });
+  }
+});
+
+// Follow a thread
+router.post('/messages/:messageId/follow', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.id;
+
+    if (!UUID_REGEX.test(messageId)) {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
+
+    const message = await getAccessibleMessage(messageId, userId);
+    if (!message) {
+      return res.status(403).json({ error: 'Cannot follow this thread' });
+    }
+
+    const threadId = message.parent_message_id || message.id;
+    await MessageQueries.followThread(threadId, userId);
+
+    res.json({
+      success: true,
+      threadId,
+      isFollowing: true
+    });
+  } catch (error) {
+    console.error('Follow thread error:', error);
+    res.status(500).json({ error: 'Failed to follow thread' });
+  }
+});
+
+// Unfollow a thread
+router.delete('/messages/:messageId/follow', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.id;
+
+    if (!UUID_REGEX.test(messageId)) {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
+
+    const message = await getAccessibleMessage(messageId, userId);
+    if (!message) {
+      return res.status(403).json({ error: 'Cannot unfollow this thread' });
+    }
+
+    const threadId = message.parent_message_id || message.id;
+    await MessageQueries.unfollowThread(threadId, userId);
+
+    res.json({
+      success: true,
+      threadId,
+      isFollowing: false
+    });
+  } catch (error) {
+    console.error('Unfollow thread error:', error);
+    res.status(500).json({ error: 'Failed to unfollow thread' });
+  }
+});
+
+// Edit message (sender only; the previous version goes to the edit history)
 router.put('/messages/:messageId', authMiddleware.authenticateToken, async (req, res) => {
   try {
     const { messageId } = req.params;
     const { content } = req.body;
     const senderId = req.user.id;
 
-    if (!content || content.trim().length === 0) {
+    if (typeof content !== 'string') {
+      return res.status(400).json({ error: 'Message content must be a string' });
+    }
+
+    if (content.trim().length === 0) {
       return res.status(400).json({ error: 'Message content required' });
     }
 
+    if (content.length > 2000) {
+      return res.status(400).json({ error: 'Message too long (max 2000 characters)' });
+    }
+
     const result = await MessageQueries.updateMessage(
       messageId, 
       content.trim(), 
@@ -109,9 +270,13 @@ router.put('/messages/:messageId', authMiddleware.authenticateToken, async (req,
       return res.status(404).json({ error: 'Message not found or unauthorized' });
     }
 
+    const messageResult = await MessageQueries.getMessageWithSender(messageId);
+    const message = messageResult.rows[0];
+    DomainEvents.publish(DOMAIN_EVENTS.MESSAGE_UPDATED, { roomId: message.room_id, message });
+
     res.json({
       success: true,
-      message: result.rows[0]
+      message
     });
   } catch (error) {
     console.error('Edit message error:', error);
@@ -119,21 +284,106 @@ router.put('/messages/:messageId', authMiddleware.authenticateToken, async (req,
   }
 });
 
-// Delete message
+// Edit history of a message: previous versions oldest first, then the current one
+router.get('/messages/:messageId/history', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.id;
+
+    if (!UUID_REGEX.test(messageId)) {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
+
+    const message = await getAccessibleMessage(messageId, userId);
+    if (!message) {
+      return res.status(403).json({ error: 'Cannot view this message' });
+    }
+
+    if (message.deleted_at) {
+      return res.status(410).json({ error: 'Message was deleted' });
+    }
+
+    const edits = await MessageQueries.getMessageEdits(messageId);
+
+    res.json({
+      messageId,
+      current: {
+        content: message.content,
+        updated_at: message.updated_at
+      },
+      edits: edits.rows,
+      editCount: edits.rows.length
+    });
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({ error: 'Failed to get message history' });
+  }
+});
+
+// Delete message: senders can delete their own, members with delete_messages
+// can delete messages of lower-ranked members. Leaves a tombstone.
 router.delete('/messages/:messageId', authMiddleware.authenticateToken, async (req, res) => {
   try {
     const { messageId } = req.params;
-    const senderId = req.user.id;
+    const reason = req.body?.reason ?? req.query.reason;
+    const userId = req.user.id;
+
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+      return res.status(400).json({ error: 'Reason must be a string of at most 500 characters' });
+    }
+
+    const messageResult = await MessageQueries.getMessageById(messageId);
+    const message = messageResult.rows[0];
 
-    const result = await MessageQueries.deleteMessage(messageId, senderId);
+    if (!message || message.deleted_at) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+
+    const moderated = message.sender_id !== userId;
+
+    if (moderated) {
+      const membership = await RoleQueries.getMemberWithRole(message.room_id, userId);
+      const resolved = membership.rows.length ? resolveRole(membership.rows[0]) : null;
+
+      if (!resolved || !resolved.permissions.includes('delete_messages')) {
+        return res.status(403).json({ error: 'Missing permission: delete_messages' });
+      }
+
+      // Same rule as removing members: only messages of lower-ranked members
+      // (or of people who have left the room)
+      const senderMembership = await RoleQueries.getMemberWithRole(message.room_id, message.sender_id);
+      if (senderMembership.rows.length && resolveRole(senderMembership.rows[0]).rank >= resolved.rank) {
+        return res.status(403).json({ error: 'Cannot delete messages of a member with an equal or higher role' });
+      }
+    }
+
+    const result = await MessageQueries.deleteMessage(messageId, userId, reason?.trim() || null);
 
     if (!result.rows.length) {
-      return res.status(404).json({ error: 'Message not found or unauthorized' });
+      return res.status(404).json({ error: 'Message not found' });
     }
 
+    const tombstone = result.rows[0];
+
+    AttachmentService.removeForMessage(messageId).catch(error => {
+      console.error('Attachment cleanup error:', error);
+    });
+
+    DomainEvents.publish(DOMAIN_EVENTS.MESSAGE_DELETED, {
+      roomId: tombstone.room_id,
+      messageId,
+      threadId: tombstone.parent_message_id,
+      deletedBy: req.user.wallet_address,
+      deletedAt: tombstone.deleted_at,
+      reason: tombstone.deletion_reason,
+      moderated
+    });
+
     res.json({
       success: true,
-      message: 'Message deleted successfully'
+      message: 'Message deleted successfully',
+      deletedAt: tombstone.deleted_at,
+      moderated
     });
   } catch (error) {
     console.error('Delete message error:', error);
@@ -141,56 +391,210 @@ router.delete('/messages/:messageId', authMiddleware.authenticateToken, async (r
   }
 });
 
-// Like message
-router.post('/messages/:messageId/like', authMiddleware.authenticateToken, async (req, res) => {
+// Pinned messages of a room
+router.get('/rooms/:roomId/pins', authMiddleware.authenticateToken, authMiddleware.checkRoomMember, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const userId = req.user.id;
+
+    const canView = await MessageQueries.checkUserCanViewRoom(userId, roomId);
+    if (!canView.rows.length || canView.rows[0].status !== 'approved') {
+      return res.status(403).json({ error: 'Access denied or pending approval' });
+    }
+
+    const result = await MessageQueries.getPinnedMessages(roomId, userId);
+
+    res.json({ messages: result.rows });
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({ error: 'Failed to get pinned messages' });
+  }
+});
+
+// Pin a message (pin_messages permission)
+router.post('/rooms/:roomId/messages/:messageId/pin', authMiddleware.authenticateToken, authMiddleware.requirePermission('pin_messages'), async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+
+    if (!UUID_REGEX.test(messageId)) {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
+
+    const result = await MessageQueries.pinMessage(messageId, roomId, req.user.id);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Message not found or already pinned' });
+    }
+
+    const pinnedAt = result.rows[0].pinned_at;
+    DomainEvents.publish(DOMAIN_EVENTS.MESSAGE_PINNED, {
+      roomId,
+      messageId,
+      pinnedBy: req.user.wallet_address,
+      pinnedAt
+    });
+
+    res.json({ success: true, messageId, pinnedAt });
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({ error: 'Failed to pin message' });
+  }
+});
+
+// Unpin a message (pin_messages permission)
+router.delete('/rooms/:roomId/messages/:messageId/pin', authMiddleware.authenticateToken, authMiddleware.requirePermission('pin_messages'), async (req, res) => {
+  try {
+    const { roomId, messageId } = req.params;
+
+    if (!UUID_REGEX.test(messageId)) {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
+
+    const result = await MessageQueries.unpinMessage(messageId, roomId);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Pinned message not found' });
+    }
+
+    DomainEvents.publish(DOMAIN_EVENTS.MESSAGE_UNPINNED, {
+      roomId,
+      messageId,
+      unpinnedBy: req.user.wallet_address
+    });
+
+    res.json({ success: true, messageId });
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({ error: 'Failed to unpin message' });
+  }
+});
+
+// Add a reaction (emoji or :shortcode:)
+router.post('/messages/:messageId/reactions', authMiddleware.authenticateToken, async (req, res) => {
   try {
     const { messageId } = req.params;
-    const { reactionType = 'like' } = req.body;
+    const { reaction } = req.body;
+
+    const result = await ReactionService.addReaction(req.user, messageId, reaction);
+
+    res.status(result.changed ? 201 : 200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Add reaction error:', error);
+    res.status(500).json({ error: 'Failed to add reaction' });
+  }
+});
+
+// Remove a reaction (?type=)
+router.delete('/messages/:messageId/reactions', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { type } = req.query;
+
+    const result = await ReactionService.removeReaction(req.user, messageId, type);
+
+    if (!result.changed) {
+      return res.status(404).json({ error: 'Reaction not found' });
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Remove reaction error:', error);
+    res.status(500).json({ error: 'Failed to remove reaction' });
+  }
+});
+
+// Reaction summary plus who reacted (?type= for a single reaction)
+router.get('/messages/:messageId/reactions', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { type, limit = 100 } = req.query;
     const userId = req.user.id;
 
-    // Check if user can access the message (must be member of the room)
-    const accessQuery = `
-      SELECT m.room_id 
-      FROM messages m
-      JOIN room_members rm ON m.room_id = rm.room_id
-      WHERE m.id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
-    `;
-    const accessResult = await db.query(accessQuery, [messageId, userId]);
+    const message = await getAccessibleMessage(messageId, userId);
+    if (!message) {
+      return res.status(403).json({ error: 'Cannot view reactions for this message' });
+    }
 
-    if (!accessResult.rows.length) {
-      return res.status(403).json({ error: 'Cannot like this message' });
+    let reaction = null;
+    if (type) {
+      const normalized = normalizeReaction(type);
+      if (!normalized) {
+        return res.status(400).json({ error: 'Reaction must be an emoji or a :shortcode:' });
+      }
+      reaction = normalized.key;
     }
 
-    const result = await MessageQueries.likeMessage(messageId, userId, reactionType);
+    const [reactions, reactors] = await Promise.all([
+      ReactionService.getSummary(messageId, userId),
+      ReactionQueries.getReactors(messageId, reaction, Math.min(Math.max(parseInt(limit) || 100, 1), 500))
+    ]);
 
+    res.json({
+      messageId,
+      reactions,
+      users: reactors.rows
+    });
+  } catch (error) {
+    console.error('Get reactions error:', error);
+    res.status(500).json({ error: 'Failed to get reactions' });
+  }
+});
+
+// Like message (legacy: same as adding a reaction, "like" by default)
+router.post('/messages/:messageId/like', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { reactionType = 'like' } = req.body;
+
+    const result = await ReactionService.addReaction(req.user, messageId, reactionType);
+
+    // Old clients read the inserted row (absent for a repeated like), with
+    // built-in reactions under their shortcode names
     res.json({
       success: true,
-      like: result.rows[0]
+      like: result.row && { ...result.row, reaction_type: toShortcode(result.row.reaction_type) },
+      reactions: result.reactions
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Like message error:', error);
     res.status(500).json({ error: 'Failed to like message' });
   }
 });
 
-// Unlike message
+// Unlike message (legacy: same as removing a reaction)
 router.delete('/messages/:messageId/like', authMiddleware.authenticateToken, async (req, res) => {
   try {
     const { messageId } = req.params;
     const { reactionType = 'like' } = req.query;
-    const userId = req.user.id;
 
-    const result = await MessageQueries.unlikeMessage(messageId, userId, reactionType);
+    const result = await ReactionService.removeReaction(req.user, messageId, reactionType);
 
-    if (!result.rows.length) {
+    if (!result.changed) {
       return res.status(404).json({ error: 'Like not found' });
     }
 
     res.json({
       success: true,
-      message: 'Like removed successfully'
+      message: 'Like removed successfully',
+      reactions: result.reactions
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Unlike message error:', error);
     res.status(500).json({ error: 'Failed to unlike message' });
   }
@@ -202,16 +606,13 @@ router.get('/messages/:messageId/likes', authMiddleware.authenticateToken, async
     const { messageId } = req.params;
     const userId = req.user.id;
 
-    // Check if user can access the message
-    const accessQuery = `
-      SELECT m.room_id 
-      FROM messages m
-      JOIN room_members rm ON m.room_id = rm.room_id
-      WHERE m.id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
-    `;
-    const accessResult = await db.query(accessQuery, [messageId, userId]);
+    if (!UUID_REGEX.test(messageId)) {
+      return res.status(400).json({ error: 'Invalid message ID' });
+    }
 
-    if (!accessResult.rows.length) {
+    // Members added to a group DM later can't see reactions on older messages
+    const message = await getAccessibleMessage(messageId, userId);
+    if (!message) {
       return res.status(403).json({ error: 'Cannot view likes for this message' });
     }
 
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const NotificationQueries = require('../db/queries/notifications');
+const NotificationService = require('../services/notifications');
+const { UUID_REGEX, encodeCursor, decodeCursor } = require('../utils/cursor');
+
+// Get the current user's notifications
+router.get('/', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { unread, cursor, limit = 50 } = req.query;
+
+    if (unread !== undefined && !['true', 'false'].includes(unread)) {
+      return res.status(400).json({ error: 'unread must be true or false' });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const [result, unreadCount] = await Promise.all([
+      NotificationQueries.getUserNotifications(req.user.id, {
+        unreadOnly: unread === 'true',
+        cursor: cursor ? decodeCursor(cursor) : null,
+        limit: pageSize
+      }),
+      NotificationQueries.getUnreadCount(req.user.id)
+    ]);
+
+    const hasMore = result.rows.length === pageSize;
+
+    res.json({
+      notifications: result.rows,
+      unreadCount,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(result.rows[result.rows.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+// Mark all notifications read
+router.post('/read-all', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const result = await NotificationService.setRead(req.user.id, null, true);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark a notification read
+router.post('/:notificationId/read', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!UUID_REGEX.test(notificationId)) {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+
+    const result = await NotificationService.setRead(req.user.id, [notificationId], true);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+// Mark a notification unread
+router.post('/:notificationId/unread', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!UUID_REGEX.test(notificationId)) {
+      return res.status(400).json({ error: 'Invalid notification ID' });
+    }
+
+    const result = await NotificationService.setRead(req.user.id, [notificationId], false);
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Mark notification unread error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as unread' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -4,9 +4,32 @@ const authMiddleware = require('../middleware/auth');
 const RoomQueries = require('../db/queries/rooms');
 const UserQueries = require('../db/queries/users');
 const InvitationQueries = require('../db/queries/invitations');
+const GateQueries = require('../db/queries/gates');
+const RoleQueries = require('../db/queries/roles');
+const ReadStateQueries = require('../db/queries/readState');
+const ReactionQueries = require('../db/queries/reactions');
+const NotificationQueries = require('../db/queries/notifications');
+const InviteLinkQueries = require('../db/queries/inviteLinks');
+const TokenGateService = require('../services/tokenGate');
+const ReadStateService = require('../services/readState');
+const PresenceService = require('../services/presence');
+const ReactionService = require('../services/reactions');
+const NotificationService = require('../services/notifications');
+const InviteLinkService = require('../services/inviteLinks');
+const InvitationService = require('../services/invitations');
+const GroupDmService = require('../services/groupDms');
+const MessageRequestService = require('../services/messageRequests');
+const DomainEvents = require('../services/events');
+const { DOMAIN_EVENTS } = require('../config/events');
+const { PERMISSIONS, OWNER_ONLY_PERMISSIONS, BUILT_IN_ROLES, ADMIN_ROLES, resolveRole } = require('../config/roles');
+const { BUILT_IN_REACTIONS } = require('../config/reactions');
+const { UUID_REGEX, encodeCursor, decodeCursor } = require('../utils/cursor');
 const { ethers } = require('ethers');
 const db = require('../config/db');
 
+const NOTIFICATION_LEVELS = ['all', 'mentions', 'none'];
+const INVITATION_STATUSES = ['pending', 'accepted', 'rejected', 'revoked', 'expired'];
+
 // Helper function to validate room ID
 const validateRoomId = (roomId) => {
   if (!roomId || roomId === 'undefined' || roomId === 'null') {
@@ -22,22 +45,45 @@ const validateRoomId = (roomId) => {
 // Create a new room
 router.post('/', authMiddleware.authenticateToken, async (req, res) => {
   try {
-    const { name, description, roomType } = req.body;
+    const { name, description, roomType, gates, gateMatch = 'any' } = req.body;
     const adminId = req.user.id;
 
     if (!name || !roomType) {
       return res.status(400).json({ error: 'Name and room type required' });
     }
 
-    if (!['public', 'private', 'p2p'].includes(roomType)) {
+    if (!['public', 'private', 'p2p', 'gated'].includes(roomType)) {
       return res.status(400).json({ error: 'Invalid room type' });
     }
 
+    // Gated rooms need their holding rules up front
+    let gateRules = null;
+    if (roomType === 'gated') {
+      if (!['any', 'all'].includes(gateMatch)) {
+        return res.status(400).json({ error: 'gateMatch must be any or all' });
+      }
+      try {
+        gateRules = TokenGateService.validateGates(gates);
+      } catch (error) {
+        return res.status(error.status || 400).json({ error: error.message });
+      }
+    }
+
     const result = await RoomQueries.createRoom(name, description, roomType, adminId);
     const room = result.rows[0];
 
-    // Add creator as admin member
-    await RoomQueries.addRoomMember(room.id, adminId, 'approved', true);
+    // Add creator as owner
+    await RoomQueries.addRoomMember(room.id, adminId, 'approved', true, 'owner');
+
+    if (gateRules) {
+      await GateQueries.replaceRoomGates(room.id, gateMatch, gateRules);
+    }
+
+    DomainEvents.publish(DOMAIN_EVENTS.MEMBER_JOINED, {
+      roomId: room.id,
+      userId: adminId,
+      walletAddress: req.user.wallet_address
+    });
 
     res.status(201).json({
       success: true,
@@ -56,6 +102,32 @@ router.post('/', authMiddleware.authenticateToken, async (req, res) => {
   }
 });
 
+// Create a group DM, or get the existing one for the same members
+router.post('/dm', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { walletAddresses, name } = req.body;
+    const { room, isNew } = await GroupDmService.create(req.user, walletAddresses, name);
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      created: isNew,
+      room: {
+        id: room.id,
+        name: room.name,
+        roomType: room.room_type,
+        autoNamed: room.auto_named,
+        createdAt: room.created_at
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create group DM error:', error);
+    res.status(500).json({ error: 'Failed to create group DM' });
+  }
+});
+
 // Get public rooms
 router.get('/public', authMiddleware.authenticateToken, async (req, res) => {
   try {
@@ -81,10 +153,15 @@ router.get('/my', authMiddleware.authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
     const result = await RoomQueries.getUserRooms(userId);
+    const rooms = result.rows.map(room => ({
+      ...room,
+      unread_count: parseInt(room.unread_count),
+      mention_count: parseInt(room.mention_count)
+    }));
     
     // Separate approved and pending rooms
-    const approvedRooms = result.rows.filter(r => r.status === 'approved');
-    const pendingRooms = result.rows.filter(r => r.status === 'pending');
+    const approvedRooms = rooms.filter(r => r.status === 'approved');
+    const pendingRooms = rooms.filter(r => r.status === 'pending');
     
     res.json({
       approvedRooms,
@@ -128,10 +205,19 @@ router.get('/:roomId', authMiddleware.authenticateToken, async (req, res) => {
     // Check if user is admin
     const isAdmin = memberCheck.rows[0].is_admin;
     
+    // Effective role and permissions (pending members have none)
+    const membership = await RoleQueries.getMemberWithRole(roomId, userId);
+    const resolved = membership.rows.length ? resolveRole(membership.rows[0]) : null;
+
+    const gates = room.room_type === 'gated' ? (await GateQueries.getRoomGates(roomId)).rows : undefined;
+    
     res.json({
       ...room,
-      members: members.rows,
-      is_admin: isAdmin
+      gates,
+      members: PresenceService.annotate(members.rows),
+      is_admin: isAdmin,
+      role: resolved ? resolved.role : null,
+      permissions: resolved ? resolved.permissions : []
     });
   } catch (error) {
     console.error('Get room details error:', error);
@@ -139,7 +225,7 @@ router.get('/:roomId', authMiddleware.authenticateToken, async (req, res) => {
   }
 });
 
-// Request to join public room
+// Request to join public room, or join a gated room by holding its token
 router.post('/:roomId/join', authMiddleware.authenticateToken, async (req, res) => {
   try {
     const { roomId } = req.params;
@@ -156,7 +242,7 @@ router.post('/:roomId/join', authMiddleware.authenticateToken, async (req, res)
 
     const room = roomResult.rows[0];
     
-    if (room.room_type !== 'public') {
+    if (!['public', 'gated'].includes(room.room_type)) {
       return res.status(400).json({ error: 'Room is not public' });
     }
 
@@ -167,6 +253,40 @@ router.post('/:roomId/join', authMiddleware.authenticateToken, async (req, res)
     `;
     const existingResult = await db.query(existingQuery, [roomId, userId]);
 
+    if (room.room_type === 'gated') {
+      // Former and demoted members may re-qualify
+      if (existingResult.rows.length && !['left', 'ineligible'].includes(existingResult.rows[0].status)) {
+        return res.status(400).json({ error: 'Already a member' });
+      }
+
+      let eligible;
+      try {
+        eligible = await TokenGateService.isEligible(roomId, room.gate_match, req.user.wallet_address);
+      } catch (error) {
+        console.error('Token gate check error:', error);
+        return res.status(503).json({ error: 'Unable to verify token holdings, try again later' });
+      }
+
+      if (!eligible) {
+        return res.status(403).json({ error: 'Wallet does not hold the required tokens' });
+      }
+
+      await RoomQueries.addRoomMember(roomId, userId, 'approved', false);
+      await GateQueries.markChecked(roomId, userId);
+
+      DomainEvents.publish(DOMAIN_EVENTS.MEMBER_JOINED, {
+        roomId,
+        userId,
+        walletAddress: req.user.wallet_address
+      });
+
+      return res.json({
+        success: true,
+        status: 'approved',
+        message: 'Token holdings verified, joined room'
+      });
+    }
+
     if (existingResult.rows.length) {
       const status = existingResult.rows[0].status;
       return res.status(400).json({ 
@@ -176,6 +296,10 @@ router.post('/:roomId/join', authMiddleware.authenticateToken, async (req, res)
 
     // Add as pending member (admin needs to approve)
     const result = await RoomQueries.addRoomMember(roomId, userId, 'pending', false);
+
+    NotificationService.notifyJoinRequest(roomId, userId).catch(error => {
+      console.error('Join request notification error:', error);
+    });
     
     res.json({
       success: true,
@@ -188,81 +312,626 @@ router.post('/:roomId/join', authMiddleware.authenticateToken, async (req, res)
   }
 });
 
-// Invite user to private room (admin only)
-router.post('/:roomId/invite', authMiddleware.authenticateToken, async (req, res) => {
+// Replace gating rules of a gated room (edit_room permission)
+router.put('/:roomId/gates', authMiddleware.authenticateToken, authMiddleware.requirePermission('edit_room'), async (req, res) => {
   try {
     const { roomId } = req.params;
-    const { walletAddress } = req.body;
-    const inviterId = req.user.id;
-    
+    const { gates, gateMatch = 'any' } = req.body;
+
     // Validate roomId
     validateRoomId(roomId);
 
+    const roomResult = await RoomQueries.getRoomById(roomId);
+    if (!roomResult.rows.length) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (roomResult.rows[0].room_type !== 'gated') {
+      return res.status(400).json({ error: 'Room is not token-gated' });
+    }
+
+    if (!['any', 'all'].includes(gateMatch)) {
+      return res.status(400).json({ error: 'gateMatch must be any or all' });
+    }
+
+    let gateRules;
+    try {
+      gateRules = TokenGateService.validateGates(gates);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: error.message });
+    }
+
+    const result = await GateQueries.replaceRoomGates(roomId, gateMatch, gateRules);
+
+    res.json({
+      success: true,
+      gateMatch,
+      gates: result.rows
+    });
+  } catch (error) {
+    console.error('Update gates error:', error);
+    res.status(500).json({ error: 'Failed to update gates' });
+  }
+});
+
+// Edit room name / description (edit_room permission)
+router.put('/:roomId', authMiddleware.authenticateToken, authMiddleware.requirePermission('edit_room'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { name, description } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+      return res.status(400).json({ error: 'Name must be 1-100 characters' });
+    }
+
+    const result = await RoomQueries.updateRoom(roomId, name ? name.trim() : null, description ?? null);
+
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Room not found' });
+    }
+
+    DomainEvents.publish(DOMAIN_EVENTS.ROOM_UPDATED, { roomId, room: result.rows[0] });
+
+    res.json({
+      success: true,
+      room: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Edit room error:', error);
+    res.status(500).json({ error: 'Failed to edit room' });
+  }
+});
+
+// List approved members with presence (online/idle/offline) and last seen
+router.get('/:roomId/members', authMiddleware.authenticateToken, authMiddleware.checkRoomMember, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const members = PresenceService.annotate((await RoomQueries.getRoomMembers(roomId)).rows);
+
+    res.json({
+      members: req.query.online === 'true' ? members.filter(m => m.presence !== 'offline') : members,
+      onlineCount: members.filter(m => m.presence !== 'offline').length
+    });
+  } catch (error) {
+    console.error('Get room members error:', error);
+    res.status(500).json({ error: 'Failed to get room members' });
+  }
+});
+
+// Add participants to a group DM (any member); they only see history from now on
+router.post('/:roomId/participants', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    if (!UUID_REGEX.test(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    const { room, added } = await GroupDmService.addParticipants(roomId, req.user, req.body.walletAddresses);
+
+    res.json({
+      success: true,
+      added,
+      room: {
+        id: room.id,
+        name: room.name,
+        roomType: room.room_type,
+        autoNamed: room.auto_named
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Add participants error:', error);
+    res.status(500).json({ error: 'Failed to add participants' });
+  }
+});
+
+// List built-in and custom roles of a room
+router.get('/:roomId/roles', authMiddleware.authenticateToken, authMiddleware.checkRoomMember, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const customRoles = await RoleQueries.getCustomRoles(roomId);
+
+    res.json({
+      permissions: PERMISSIONS,
+      roles: [
+        ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => ({ name, ...role, builtIn: true })),
+        ...customRoles.rows.map(role => ({ ...role, builtIn: false }))
+      ]
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({ error: 'Failed to get roles' });
+  }
+});
+
+// Create a custom role (manage_roles permission)
+router.post('/:roomId/roles', authMiddleware.authenticateToken, authMiddleware.requirePermission('manage_roles'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { name, permissions = [], rank } = req.body;
+
+    if (!name || !/^[a-z][a-z0-9_]{1,29}$/.test(name) || BUILT_IN_ROLES[name]) {
+      return res.status(400).json({ error: 'Role name must be 2-30 lowercase letters, digits or _ and not a built-in role' });
+    }
+
+    if (!Array.isArray(permissions) || !permissions.every(p => PERMISSIONS.includes(p))) {
+      return res.status(400).json({ error: 'Unknown permission' });
+    }
+
+    if (permissions.some(p => OWNER_ONLY_PERMISSIONS.includes(p))) {
+      return res.status(400).json({ error: `Only the owner can hold: ${OWNER_ONLY_PERMISSIONS.join(', ')}` });
+    }
+
+    // Cannot grant more than you hold, nor create a role at or above your own rank
+    if (!permissions.every(p => req.membership.permissions.includes(p))) {
+      return res.status(403).json({ error: 'Cannot grant permissions you do not have' });
+    }
+
+    if (!Number.isInteger(rank) || rank < 1 || rank >= Math.min(100, req.membership.rank)) {
+      return res.status(400).json({ error: 'Rank must be an integer below your own role rank' });
+    }
+
+    const result = await RoleQueries.createCustomRole(roomId, name, [...new Set(permissions)], rank);
+
+    if (!result.rows.length) {
+      return res.status(409).json({ error: 'Role already exists' });
+    }
+
+    res.status(201).json({
+      success: true,
+      role: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({ error: 'Failed to create role' });
+  }
+});
+
+// Delete a custom role; its holders become members (manage_roles permission)
+router.delete('/:roomId/roles/:roleName', authMiddleware.authenticateToken, authMiddleware.requirePermission('manage_roles'), async (req, res) => {
+  try {
+    const { roomId, roleName } = req.params;
+
+    const customRoles = await RoleQueries.getCustomRoles(roomId);
+    const role = customRoles.rows.find(r => r.name === roleName);
+
+    if (!role) {
+      return res.status(404).json({ error: 'Custom role not found' });
+    }
+
+    if (role.rank >= req.membership.rank) {
+      return res.status(403).json({ error: 'Cannot delete a role at or above your own' });
+    }
+
+    await RoleQueries.deleteCustomRole(roomId, roleName);
+
+    res.json({
+      success: true,
+      message: 'Role deleted'
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: 'Failed to delete role' });
+  }
+});
+
+// Assign a role to a member (manage_roles permission). Assigning 'owner'
+// transfers ownership and is only available to the current owner.
+router.put('/:roomId/members/:walletAddress/role', authMiddleware.authenticateToken, authMiddleware.requirePermission('manage_roles'), async (req, res) => {
+  try {
+    const { roomId, walletAddress } = req.params;
+    const { role } = req.body;
+
+    if (!role || typeof role !== 'string') {
+      return res.status(400).json({ error: 'Role required' });
+    }
+
+    const userResult = await UserQueries.getUserByWallet(walletAddress);
+    if (!userResult.rows.length) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const targetId = userResult.rows[0].id;
+
+    if (targetId === req.user.id) {
+      return res.status(400).json({ error: 'Cannot change your own role' });
+    }
+
+    const targetResult = await RoleQueries.getMemberWithRole(roomId, targetId);
+    if (!targetResult.rows.length) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (resolveRole(targetResult.rows[0]).rank >= req.membership.rank) {
+      return res.status(403).json({ error: 'Cannot change the role of a member with an equal or higher role' });
+    }
+
+    if (role === 'owner') {
+      if (req.membership.role !== 'owner') {
+        return res.status(403).json({ error: 'Only the owner can transfer ownership' });
+      }
+
+      await RoleQueries.transferOwnership(roomId, req.user.id, targetId, 'admin');
+
+      return res.json({
+        success: true,
+        message: 'Ownership transferred'
+      });
+    }
+
+    let rank;
+    if (BUILT_IN_ROLES[role]) {
+      rank = BUILT_IN_ROLES[role].rank;
+    } else {
+      const customRoles = await RoleQueries.getCustomRoles(roomId);
+      const customRole = customRoles.rows.find(r => r.name === role);
+      if (!customRole) {
+        return res.status(400).json({ error: 'Unknown role' });
+      }
+      rank = customRole.rank;
+    }
+
+    if (rank >= req.membership.rank) {
+      return res.status(403).json({ error: 'Cannot assign a role at or above your own' });
+    }
+
+    const result = await RoleQueries.setMemberRole(roomId, targetId, role, ADMIN_ROLES.includes(role));
+
+    res.json({
+      success: true,
+      member: {
+        wallet_address: userResult.rows[0].wallet_address,
+        role: result.rows[0].role,
+        is_admin: result.rows[0].is_admin
+      }
+    });
+  } catch (error) {
+    console.error('Assign role error:', error);
+    res.status(500).json({ error: 'Failed to assign role' });
+  }
+});
+
+// Reaction settings: built-in shortcodes, the room's allow-list and custom reactions
+router.get('/:roomId/reactions', authMiddleware.authenticateToken, authMiddleware.checkRoomMember, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    const [allowedResult, customResult] = await Promise.all([
+      ReactionQueries.getAllowedReactions(roomId),
+      ReactionQueries.getCustomReactions(roomId)
+    ]);
+
+    res.json({
+      builtIn: BUILT_IN_REACTIONS,
+      allowed: allowedResult.rows[0]?.allowed_reactions || null,
+      custom: customResult.rows
+    });
+  } catch (error) {
+    console.error('Get room reactions error:', error);
+    res.status(500).json({ error: 'Failed to get room reactions' });
+  }
+});
+
+// Restrict reactions to a list, or allow any with null (edit_room permission)
+router.put('/:roomId/reactions', authMiddleware.authenticateToken, authMiddleware.requirePermission('edit_room'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { allowed } = req.body;
+
+    const keys = await ReactionService.validateAllowedReactions(roomId, allowed === undefined ? null : allowed);
+    const result = await ReactionQueries.setAllowedReactions(roomId, keys);
+
+    res.json({
+      success: true,
+      allowed: result.rows[0].allowed_reactions
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Set room reactions error:', error);
+    res.status(500).json({ error: 'Failed to update room reactions' });
+  }
+});
+
+// Add a custom :shortcode: reaction with an image (edit_room permission)
+router.post('/:roomId/reactions/custom', authMiddleware.authenticateToken, authMiddleware.requirePermission('edit_room'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { shortcode, imageUrl } = req.body;
+
+    const name = await ReactionService.validateCustomReaction(roomId, shortcode, imageUrl);
+    const result = await ReactionQueries.createCustomReaction(roomId, name, imageUrl, req.user.id);
+
+    if (!result.rows.length) {
+      return res.status(409).json({ error: `:${name}: already exists in this room` });
+    }
+
+    res.status(201).json({
+      success: true,
+      reaction: result.rows[0]
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create custom reaction error:', error);
+    res.status(500).json({ error: 'Failed to create custom reaction' });
+  }
+});
+
+// Delete a custom reaction; existing reactions using it stay on messages (edit_room permission)
+router.delete('/:roomId/reactions/custom/:shortcode', authMiddleware.authenticateToken, authMiddleware.requirePermission('edit_room'), async (req, res) => {
+  try {
+    const { roomId, shortcode } = req.params;
+
+    const result = await ReactionQueries.deleteCustomReaction(roomId, shortcode.replace(/^:(.*):$/, '$1').toLowerCase());
+
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Custom reaction not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Custom reaction deleted'
+    });
+  } catch (error) {
+    console.error('Delete custom reaction error:', error);
+    res.status(500).json({ error: 'Failed to delete custom reaction' });
+  }
+});
+
+// Invite user to private room (invite permission)
+router.post('/:roomId/invite', authMiddleware.authenticateToken, authMiddleware.requirePermission('invite'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { walletAddress } = req.body;
+
     // Validate wallet address
     if (!walletAddress || !ethers.isAddress(walletAddress)) {
       return res.status(400).json({ error: 'Valid wallet address required' });
     }
 
-    // Check if user is admin of the room
-    const adminCheck = await db.query(
-      'SELECT * FROM room_members WHERE room_id = $1 AND user_id = $2 AND is_admin = true',
-      [roomId, inviterId]
-    );
-    
-    if (adminCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only room admin can invite users' });
+    const { results, invitations } = await InvitationService.invite(roomId, req.user, [walletAddress]);
+
+    if (results[0].status === 'already_invited') {
+      return res.status(400).json({ error: 'Invitation already sent to this user' });
     }
 
-    // Check if room is private
-    const roomResult = await RoomQueries.getRoomById(roomId);
-    if (roomResult.rows[0].room_type !== 'private') {
-      return res.status(400).json({ error: 'Only private rooms support invitations' });
+    if (results[0].status === 'already_member') {
+      return res.status(400).json({ error: 'User is already a member' });
     }
 
-    // Check if invitation already exists
-    const existingInvite = await db.query(
-      'SELECT * FROM room_invitations WHERE room_id = $1 AND invitee_wallet_address = $2 AND status = $3',
-      [roomId, walletAddress.toLowerCase(), 'pending']
-    );
-    
-    if (existingInvite.rows.length > 0) {
-      return res.status(400).json({ error: 'Invitation already sent to this user' });
+    if (results[0].status === 'unavailable') {
+      return res.status(403).json({ error: 'This wallet is not accepting invitations from you' });
     }
 
-    // Create invitation
-    const result = await InvitationQueries.createInvitation(roomId, inviterId, walletAddress);
-    
     res.status(201).json({
       success: true,
-      invitation: result.rows[0],
+      invitation: invitations[0],
       message: 'Invitation sent'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Invite user error:', error);
     res.status(500).json({ error: 'Failed to invite user' });
   }
 });
 
-// Get pending join requests (admin only)
-// Get pending join requests (admin only) - UPDATED to use RoomQueries.getPendingRequests
-router.get('/:roomId/requests', authMiddleware.authenticateToken, async (req, res) => {
+// Invite many wallet addresses or ENS names at once, with a result per entry
+router.post('/:roomId/invitations/bulk', authMiddleware.authenticateToken, authMiddleware.requirePermission('invite'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { invitees } = req.body;
+
+    const { results } = await InvitationService.invite(roomId, req.user, invitees);
+
+    const summary = {};
+    results.forEach(result => {
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    });
+
+    res.json({
+      success: true,
+      results,
+      summary
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Bulk invite error:', error);
+    res.status(500).json({ error: 'Failed to invite users' });
+  }
+});
+
+// List the room's invitations (status filter: comma-separated statuses)
+router.get('/:roomId/invitations', authMiddleware.authenticateToken, authMiddleware.requirePermission('invite'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { status, cursor, limit = 50 } = req.query;
+
+    let statuses = null;
+    if (status) {
+      statuses = String(status).split(',');
+      if (!statuses.every(value => INVITATION_STATUSES.includes(value))) {
+        return res.status(400).json({ error: `status must be one or more of: ${INVITATION_STATUSES.join(', ')}` });
+      }
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const result = await InvitationQueries.getRoomInvitations(roomId, {
+      statuses,
+      cursor: cursor ? decodeCursor(cursor) : null,
+      limit: pageSize
+    });
+
+    const hasMore = result.rows.length === pageSize;
+
+    res.json({
+      invitations: result.rows,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(result.rows[result.rows.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get room invitations error:', error);
+    res.status(500).json({ error: 'Failed to get invitations' });
+  }
+});
+
+// Revoke a pending invitation
+router.delete('/:roomId/invitations/:invitationId', authMiddleware.authenticateToken, authMiddleware.requirePermission('invite'), async (req, res) => {
+  try {
+    const { roomId, invitationId } = req.params;
+
+    if (!UUID_REGEX.test(invitationId)) {
+      return res.status(400).json({ error: 'Invalid invitation ID' });
+    }
+
+    const result = await InvitationQueries.revokeInvitation(roomId, invitationId, req.user.id);
+    if (!result.rows.length) {
+      return res.status(404).json({ error: 'Pending invitation not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: 'Failed to revoke invitation' });
+  }
+});
+
+// Resend a pending or expired invitation with a fresh expiry
+router.post('/:roomId/invitations/:invitationId/resend', authMiddleware.authenticateToken, authMiddleware.requirePermission('invite'), async (req, res) => {
+  try {
+    const { roomId, invitationId } = req.params;
+
+    if (!UUID_REGEX.test(invitationId)) {
+      return res.status(400).json({ error: 'Invalid invitation ID' });
+    }
+
+    const invitation = await InvitationService.resend(roomId, invitationId);
+
+    res.json({
+      success: true,
+      invitation,
+      message: 'Invitation resent'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ error: 'Failed to resend invitation' });
+  }
+});
+
+// Create an invite link (invite permission)
+router.post('/:roomId/invite-links', authMiddleware.authenticateToken, authMiddleware.requirePermission('invite'), async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { role, autoApprove, maxUses, expiresInHours } = req.body;
+
+    const link = await InviteLinkService.create(roomId, req.user, req.membership, {
+      role,
+      autoApprove,
+      maxUses,
+      expiresInHours
+    });
+
+    res.status(201).json({ success: true, link });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Create invite link error:', error);
+    res.status(500).json({ error: 'Failed to create invite link' });
+  }
+});
+
+// List the room's invite links with their status and use counts; codes only
+// for links the caller could have created
+router.get('/:roomId/invite-links', authMiddleware.authenticateToken, authMiddleware.requirePermission('invite'), async (req, res) => {
+  try {
+    const links = await InviteLinkService.listLinks(req.params.roomId, req.membership);
+
+    res.json({ links });
+  } catch (error) {
+    console.error('Get invite links error:', error);
+    res.status(500).json({ error: 'Failed to get invite links' });
+  }
+});
+
+// Who redeemed an invite link
+router.get('/:roomId/invite-links/:linkId/redemptions', authMiddleware.authenticateToken, authMiddleware.requirePermission('invite'), async (req, res) => {
+  try {
+    const { roomId, linkId } = req.params;
+
+    if (!UUID_REGEX.test(linkId)) {
+      return res.status(400).json({ error: 'Invalid link ID' });
+    }
+
+    const link = await InviteLinkService.getManageableLink(roomId, linkId, req.membership);
+    const result = await InviteLinkQueries.getRedemptions(linkId);
+
+    res.json({
+      link,
+      redemptions: result.rows
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get invite link redemptions error:', error);
+    res.status(500).json({ error: 'Failed to get invite link redemptions' });
+  }
+});
+
+// Revoke an invite link
+router.delete('/:roomId/invite-links/:linkId', authMiddleware.authenticateToken, authMiddleware.requirePermission('invite'), async (req, res) => {
+  try {
+    const { roomId, linkId } = req.params;
+
+    if (!UUID_REGEX.test(linkId)) {
+      return res.status(400).json({ error: 'Invalid link ID' });
+    }
+
+    await InviteLinkService.revoke(roomId, linkId, req.membership);
+
+    res.json({
+      success: true,
+      message: 'Invite link revoked'
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Revoke invite link error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite link' });
+  }
+});
+
+// Get pending join requests (approve_requests permission)
+router.get('/:roomId/requests', authMiddleware.authenticateToken, authMiddleware.requirePermission('approve_requests'), async (req, res) => {
   try {
     const { roomId } = req.params;
-    const userId = req.user.id;
     
     // Validate roomId
     validateRoomId(roomId);
-    
-    // Check if user is admin of the room
-    const adminCheck = await db.query(
-      'SELECT * FROM room_members WHERE room_id = $1 AND user_id = $2 AND is_admin = true',
-      [roomId, userId]
-    );
-    
-    if (adminCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only room admin can view requests' });
-    }
-    
+
     // Use RoomQueries.getPendingRequests which now returns the correct fields
     const result = await RoomQueries.getPendingRequests(roomId);
     
@@ -285,8 +954,8 @@ router.get('/:roomId/requests', authMiddleware.authenticateToken, async (req, re
     res.status(500).json({ error: 'Failed to get room requests' });
   }
 });
-// Approve a join request (admin only) - SEPARATE ROUTE FOR APPROVE
-router.post('/:roomId/requests/:requestId/approve', authMiddleware.authenticateToken, async (req, res) => {
+// Approve a join request (approve_requests permission) - SEPARATE ROUTE FOR APPROVE
+router.post('/:roomId/requests/:requestId/approve', authMiddleware.authenticateToken, authMiddleware.requirePermission('approve_requests'), async (req, res) => {
   try {
     const { roomId, requestId } = req.params;
     const adminId = req.user.id;
@@ -302,16 +971,6 @@ router.post('/:roomId/requests/:requestId/approve', authMiddleware.authenticateT
       return res.status(400).json({ error: 'Invalid request ID' });
     }
 
-    // Verify user is admin of the room
-    const adminCheck = await db.query(
-      'SELECT * FROM room_members WHERE room_id = $1 AND user_id = $2 AND is_admin = true',
-      [roomId, adminId]
-    );
-
-    if (adminCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only room admin can approve requests' });
-    }
-
     // Get the pending request
     const requestCheck = await db.query(
       `SELECT rm.*, u.wallet_address 
@@ -335,6 +994,13 @@ router.post('/:roomId/requests/:requestId/approve', authMiddleware.authenticateT
 
     console.log(`Request ${requestId} approved successfully`);
 
+    DomainEvents.publish(DOMAIN_EVENTS.MEMBER_APPROVED, {
+      roomId,
+      userId: requestCheck.rows[0].user_id,
+      walletAddress: requestCheck.rows[0].wallet_address,
+      actorId: adminId
+    });
+
     res.json({
       success: true,
       message: 'Join request approved successfully'
@@ -346,8 +1012,8 @@ router.post('/:roomId/requests/:requestId/approve', authMiddleware.authenticateT
   }
 });
 
-// Reject a join request (admin only) - SEPARATE ROUTE FOR REJECT
-router.post('/:roomId/requests/:requestId/reject', authMiddleware.authenticateToken, async (req, res) => {
+// Reject a join request (approve_requests permission) - SEPARATE ROUTE FOR REJECT
+router.post('/:roomId/requests/:requestId/reject', authMiddleware.authenticateToken, authMiddleware.requirePermission('approve_requests'), async (req, res) => {
   try {
     const { roomId, requestId } = req.params;
     const adminId = req.user.id;
@@ -363,20 +1029,11 @@ router.post('/:roomId/requests/:requestId/reject', authMiddleware.authenticateTo
       return res.status(400).json({ error: 'Invalid request ID' });
     }
 
-    // Verify user is admin of the room
-    const adminCheck = await db.query(
-      'SELECT * FROM room_members WHERE room_id = $1 AND user_id = $2 AND is_admin = true',
-      [roomId, adminId]
-    );
-
-    if (adminCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only room admin can reject requests' });
-    }
-
     // Get the pending request
     const requestCheck = await db.query(
-      `SELECT rm.* 
+      `SELECT rm.*, u.wallet_address 
        FROM room_members rm
+       JOIN users u ON rm.user_id = u.id
        WHERE rm.id = $1 AND rm.room_id = $2 AND rm.status = 'pending'`,
       [requestId, roomId]
     );
@@ -395,6 +1052,13 @@ router.post('/:roomId/requests/:requestId/reject', authMiddleware.authenticateTo
 
     console.log(`Request ${requestId} rejected successfully`);
 
+    DomainEvents.publish(DOMAIN_EVENTS.MEMBER_REJECTED, {
+      roomId,
+      userId: requestCheck.rows[0].user_id,
+      walletAddress: requestCheck.rows[0].wallet_address,
+      actorId: adminId
+    });
+
     res.json({
       success: true,
       message: 'Join request rejected'
@@ -406,8 +1070,8 @@ router.post('/:roomId/requests/:requestId/reject', authMiddleware.authenticateTo
   }
 });
 
-// Remove member from room (admin only)
-router.delete('/:roomId/members/:walletAddress', authMiddleware.authenticateToken, async (req, res) => {
+// Remove member from room (remove_members permission, lower-ranked members only)
+router.delete('/:roomId/members/:walletAddress', authMiddleware.authenticateToken, authMiddleware.requirePermission('remove_members'), async (req, res) => {
   try {
     const { roomId, walletAddress } = req.params;
     const adminId = req.user.id;
@@ -415,16 +1079,6 @@ router.delete('/:roomId/members/:walletAddress', authMiddleware.authenticateToke
     // Validate roomId
     validateRoomId(roomId);
 
-    // Check if user is admin
-    const adminCheck = await db.query(
-      'SELECT * FROM room_members WHERE room_id = $1 AND user_id = $2 AND is_admin = true',
-      [roomId, adminId]
-    );
-    
-    if (adminCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only room admin can remove members' });
-    }
-
     // Get user ID
     const userResult = await UserQueries.getUserByWallet(walletAddress);
     if (!userResult.rows.length) {
@@ -438,6 +1092,12 @@ router.delete('/:roomId/members/:walletAddress', authMiddleware.authenticateToke
       return res.status(400).json({ error: 'Cannot remove yourself' });
     }
 
+    // Cannot remove members of equal or higher rank (the owner can never be removed)
+    const targetResult = await RoleQueries.getMemberWithRole(roomId, userId);
+    if (targetResult.rows.length && resolveRole(targetResult.rows[0]).rank >= req.membership.rank) {
+      return res.status(403).json({ error: 'Cannot remove a member with an equal or higher role' });
+    }
+
     // Remove member
     const result = await RoomQueries.removeRoomMember(roomId, userId);
     
@@ -445,6 +1105,13 @@ router.delete('/:roomId/members/:walletAddress', authMiddleware.authenticateToke
       return res.status(404).json({ error: 'Member not found' });
     }
 
+    DomainEvents.publish(DOMAIN_EVENTS.MEMBER_REMOVED, {
+      roomId,
+      userId,
+      walletAddress: userResult.rows[0].wallet_address,
+      removedBy: req.user.wallet_address
+    });
+
     res.json({
       success: true,
       message: 'Member removed from room'
@@ -486,30 +1153,38 @@ router.post('/:roomId/leave', authMiddleware.authenticateToken, async (req, res)
       return res.status(400).json({ error: 'You are not a member of this room' });
     }
     
-    // Update member status to 'left'
+    // If the owner is leaving, hand ownership to the highest-ranked remaining
+    // member (earliest joined wins ties) before marking them as left
+    if (memberCheck.rows[0].role === 'owner') {
+      const otherMembers = await RoleQueries.getApprovedMembersWithRoles(roomId, userId);
+
+      const successor = otherMembers.rows.reduce((best, member) => {
+        return !best || resolveRole(member).rank > resolveRole(best).rank ? member : best;
+      }, null);
+
+      if (successor) {
+        await RoleQueries.transferOwnership(roomId, userId, successor.user_id);
+      }
+    }
+
+    // Update member status to 'left' (elevated roles are not kept)
     await db.query(
       `UPDATE room_members 
-       SET status = 'left', left_at = NOW() 
+       SET status = 'left', left_at = NOW(), role = 'member', is_admin = false
        WHERE room_id = $1 AND user_id = $2`,
       [roomId, userId]
     );
-    
-    // If user is admin and leaving, assign new admin if there are other members
-    if (memberCheck.rows[0].is_admin) {
-      // Find another member to make admin
-      const otherMembers = await db.query(
-        `SELECT user_id FROM room_members 
-         WHERE room_id = $1 AND user_id != $2 AND status = 'approved' 
-         ORDER BY joined_at ASC LIMIT 1`,
-        [roomId, userId]
-      );
-      
-      if (otherMembers.rows.length > 0) {
-        await db.query(
-          'UPDATE room_members SET is_admin = true WHERE room_id = $1 AND user_id = $2',
-          [roomId, otherMembers.rows[0].user_id]
-        );
-      }
+
+    DomainEvents.publish(DOMAIN_EVENTS.MEMBER_LEFT, {
+      roomId,
+      userId,
+      walletAddress: req.user.wallet_address
+    });
+
+    if (roomCheck.rows[0].room_type === 'group_dm') {
+      GroupDmService.refreshRoom(roomId).catch(error => {
+        console.error('Group DM refresh error:', error);
+      });
     }
     
     res.json({
@@ -523,26 +1198,20 @@ router.post('/:roomId/leave', authMiddleware.authenticateToken, async (req, res)
   }
 });
 
-// Delete room (admin only)
-router.delete('/:roomId', authMiddleware.authenticateToken, async (req, res) => {
+// Delete room (delete_room permission, which only the owner holds)
+router.delete('/:roomId', authMiddleware.authenticateToken, authMiddleware.requirePermission('delete_room'), async (req, res) => {
   try {
     const { roomId } = req.params;
-    const userId = req.user.id;
     
     // Validate roomId
     validateRoomId(roomId);
-    
-    // Check if user is admin of the room
-    const adminCheck = await db.query(
-      'SELECT * FROM room_members WHERE room_id = $1 AND user_id = $2 AND is_admin = true',
-      [roomId, userId]
-    );
-    
-    if (adminCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'Only room admin can delete room' });
-    }
-    
+
     const result = await RoomQueries.deleteRoom(roomId);
+
+    DomainEvents.publish(DOMAIN_EVENTS.ROOM_DELETED, {
+      roomId,
+      deletedBy: req.user.wallet_address
+    });
     
     res.json({
       success: true,
@@ -558,7 +1227,6 @@ router.delete('/:roomId', authMiddleware.authenticateToken, async (req, res) =>
 router.post('/p2p/:walletAddress', authMiddleware.authenticateToken, async (req, res) => {
   try {
     const { walletAddress } = req.params;
-    const user1Id = req.user.id;
 
     // Validate wallet address
     if (!ethers.isAddress(walletAddress)) {
@@ -571,68 +1239,126 @@ router.post('/p2p/:walletAddress', authMiddleware.authenticateToken, async (req,
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const user2Id = userResult.rows[0].id;
+    // Unknown wallets get a message request instead of an open room
+    const { room, isNew, request } = await MessageRequestService.openConversation(req.user, userResult.rows[0]);
 
-    // Check if P2P room already exists
-    const existingRoom = await RoomQueries.getP2PRoom(user1Id, user2Id);
-    
-    if (existingRoom.rows.length) {
-      return res.json({
-        success: true,
-        room: existingRoom.rows[0],
-        isNew: false
-      });
-    }
-
-    // Create new P2P room
-    const result = await RoomQueries.createP2PRoom(user1Id, user2Id);
-    const roomId = result.rows[0].room_id;
-    const roomResult = await RoomQueries.getRoomById(roomId);
-    
-    res.status(201).json({
+    res.status(isNew ? 201 : 200).json({
       success: true,
-      room: roomResult.rows[0],
-      isNew: true
+      room,
+      isNew,
+      messageRequest: request
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Create P2P room error:', error);
     res.status(500).json({ error: 'Failed to create P2P room' });
   }
 });
 
-// Get room messages
-router.get('/:roomId/messages', authMiddleware.authenticateToken, async (req, res) => {
+// Mark room read up to a message (latest message when messageId is omitted)
+router.post('/:roomId/read', authMiddleware.authenticateToken, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const userId = req.user.id;
-    const { limit = 50, offset = 0 } = req.query;
-    
-    // Validate roomId
-    validateRoomId(roomId);
-    
-    // Check if user is a member of the room
-    const memberCheck = await db.query(
-      'SELECT * FROM room_members WHERE room_id = $1 AND user_id = $2 AND status IN ($3, $4)',
-      [roomId, userId, 'approved', 'pending']
-    );
-    
-    if (memberCheck.rows.length === 0) {
-      return res.status(403).json({ error: 'You are not a member of this room' });
+    const { messageId } = req.body;
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    if (!uuidRegex.test(roomId) || (messageId && !uuidRegex.test(messageId))) {
+      return res.status(400).json({ error: 'Invalid room or message ID' });
     }
-    
-    const result = await RoomQueries.getRoomMessages(roomId, parseInt(limit), parseInt(offset));
-    
+
+    const readState = await ReadStateService.markRead(req.user, roomId, messageId || null);
+
     res.json({
-      messages: result.rows,
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: result.rows.length
-      }
+      success: true,
+      ...readState
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Mark room read error:', error);
+    res.status(500).json({ error: 'Failed to mark room as read' });
+  }
+});
+
+// Read receipts of room members
+router.get('/:roomId/read', authMiddleware.authenticateToken, authMiddleware.checkRoomMember, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const receipts = await ReadStateQueries.getRoomReceipts(roomId);
+
+    res.json({ receipts: receipts.rows });
+  } catch (error) {
+    console.error('Get read receipts error:', error);
+    res.status(500).json({ error: 'Failed to get read receipts' });
+  }
+});
+
+// Get your notification preferences for a room
+router.get('/:roomId/notifications', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+
+    if (!UUID_REGEX.test(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    const result = await NotificationQueries.getRoomPreferences(roomId, req.user.id);
+    if (!result.rows.length) {
+      return res.status(403).json({ error: 'Not a member of this room' });
+    }
+
+    res.json({
+      level: result.rows[0].notification_level,
+      mutedUntil: result.rows[0].muted_until
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to get notification preferences' });
+  }
+});
+
+// Update your notification preferences for a room (level all/mentions/none,
+// mutedUntil an ISO date or null to unmute)
+router.put('/:roomId/notifications', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { level, mutedUntil } = req.body;
+
+    if (!UUID_REGEX.test(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    if (level !== undefined && !NOTIFICATION_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `level must be one of: ${NOTIFICATION_LEVELS.join(', ')}` });
+    }
+
+    if (mutedUntil !== undefined && mutedUntil !== null && (typeof mutedUntil !== 'string' || Number.isNaN(Date.parse(mutedUntil)))) {
+      return res.status(400).json({ error: 'mutedUntil must be an ISO date or null' });
+    }
+
+    const current = await NotificationQueries.getRoomPreferences(roomId, req.user.id);
+    if (!current.rows.length) {
+      return res.status(403).json({ error: 'Not a member of this room' });
+    }
+
+    const result = await NotificationQueries.updateRoomPreferences(
+      roomId,
+      req.user.id,
+      level ?? current.rows[0].notification_level,
+      mutedUntil === undefined ? current.rows[0].muted_until : mutedUntil && new Date(mutedUntil)
+    );
+
+    res.json({
+      success: true,
+      level: result.rows[0].notification_level,
+      mutedUntil: result.rows[0].muted_until
     });
   } catch (error) {
-    console.error('Get room messages error:', error);
-    res.status(500).json({ error: 'Failed to get room messages' });
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
   }
 });
 
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const SearchQueries = require('../db/queries/search');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { ethers } = require('ethers');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isValidDate = (value) => !Number.isNaN(Date.parse(value));
+
+// Search messages across the user's rooms
+router.get('/messages', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { q, roomId, sender, from, to, hasReplies, cursor, limit = 20 } = req.query;
+
+    if (!q || typeof q !== 'string' || q.trim().length < 2 || q.length > 200) {
+      return res.status(400).json({ error: 'Search query must be 2-200 characters' });
+    }
+
+    if (roomId && !UUID_REGEX.test(roomId)) {
+      return res.status(400).json({ error: 'Invalid room ID' });
+    }
+
+    if (sender && !ethers.isAddress(sender)) {
+      return res.status(400).json({ error: 'Invalid sender wallet address' });
+    }
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ error: 'from and to must be ISO dates' });
+    }
+
+    if (hasReplies !== undefined && !['true', 'false'].includes(hasReplies)) {
+      return res.status(400).json({ error: 'hasReplies must be true or false' });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 50);
+
+    const result = await SearchQueries.searchMessages(req.user.id, q.trim(), {
+      roomId,
+      senderWallet: sender,
+      from,
+      to,
+      hasReplies: hasReplies === undefined ? undefined : hasReplies === 'true',
+      cursor: cursor ? decodeCursor(cursor) : null,
+      limit: pageSize
+    });
+
+    const hasMore = result.rows.length === pageSize;
+
+    res.json({
+      results: result.rows,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(result.rows[result.rows.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Search messages error:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const UserQueries = require('../db/queries/users');
+const BlockQueries = require('../db/queries/blocks');
+const ProfileService = require('../services/profiles');
+const BlockService = require('../services/blocks');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { ethers } = require('ethers');
+
+// Resolves the :walletAddress of a block route to a user, or sends the error response
+const getTargetUser = async (req, res) => {
+  const { walletAddress } = req.params;
+
+  if (!ethers.isAddress(walletAddress)) {
+    res.status(400).json({ error: 'Invalid wallet address' });
+    return null;
+  }
+
+  const userResult = await UserQueries.getUserByWalletAnyCase(walletAddress);
+  if (!userResult.rows.length) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  return userResult.rows[0];
+};
+
+// Get the wallets you have blocked
+router.get('/blocks', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit = 50 } = req.query;
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const result = await BlockQueries.getBlockedUsers(req.user.id, {
+      cursor: cursor ? decodeCursor(cursor) : null,
+      limit: pageSize
+    });
+
+    const hasMore = result.rows.length === pageSize;
+
+    res.json({
+      blocks: result.rows.map(({ id, ...block }) => block),
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(result.rows[result.rows.length - 1]) : null
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Get blocks error:', error);
+    res.status(500).json({ error: 'Failed to get blocked wallets' });
+  }
+});
+
+// Get public profile for a wallet
+router.get('/:walletAddress', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const { walletAddress } = req.params;
+
+    if (!ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Invalid wallet address' });
+    }
+
+    const userResult = await UserQueries.getUserByWallet(walletAddress);
+    if (!userResult.rows.length) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await ProfileService.getFreshProfile(userResult.rows[0]);
+
+    res.json({
+      profile: ProfileService.toProfile(user)
+    });
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({ error: 'Failed to get user profile' });
+  }
+});
+
+// Block a wallet
+router.post('/:walletAddress/block', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const target = await getTargetUser(req, res);
+    if (!target) return;
+
+    await BlockService.block(req.user.id, target.id);
+
+    res.json({ success: true, walletAddress: target.wallet_address, blocked: true });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block wallet' });
+  }
+});
+
+// Unblock a wallet
+router.delete('/:walletAddress/block', authMiddleware.authenticateToken, async (req, res) => {
+  try {
+    const target = await getTargetUser(req, res);
+    if (!target) return;
+
+    await BlockService.unblock(req.user.id, target.id);
+
+    res.json({ success: true, walletAddress: target.wallet_address, blocked: false });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock wallet' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -8,15 +8,32 @@ const rateLimit = require('express-rate-limit');
 
 // Database
 const db = require('./config/db');
+const { assertSiweConfigured } = require('./config/siwe');
 
 // Routes
 const authRoutes = require('./routes/auth');
 const roomRoutes = require('./routes/rooms');
 const messageRoutes = require('./routes/messages');
 const invitationRoutes = require('./routes/invitations');
+const userRoutes = require('./routes/users');
+const searchRoutes = require('./routes/search');
+const attachmentRoutes = require('./routes/attachments');
+const mentionRoutes = require('./routes/mentions');
+const notificationRoutes = require('./routes/notifications');
+const inviteRoutes = require('./routes/invite');
+const messageRequestRoutes = require('./routes/messageRequests');
 
 // Socket service
 const SocketService = require('./services/socket');
+const TokenGateService = require('./services/tokenGate');
+const PresenceService = require('./services/presence');
+const AttachmentService = require('./services/attachments');
+const LinkPreviewService = require('./services/linkPreviews');
+const MentionService = require('./services/mentions');
+const NotificationService = require('./services/notifications');
+const InvitationService = require('./services/invitations');
+const ProfileService = require('./services/profiles');
+const { closePubSub } = require('./services/pubsub');
 
 const app = express();
 const server = http.createServer(app);
@@ -78,6 +95,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/rooms', roomRoutes);
 app.use('/api', messageRoutes);
 app.use('/api/invitations', invitationRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api', attachmentRoutes);
+app.use('/api/mentions', mentionRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/invite', inviteRoutes);
+app.use('/api/message-requests', messageRequestRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -103,10 +127,37 @@ const socketService = new SocketService(server);
 // Database connection and server start
 async function startServer() {
   try {
+    // Sign-in messages must be bound to a configured domain
+    assertSiweConfigured();
+
     // Test database connection
     await db.connect();
     console.log('✅ Database connected successfully');
 
+    // Periodic re-verification of token-gated memberships
+    TokenGateService.start();
+
+    // Idle detection for socket presence
+    PresenceService.start();
+
+    // Cleanup of uploads that were never sent with a message
+    AttachmentService.start();
+
+    // Link previews for URLs in new and edited messages
+    LinkPreviewService.start();
+
+    // Mention records and notifications for new and edited messages
+    MentionService.start();
+
+    // Notification center entries for invitations, approvals, mentions and replies
+    NotificationService.start();
+
+    // Marks pending invitations past their expiry as expired
+    InvitationService.start();
+
+    // Warns once if ENS lookups have no provider
+    ProfileService.start();
+
     // Start server
     const PORT = process.env.PORT || 3000;
     server.listen(PORT, () => {
@@ -129,11 +180,20 @@ async function gracefulShutdown() {
   console.log('🛑 Received shutdown signal');
   
   try {
+    TokenGateService.stop();
+    PresenceService.stop();
+    AttachmentService.stop();
+    LinkPreviewService.stop();
+    MentionService.stop();
+    NotificationService.stop();
+    InvitationService.stop();
+
     // Close HTTP server
     server.close(async () => {
       console.log('✅ HTTP server closed');
       
-      // Close database pool
+      // Close pub/sub listener and database pool
+      await closePubSub();
       await db.pool?.end();
       console.log('✅ Database connections closed');
       
@@ -0,0 +1,323 @@
+const crypto = require('crypto');
+const path = require('path');
+const db = require('../config/db');
+const AttachmentQueries = require('../db/queries/attachments');
+const MessageQueries = require('../db/queries/messages');
+const { getStorage } = require('./storage');
+const { sniffMime } = require('../utils/mime');
+const { UUID_REGEX } = require('../utils/cursor');
+const { JWT_CONFIG } = require('../config/jwt');
+const { ATTACHMENT_CONFIG } = require('../config/attachments');
+
+const attachmentError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Keep a readable name for downloads without path parts or control characters
+const sanitizeFilename = (name) => {
+  const base = path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f"\\/]/g, '').trim();
+  return base.slice(-200) || 'file';
+};
+
+let sharp;
+
+// Thumbnails need the optional `sharp` package; without it images are stored without one
+const loadSharp = () => {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      console.warn('sharp is not installed: image thumbnails are disabled');
+      sharp = null;
+    }
+  }
+  return sharp;
+};
+
+// Uploads, message attachment bookkeeping and downloads. Files go to the
+// configured storage backend (see ./storage); rows live in `attachments`.
+class AttachmentService {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  // Client-facing shape embedded in messages (see ATTACHMENTS in db/queries/fragments)
+  toSummary(attachment) {
+    return {
+      id: attachment.id,
+      filename: attachment.filename,
+      mime_type: attachment.mime_type,
+      size_bytes: attachment.size_bytes,
+      width: attachment.width,
+      height: attachment.height,
+      url: `/api/attachments/${attachment.id}`,
+      thumbnail_url: attachment.thumbnail_key ? `/api/attachments/${attachment.id}/thumbnail` : null
+    };
+  }
+
+  async createThumbnail(buffer) {
+    const lib = loadSharp();
+    if (!lib) return null;
+
+    try {
+      const image = lib(buffer, { limitInputPixels: 50 * 1000 * 1000 });
+      const { width, height } = await image.metadata();
+      const thumbnail = await image
+        .rotate()
+        .resize(ATTACHMENT_CONFIG.thumbnailSize, ATTACHMENT_CONFIG.thumbnailSize, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+
+      return { thumbnail, width, height };
+    } catch (error) {
+      // Corrupt or unsupported image: keep the file, skip the thumbnail
+      console.error('Thumbnail error:', error.message);
+      return null;
+    }
+  }
+
+  // Stores an uploaded file (multer memory file) for a room
+  async upload(user, roomId, file) {
+    if (!file || !file.buffer || file.size === 0) {
+      throw attachmentError('File required');
+    }
+
+    if (file.size > ATTACHMENT_CONFIG.maxSizeBytes) {
+      throw attachmentError(`File too large (max ${ATTACHMENT_CONFIG.maxSizeBytes / 1024 / 1024} MB)`, 413);
+    }
+
+    const mimeType = sniffMime(file.buffer);
+    if (!mimeType || !ATTACHMENT_CONFIG.allowedTypes.includes(mimeType)) {
+      throw attachmentError('Unsupported file type', 415);
+    }
+
+    const fileId = crypto.randomUUID();
+    const storageKey = `rooms/${roomId}/${fileId}`;
+    let thumbnailKey = null;
+    let width = null;
+    let height = null;
+
+    const storage = getStorage();
+    const stored = [];
+
+    try {
+      await storage.put(storageKey, file.buffer, mimeType);
+      stored.push(storageKey);
+
+      if (ATTACHMENT_CONFIG.thumbnailTypes.includes(mimeType)) {
+        const result = await this.createThumbnail(file.buffer);
+        if (result) {
+          ({ width, height } = result);
+          thumbnailKey = `${storageKey}-thumb.webp`;
+          await storage.put(thumbnailKey, result.thumbnail, 'image/webp');
+          stored.push(thumbnailKey);
+        }
+      }
+
+      const created = await AttachmentQueries.createAttachment({
+        roomId,
+        uploaderId: user.id,
+        storageKey,
+        thumbnailKey,
+        filename: sanitizeFilename(file.originalname),
+        mimeType,
+        sizeBytes: file.size,
+        width,
+        height
+      });
+
+      return this.toSummary(created.rows[0]);
+    } catch (error) {
+      await this.deleteFiles(stored.map(key => ({ storage_key: key })));
+      throw error;
+    }
+  }
+
+  // Checks message attachment ids before the message is stored; returns the ids
+  async validateForMessage(roomId, userId, attachmentIds) {
+    if (attachmentIds === undefined || attachmentIds === null) {
+      return [];
+    }
+
+    if (!Array.isArray(attachmentIds) || attachmentIds.length > ATTACHMENT_CONFIG.maxPerMessage ||
+        !attachmentIds.every(id => typeof id === 'string' && UUID_REGEX.test(id))) {
+      throw attachmentError(`attachmentIds must be a list of at most ${ATTACHMENT_CONFIG.maxPerMessage} attachment ids`);
+    }
+
+    const ids = [...new Set(attachmentIds)];
+    if (ids.length === 0) {
+      return ids;
+    }
+
+    const result = await AttachmentQueries.getUnclaimedAttachments(ids, roomId, userId);
+    if (result.rows.length !== ids.length) {
+      throw attachmentError('Attachments must be your own unsent uploads to this room');
+    }
+
+    return ids;
+  }
+
+  // Stores a message and links its uploads in one transaction; if another
+  // message claimed some of them since validateForMessage, nothing is stored.
+  // Returns the message and its attachment summaries in upload order.
+  async createMessage(roomId, senderId, content, threadId, attachmentIds) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const created = await MessageQueries.createMessage(roomId, senderId, content, threadId, client);
+      const message = created.rows[0];
+
+      let claimed = [];
+      if (attachmentIds.length) {
+        const result = await AttachmentQueries.claimAttachments(attachmentIds, roomId, senderId, message.id, client);
+        claimed = result.rows;
+      }
+
+      if (claimed.length !== attachmentIds.length) {
+        const claimedIds = new Set(claimed.map(row => row.id));
+        const missing = attachmentIds.filter(id => !claimedIds.has(id));
+        throw attachmentError(`Attachments already sent with another message: ${missing.join(', ')}`, 409);
+      }
+
+      await client.query('COMMIT');
+
+      const attachments = claimed
+        .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+        .map(row => this.toSummary(row));
+      return { message, attachments };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Readable stream of the file or its thumbnail
+  async open(attachment, variant = 'file') {
+    const key = variant === 'thumbnail' ? attachment.thumbnail_key : attachment.storage_key;
+    if (!key) {
+      throw attachmentError('Attachment not found', 404);
+    }
+
+    try {
+      return await getStorage().get(key);
+    } catch (error) {
+      console.error('Attachment read error:', error.message);
+      throw attachmentError('Attachment not found', 404);
+    }
+  }
+
+  async getForUser(attachmentId, userId) {
+    if (!UUID_REGEX.test(attachmentId || '')) {
+      throw attachmentError('Attachment not found', 404);
+    }
+
+    // Same answer for missing and inaccessible so ids can't be probed
+    const result = await AttachmentQueries.getAccessibleAttachment(attachmentId, userId);
+    if (!result.rows.length) {
+      throw attachmentError('Attachment not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  sign(attachmentId, variant, expires) {
+    return crypto
+      .createHmac('sha256', JWT_CONFIG.secret)
+      .update(`attachment:${attachmentId}:${variant}:${expires}`)
+      .digest('base64url');
+  }
+
+  // Short-lived links that skip the Authorization header; only handed out after a membership check
+  createSignedUrls(attachment) {
+    const expires = Math.floor(Date.now() / 1000) + ATTACHMENT_CONFIG.urlTtlSeconds;
+    const link = (variant) => {
+      const params = new URLSearchParams({ variant, expires, signature: this.sign(attachment.id, variant, expires) });
+      return `/api/attachments/${attachment.id}/download?${params}`;
+    };
+
+    return {
+      url: link('file'),
+      thumbnailUrl: attachment.thumbnail_key ? link('thumbnail') : null,
+      expiresAt: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  async getBySignature(attachmentId, { variant = 'file', expires, signature }) {
+    const expected = Buffer.from(this.sign(attachmentId, variant, expires));
+    const given = Buffer.from(typeof signature === 'string' ? signature : '');
+    // timingSafeEqual throws on buffers of different byte lengths
+    const valid = given.length === expected.length && crypto.timingSafeEqual(given, expected);
+
+    if (!valid || !UUID_REGEX.test(attachmentId || '')) {
+      throw attachmentError('Invalid download link', 403);
+    }
+
+    if (!(parseInt(expires) * 1000 >= Date.now())) {
+      throw attachmentError('Download link expired', 403);
+    }
+
+    const result = await AttachmentQueries.getAttachmentById(attachmentId);
+    if (!result.rows.length) {
+      throw attachmentError('Attachment not found', 404);
+    }
+
+    return result.rows[0];
+  }
+
+  async deleteFiles(rows) {
+    const storage = getStorage();
+    for (const row of rows) {
+      for (const key of [row.storage_key, row.thumbnail_key]) {
+        if (!key) continue;
+        try {
+          await storage.delete(key);
+        } catch (error) {
+          console.error('Attachment file delete error:', error.message);
+        }
+      }
+    }
+  }
+
+  // Files of a deleted message go with it
+  async removeForMessage(messageId) {
+    const result = await AttachmentQueries.deleteMessageAttachments(messageId);
+    await this.deleteFiles(result.rows);
+  }
+
+  async sweepUnclaimed() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      let batch;
+      do {
+        batch = await AttachmentQueries.deleteUnclaimedAttachments(ATTACHMENT_CONFIG.unclaimedTtlHours, ATTACHMENT_CONFIG.batchSize);
+        await this.deleteFiles(batch.rows);
+      } while (batch.rows.length === ATTACHMENT_CONFIG.batchSize);
+    } catch (error) {
+      console.error('Attachment sweep error:', error);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sweepUnclaimed(), ATTACHMENT_CONFIG.sweepEveryMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new AttachmentService();
\ No newline at end of file
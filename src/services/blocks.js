@@ -0,0 +1,65 @@
+const BlockQueries = require('../db/queries/blocks');
+
+const BLOCK_CONFIG = {
+  // Blocker lists are looked up on every typing and presence event
+  cacheTtlMs: 30 * 1000,
+  maxCacheEntries: 10000
+};
+
+const blockError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// User blocks. A blocked user cannot open P2P conversations with, invite or
+// add to a group DM the blocker; their messages are flagged in the blocker's message lists, they
+// never trigger the blocker's notifications, and their live messages, edits,
+// reactions, typing and presence never reach the blocker's sockets.
+// Blocker lists are cached per node, so other nodes pick up a change within
+// the cache lifetime.
+class BlockService {
+  constructor() {
+    this.blockerCache = new Map(); // blocked userId -> { ids: Set, expiresAt }
+  }
+
+  async block(blockerId, blockedId) {
+    if (blockerId === blockedId) {
+      throw blockError('You cannot block yourself');
+    }
+
+    await BlockQueries.blockUser(blockerId, blockedId);
+    this.blockerCache.delete(blockedId);
+  }
+
+  async unblock(blockerId, blockedId) {
+    const result = await BlockQueries.unblockUser(blockerId, blockedId);
+    if (!result.rows.length) {
+      throw blockError('Wallet is not blocked', 404);
+    }
+    this.blockerCache.delete(blockedId);
+  }
+
+  async isBlocked(blockerId, blockedId) {
+    const result = await BlockQueries.isBlocked(blockerId, blockedId);
+    return result.rows.length > 0;
+  }
+
+  // Set of user ids who blocked userId
+  async getBlockerIds(userId) {
+    const cached = this.blockerCache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.ids;
+    }
+
+    const result = await BlockQueries.getBlockerIds(userId);
+    const ids = new Set(result.rows.map(row => row.blocker_id));
+    if (this.blockerCache.size >= BLOCK_CONFIG.maxCacheEntries) {
+      this.blockerCache.clear();
+    }
+    this.blockerCache.set(userId, { ids, expiresAt: Date.now() + BLOCK_CONFIG.cacheTtlMs });
+    return ids;
+  }
+}
+
+module.exports = new BlockService();
\ No newline at end of file
@@ -0,0 +1,105 @@
+const { ethers } = require('ethers');
+const LocalChainProvider = require('./localChain');
+require('dotenv').config();
+
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+const EIP1271_INTERFACE = new ethers.Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+]);
+
+const CHAIN_CONFIG = {
+  // 'rpc' uses RPC_URL_<chainId> (or RPC_URL); 'local' uses the in-process stand-in
+  provider: process.env.CHAIN_PROVIDER || 'rpc',
+  codeCacheTtlMs: parseInt(process.env.CHAIN_CODE_CACHE_TTL || 60) * 60 * 1000,
+  // Undeployed wallets may be deployed any time, so remember "no code" briefly
+  emptyCodeCacheTtlMs: 60 * 1000
+};
+
+const rpcUrlFor = (chainId) => process.env[`RPC_URL_${chainId}`] || process.env.RPC_URL;
+
+const rpcProviderFactory = (chainId) => {
+  const url = rpcUrlFor(chainId);
+  if (!url) {
+    throw new Error(`No RPC URL configured for chain ${chainId}`);
+  }
+
+  const network = ethers.Network.from(chainId);
+  return new ethers.JsonRpcProvider(url, network, { staticNetwork: network });
+};
+
+const localProviderFactory = () => LocalChainProvider.shared;
+
+class ChainService {
+  constructor() {
+    this.providers = new Map(); // chainId -> provider
+    this.codeCache = new Map(); // "chainId:address" -> { hasCode, expiresAt }
+    this.providerFactory = CHAIN_CONFIG.provider === 'local' ? localProviderFactory : rpcProviderFactory;
+  }
+
+  // Swap the provider implementation, e.g. for a LocalChainProvider in tests
+  setProviderFactory(factory) {
+    this.providerFactory = factory;
+    this.providers.clear();
+    this.codeCache.clear();
+  }
+
+  // Whether getProvider can build a provider for the chain
+  hasProvider(chainId) {
+    return this.providerFactory !== rpcProviderFactory || Boolean(rpcUrlFor(chainId));
+  }
+
+  getProvider(chainId) {
+    if (!this.providers.has(chainId)) {
+      this.providers.set(chainId, this.providerFactory(chainId));
+    }
+    return this.providers.get(chainId);
+  }
+
+  async isContract(address, chainId) {
+    const key = `${chainId}:${address.toLowerCase()}`;
+    const cached = this.codeCache.get(key);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.hasCode;
+    }
+
+    const code = await this.getProvider(chainId).getCode(address);
+    const hasCode = code !== '0x';
+
+    this.codeCache.set(key, {
+      hasCode,
+      expiresAt: Date.now() + (hasCode ? CHAIN_CONFIG.codeCacheTtlMs : CHAIN_CONFIG.emptyCodeCacheTtlMs)
+    });
+
+    return hasCode;
+  }
+
+  // eth_call a view function and return the decoded result
+  async readContract(chainId, address, iface, functionName, args = []) {
+    const data = iface.encodeFunctionData(functionName, args);
+    const result = await this.getProvider(chainId).call({ to: address, data });
+    return iface.decodeFunctionResult(functionName, result);
+  }
+
+  // EIP-1271: ask the wallet contract whether it accepts the signature for the EIP-191 message hash
+  async isValidContractSignature(address, message, signature, chainId) {
+    if (!(await this.isContract(address, chainId))) {
+      return false;
+    }
+
+    try {
+      const [magicValue] = await this.readContract(chainId, address, EIP1271_INTERFACE, 'isValidSignature', [
+        ethers.hashMessage(message),
+        signature
+      ]);
+
+      return magicValue.toLowerCase() === EIP1271_MAGIC_VALUE;
+    } catch (error) {
+      // Reverts mean "invalid" per EIP-1271
+      console.error('EIP-1271 validation error:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = new ChainService();
\ No newline at end of file
@@ -0,0 +1,34 @@
+const EventEmitter = require('events');
+const { DOMAIN_EVENTS } = require('../config/events');
+
+const KNOWN_EVENTS = new Set(Object.values(DOMAIN_EVENTS));
+
+// Shared bus that REST routes, socket handlers and background jobs publish
+// to. Listeners get every event on '*' or a single type by name; SocketService
+// turns them into broadcasts, so clients see the same events whichever path
+// made the change.
+class DomainEventBus extends EventEmitter {
+  publish(type, payload) {
+    if (!KNOWN_EVENTS.has(type)) {
+      throw new Error(`Unknown domain event: ${type}`);
+    }
+
+    const event = {
+      type,
+      ...payload,
+      timestamp: new Date().toISOString()
+    };
+
+    // A failing listener must not fail the request that published the event
+    try {
+      this.emit(type, event);
+      this.emit('*', event);
+    } catch (error) {
+      console.error(`Domain event listener error (${type}):`, error);
+    }
+
+    return event;
+  }
+}
+
+module.exports = new DomainEventBus();
\ No newline at end of file
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('../config/db');
+const GroupDmQueries = require('../db/queries/groupDms');
+const RoomQueries = require('../db/queries/rooms');
+const BlockQueries = require('../db/queries/blocks');
+const MessageRequestService = require('./messageRequests');
+const DomainEvents = require('./events');
+const { DOMAIN_EVENTS } = require('../config/events');
+
+const GROUP_DM_CONFIG = {
+  minMembers: 3,
+  maxMembers: 10,
+  namedMembers: 3,
+  maxNameLength: 100
+};
+
+const groupDmError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+// Same people, same key: sha256 of the sorted lowercase wallets
+const memberKey = (members) => crypto
+  .createHash('sha256')
+  .update(members.map(m => m.wallet_address.toLowerCase()).sort().join(','))
+  .digest('hex');
+
+// "alice, bob.eth and 0x1234…abcd", or "alice, bob.eth, carol and 4 others"
+const generateName = (members) => {
+  const labels = members.map(m => m.display_name || m.ens_name || shortAddress(m.wallet_address));
+  const named = labels.slice(0, GROUP_DM_CONFIG.namedMembers);
+  const others = labels.length - named.length;
+
+  if (others > 0) {
+    return `${named.join(', ')} and ${others} ${others === 1 ? 'other' : 'others'}`;
+  }
+  return `${named.slice(0, -1).join(', ')} and ${named[named.length - 1]}`;
+};
+
+// Group DMs of 3-10 wallets. Everyone is an approved member from the start
+// with no admin flow, so only the actor's contacts can be added; creating one
+// for a member set that already has a group DM returns that room. Members
+// added later only see history from when they joined, and rooms without a
+// custom name are renamed as members change.
+class GroupDmService {
+  async create(creator, walletAddresses, name) {
+    if (name !== undefined && name !== null &&
+        (typeof name !== 'string' || !name.trim() || name.trim().length > GROUP_DM_CONFIG.maxNameLength)) {
+      throw groupDmError(`Name must be 1-${GROUP_DM_CONFIG.maxNameLength} characters`);
+    }
+
+    const wallets = this.normalizeWallets(walletAddresses);
+    wallets.add(creator.wallet_address.toLowerCase());
+
+    if (wallets.size < GROUP_DM_CONFIG.minMembers || wallets.size > GROUP_DM_CONFIG.maxMembers) {
+      throw groupDmError(`Group DMs need ${GROUP_DM_CONFIG.minMembers}-${GROUP_DM_CONFIG.maxMembers} members including you`);
+    }
+
+    const members = await this.getUsers([...wallets]);
+    await this.assertNotBlocked(creator, members);
+    await this.assertContacts(creator, members);
+
+    const key = memberKey(members);
+
+    const customName = name ? name.trim() : null;
+    const { roomId, isNew } = await this.findOrCreate(key, members, creator, customName);
+
+    if (!isNew) {
+      const roomResult = await RoomQueries.getRoomById(roomId);
+      return { room: roomResult.rows[0], isNew: false };
+    }
+
+    for (const member of members) {
+      DomainEvents.publish(DOMAIN_EVENTS.MEMBER_JOINED, {
+        roomId,
+        userId: member.id,
+        walletAddress: member.wallet_address
+      });
+    }
+
+    const roomResult = await RoomQueries.getRoomById(roomId);
+    return { room: roomResult.rows[0], isNew: true };
+  }
+
+  // Lookup and insert run under a lock on the member key, so concurrent
+  // creates for the same people end up in one room
+  async findOrCreate(key, members, creator, customName) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await GroupDmQueries.lockMemberKey(key, client);
+
+      const existing = await GroupDmQueries.findByMemberKey(key, client);
+      if (existing.rows.length) {
+        await client.query('COMMIT');
+        return { roomId: existing.rows[0].id, isNew: false };
+      }
+
+      const created = await GroupDmQueries.createGroupDm(
+        customName || generateName(members),
+        creator.id,
+        key,
+        !customName,
+        members.map(m => m.id),
+        client
+      );
+
+      await client.query('COMMIT');
+      return { roomId: created.rows[0].id, isNew: true };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Adds wallets to a group DM; they see messages from now on only
+  async addParticipants(roomId, actor, walletAddresses) {
+    const roomResult = await RoomQueries.getRoomById(roomId);
+    const room = roomResult.rows[0];
+
+    if (!room) {
+      throw groupDmError('Room not found', 404);
+    }
+    if (room.room_type !== 'group_dm') {
+      throw groupDmError('Participants can only be added to group DMs');
+    }
+
+    const membership = await RoomQueries.getMembership(roomId, actor.id);
+    if (!membership.rows.length || membership.rows[0].status !== 'approved') {
+      throw groupDmError('Not a member of this room', 403);
+    }
+
+    const wallets = this.normalizeWallets(walletAddresses);
+    if (wallets.size === 0) {
+      throw groupDmError('Provide at least one wallet address');
+    }
+
+    const current = await GroupDmQueries.getActiveMembers(roomId);
+    const currentWallets = new Set(current.rows.map(m => m.wallet_address.toLowerCase()));
+    const newWallets = [...wallets].filter(wallet => !currentWallets.has(wallet));
+
+    if (newWallets.length === 0) {
+      throw groupDmError('Everyone listed is already a member');
+    }
+    if (currentWallets.size + newWallets.length > GROUP_DM_CONFIG.maxMembers) {
+      throw groupDmError(`Group DMs are limited to ${GROUP_DM_CONFIG.maxMembers} members`);
+    }
+
+    const users = await this.getUsers(newWallets);
+    await this.assertNotBlocked(actor, users);
+    await this.assertContacts(actor, users);
+
+    const added = await GroupDmQueries.addMembers(roomId, users.map(u => u.id));
+    const addedIds = new Set(added.rows.map(row => row.user_id));
+    const addedUsers = users.filter(u => addedIds.has(u.id));
+
+    for (const user of addedUsers) {
+      DomainEvents.publish(DOMAIN_EVENTS.MEMBER_JOINED, {
+        roomId,
+        userId: user.id,
+        walletAddress: user.wallet_address,
+        actorId: actor.id
+      });
+    }
+
+    const updated = await this.refreshRoom(roomId);
+    return { room: updated, added: addedUsers.map(u => u.wallet_address) };
+  }
+
+  // Recomputes the member key and generated name after the member set changed
+  async refreshRoom(roomId) {
+    const current = await GroupDmQueries.getActiveMembers(roomId);
+    const members = current.rows;
+    const before = await RoomQueries.getRoomById(roomId);
+    if (!before.rows.length) return null;
+
+    const result = await GroupDmQueries.updateMemberSet(
+      roomId,
+      members.length ? memberKey(members) : null,
+      members.length >= 2 ? generateName(members) : before.rows[0].name
+    );
+    const room = result.rows[0];
+
+    if (room.name !== before.rows[0].name) {
+      DomainEvents.publish(DOMAIN_EVENTS.ROOM_UPDATED, { roomId, room });
+    }
+
+    return room;
+  }
+
+  normalizeWallets(walletAddresses) {
+    if (!Array.isArray(walletAddresses) || walletAddresses.length > GROUP_DM_CONFIG.maxMembers) {
+      throw groupDmError(`walletAddresses must be a list of at most ${GROUP_DM_CONFIG.maxMembers} addresses`);
+    }
+
+    const wallets = new Set();
+    for (const address of walletAddresses) {
+      if (typeof address !== 'string' || !ethers.isAddress(address)) {
+        throw groupDmError(`Invalid wallet address: ${address}`);
+      }
+      wallets.add(address.toLowerCase());
+    }
+    return wallets;
+  }
+
+  // Nobody can be put into a group DM by a wallet they blocked
+  async assertNotBlocked(actor, users) {
+    const wallets = users
+      .filter(u => u.id !== actor.id)
+      .map(u => u.wallet_address.toLowerCase());
+
+    const blockers = await BlockQueries.getBlockersAmong(actor.id, wallets);
+    if (blockers.rows.length) {
+      throw groupDmError('Some of these wallets are not accepting messages from you', 403);
+    }
+  }
+
+  // Group DMs skip message requests, so everyone added must already be a
+  // contact of the actor (see MessageRequestService.isKnownContact);
+  // strangers get a P2P message request first
+  async assertContacts(actor, users) {
+    const strangers = [];
+    for (const user of users) {
+      if (user.id !== actor.id && !(await MessageRequestService.isKnownContact(actor, user))) {
+        strangers.push(user.wallet_address);
+      }
+    }
+
+    if (strangers.length) {
+      throw groupDmError(`Start a conversation with these wallets before adding them to a group DM: ${strangers.join(', ')}`, 403);
+    }
+  }
+
+  async getUsers(wallets) {
+    const result = await GroupDmQueries.getUsersByWallets(wallets);
+    const found = new Set(result.rows.map(u => u.wallet_address.toLowerCase()));
+    const missing = wallets.filter(wallet => !found.has(wallet));
+
+    if (missing.length) {
+      throw groupDmError(`No account for: ${missing.join(', ')}`, 404);
+    }
+    return result.rows;
+  }
+}
+
+module.exports = new GroupDmService();
\ No newline at end of file
@@ -0,0 +1,216 @@
+const { ethers } = require('ethers');
+const InvitationQueries = require('../db/queries/invitations');
+const RoomQueries = require('../db/queries/rooms');
+const BlockQueries = require('../db/queries/blocks');
+const ProfileService = require('./profiles');
+const NotificationService = require('./notifications');
+
+const INVITATION_CONFIG = {
+  maxBulk: 500,
+  // Matches the room_invitations.expires_at default
+  expiryDays: 7,
+  ensConcurrency: 10,
+  sweepEveryMs: 10 * 60 * 1000,
+  batchSize: 100
+};
+
+const ENS_NAME_REGEX = /^(?:[a-z0-9-]+\.)+eth$/;
+
+const invitationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Invitations to private rooms: single and bulk invites by wallet address or
+// ENS name, resending and the sweep that marks overdue invitations expired.
+// Invitees are stored as lowercase addresses.
+class InvitationService {
+  // Invites every entry it can and reports one result per entry, in order:
+  // invited, already_member, already_invited, unavailable (the invitee blocked
+  // the inviter), duplicate, invalid or unresolved
+  async invite(roomId, inviter, entries) {
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > INVITATION_CONFIG.maxBulk) {
+      throw invitationError(`Provide 1-${INVITATION_CONFIG.maxBulk} wallet addresses or ENS names`);
+    }
+
+    const roomResult = await RoomQueries.getRoomById(roomId);
+    if (!roomResult.rows.length) {
+      throw invitationError('Room not found', 404);
+    }
+    if (roomResult.rows[0].room_type !== 'private') {
+      throw invitationError('Only private rooms support invitations');
+    }
+
+    const results = entries.map(input => ({ input, walletAddress: null, status: null }));
+    await this.resolveEntries(results);
+
+    const seen = new Set();
+    for (const result of results) {
+      if (result.status) continue;
+      if (seen.has(result.walletAddress)) {
+        result.status = 'duplicate';
+      }
+      seen.add(result.walletAddress);
+    }
+
+    const wallets = [...seen];
+    const existing = new Map();
+    if (wallets.length) {
+      const existingResult = await InvitationQueries.getExistingInvitees(roomId, wallets);
+      for (const row of existingResult.rows) {
+        // Membership wins over a leftover invitation
+        if (existing.get(row.wallet_address) !== 'already_member') {
+          existing.set(row.wallet_address, row.reason);
+        }
+      }
+
+      const blockers = await BlockQueries.getBlockersAmong(inviter.id, wallets);
+      for (const row of blockers.rows) {
+        if (!existing.has(row.wallet_address)) {
+          existing.set(row.wallet_address, 'unavailable');
+        }
+      }
+    }
+
+    const toInvite = wallets.filter(wallet => !existing.has(wallet));
+    let created = { rows: [] };
+    if (toInvite.length) {
+      await InvitationQueries.expireOverdueFor(roomId, toInvite);
+      created = await InvitationQueries.createInvitations(roomId, inviter.id, toInvite);
+    }
+    const invitationIds = new Map(created.rows.map(row => [row.invitee_wallet_address, row.id]));
+
+    for (const result of results) {
+      if (result.status) continue;
+      if (existing.has(result.walletAddress)) {
+        result.status = existing.get(result.walletAddress);
+      } else if (invitationIds.has(result.walletAddress)) {
+        result.status = 'invited';
+        result.invitationId = invitationIds.get(result.walletAddress);
+      } else {
+        // Invited by someone else in the meantime
+        result.status = 'already_invited';
+      }
+    }
+
+    for (const invitation of created.rows) {
+      NotificationService.notifyInvitation(invitation).catch(error => {
+        console.error('Invitation notification error:', error);
+      });
+    }
+
+    return { results, invitations: created.rows };
+  }
+
+  // Fills walletAddress for valid entries and a final status for the rest;
+  // ENS names are resolved a few at a time
+  async resolveEntries(results) {
+    const names = [];
+
+    for (const result of results) {
+      const value = typeof result.input === 'string' ? result.input.trim().toLowerCase() : '';
+
+      if (ethers.isAddress(value)) {
+        result.walletAddress = value;
+      } else if (ENS_NAME_REGEX.test(value)) {
+        names.push({ result, name: value });
+      } else {
+        result.status = 'invalid';
+        result.error = 'Not a wallet address or ENS name';
+      }
+    }
+
+    const resolveNext = async () => {
+      while (names.length) {
+        const { result, name } = names.shift();
+        try {
+          const address = await ProfileService.resolveName(name);
+          if (address) {
+            result.walletAddress = address.toLowerCase();
+          } else {
+            result.status = 'unresolved';
+            result.error = 'ENS name has no address';
+          }
+        } catch (error) {
+          result.status = 'unresolved';
+          result.error = 'ENS lookup failed';
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: INVITATION_CONFIG.ensConcurrency }, resolveNext));
+  }
+
+  // Re-opens a pending or expired invitation for another expiry period and
+  // notifies the invitee again, unless they joined the room or hold another
+  // pending invitation by now
+  async resend(roomId, invitationId) {
+    const current = await InvitationQueries.getRoomInvitation(roomId, invitationId);
+    if (!current.rows.length) {
+      throw invitationError('Pending or expired invitation not found', 404);
+    }
+
+    const wallet = current.rows[0].invitee_wallet_address.toLowerCase();
+    await InvitationQueries.expireOverdueFor(roomId, [wallet]);
+
+    const existing = await InvitationQueries.getExistingInvitees(roomId, [wallet], invitationId);
+    const reasons = new Set(existing.rows.map(row => row.reason));
+    if (reasons.has('already_member')) {
+      throw invitationError('Invitee is already a member of this room', 409);
+    }
+    if (reasons.has('already_invited')) {
+      throw invitationError('Invitee already has a newer pending invitation', 409);
+    }
+
+    let result;
+    try {
+      result = await InvitationQueries.resendInvitation(roomId, invitationId, INVITATION_CONFIG.expiryDays);
+    } catch (error) {
+      // Another pending invitation was created for the invitee meanwhile
+      if (error.code === '23505') {
+        throw invitationError('Invitee already has a newer pending invitation', 409);
+      }
+      throw error;
+    }
+    if (!result.rows.length) {
+      throw invitationError('Pending or expired invitation not found', 404);
+    }
+
+    const invitation = result.rows[0];
+    NotificationService.notifyInvitation(invitation).catch(error => {
+      console.error('Invitation notification error:', error);
+    });
+
+    return invitation;
+  }
+
+  async sweepExpired() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      let batch;
+      do {
+        batch = await InvitationQueries.expireInvitations(INVITATION_CONFIG.batchSize);
+      } while (batch.rows.length === INVITATION_CONFIG.batchSize);
+    } catch (error) {
+      console.error('Invitation sweep error:', error);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sweepExpired(), INVITATION_CONFIG.sweepEveryMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new InvitationService();
\ No newline at end of file
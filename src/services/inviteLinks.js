@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const InviteLinkQueries = require('../db/queries/inviteLinks');
+const RoomQueries = require('../db/queries/rooms');
+const RoleQueries = require('../db/queries/roles');
+const GateQueries = require('../db/queries/gates');
+const TokenGateService = require('./tokenGate');
+const NotificationService = require('./notifications');
+const DomainEvents = require('./events');
+const { DOMAIN_EVENTS } = require('../config/events');
+const { BUILT_IN_ROLES, ADMIN_ROLES } = require('../config/roles');
+
+const INVITE_LINK_CONFIG = {
+  codeBytes: 8,
+  defaultExpiryHours: 7 * 24,
+  maxExpiryHours: 365 * 24,
+  maxUses: 10000
+};
+
+const inviteLinkError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Shareable invite links. Creating a link can never grant more than its
+// creator could: the role must rank below theirs (and needs manage_roles unless
+// it is member), and skipping the join queue of a public room needs
+// approve_requests. Redeeming one joins the caller with the link's role, after
+// the token check in gated rooms.
+class InviteLinkService {
+  async create(roomId, creator, membership, { role = 'member', autoApprove = true, maxUses = null, expiresInHours }) {
+    const roomResult = await RoomQueries.getRoomById(roomId);
+    const room = roomResult.rows[0];
+
+    if (!room) {
+      throw inviteLinkError('Room not found', 404);
+    }
+
+    if (room.room_type === 'p2p' || room.room_type === 'group_dm') {
+      throw inviteLinkError('Direct message rooms do not support invite links');
+    }
+
+    if (typeof role !== 'string' || role === 'owner') {
+      throw inviteLinkError('Invalid role');
+    }
+
+    const ranks = await this.getRoleRanks(roomId);
+    if (!ranks.has(role)) {
+      throw inviteLinkError('Unknown role');
+    }
+    const rank = ranks.get(role);
+
+    if (role !== 'member' && !membership.permissions.includes('manage_roles')) {
+      throw inviteLinkError('Missing permission: manage_roles', 403);
+    }
+
+    if (rank >= membership.rank) {
+      throw inviteLinkError('Cannot create a link for a role at or above your own', 403);
+    }
+
+    if (typeof autoApprove !== 'boolean') {
+      throw inviteLinkError('autoApprove must be true or false');
+    }
+
+    if (autoApprove && room.room_type === 'public' && !membership.permissions.includes('approve_requests')) {
+      throw inviteLinkError('Missing permission: approve_requests', 403);
+    }
+
+    if (maxUses !== null && !(Number.isInteger(maxUses) && maxUses >= 1 && maxUses <= INVITE_LINK_CONFIG.maxUses)) {
+      throw inviteLinkError(`maxUses must be between 1 and ${INVITE_LINK_CONFIG.maxUses}, or null for unlimited`);
+    }
+
+    // Omitted means the default expiry, null means the link never expires
+    const hours = expiresInHours === undefined ? INVITE_LINK_CONFIG.defaultExpiryHours : expiresInHours;
+    if (hours !== null && !(typeof hours === 'number' && hours > 0 && hours <= INVITE_LINK_CONFIG.maxExpiryHours)) {
+      throw inviteLinkError(`expiresInHours must be between 0 and ${INVITE_LINK_CONFIG.maxExpiryHours}, or null for never`);
+    }
+
+    const created = await InviteLinkQueries.createLink(roomId, creator.id, {
+      code: crypto.randomBytes(INVITE_LINK_CONFIG.codeBytes).toString('base64url'),
+      role,
+      autoApprove,
+      maxUses,
+      expiresAt: hours === null ? null : new Date(Date.now() + hours * 60 * 60 * 1000)
+    });
+
+    const result = await InviteLinkQueries.getLinkById(created.rows[0].id);
+    return result.rows[0];
+  }
+
+  // The room's links; codes are only shown for links the member could manage
+  async listLinks(roomId, membership) {
+    const [result, ranks] = await Promise.all([
+      InviteLinkQueries.getRoomLinks(roomId),
+      this.getRoleRanks(roomId)
+    ]);
+
+    return result.rows.map(link => {
+      if (this.canManage(link, membership, ranks)) return link;
+      const { code, ...rest } = link;
+      return rest;
+    });
+  }
+
+  // A link of the room the member could manage; others are reported as missing
+  async getManageableLink(roomId, linkId, membership) {
+    const [result, ranks] = await Promise.all([
+      InviteLinkQueries.getLinkById(linkId),
+      this.getRoleRanks(roomId)
+    ]);
+    const link = result.rows[0];
+
+    if (!link || link.room_id !== roomId || !this.canManage(link, membership, ranks)) {
+      throw inviteLinkError('Invite link not found', 404);
+    }
+
+    return link;
+  }
+
+  async revoke(roomId, linkId, membership) {
+    await this.getManageableLink(roomId, linkId, membership);
+
+    const result = await InviteLinkQueries.revokeLink(roomId, linkId);
+    if (!result.rows.length) {
+      throw inviteLinkError('Invite link not found or already revoked', 404);
+    }
+  }
+
+  // A member manages the links they could have created: the role ranks below
+  // theirs (and is member unless they hold manage_roles), and the creator does
+  // not outrank them. Links of deleted custom roles count as member links.
+  canManage(link, membership, ranks) {
+    const roleRank = ranks.has(link.role) ? ranks.get(link.role) : BUILT_IN_ROLES.member.rank;
+    const creatorRank = link.creator_role && ranks.has(link.creator_role) ? ranks.get(link.creator_role) : 0;
+
+    if (roleRank >= membership.rank || creatorRank > membership.rank) return false;
+    return link.role === 'member' || membership.permissions.includes('manage_roles');
+  }
+
+  // Role name -> rank for built-in and the room's custom roles
+  async getRoleRanks(roomId) {
+    const customRoles = await RoleQueries.getCustomRoles(roomId);
+    return new Map([
+      ...Object.entries(BUILT_IN_ROLES).map(([name, role]) => [name, role.rank]),
+      ...customRoles.rows.map(role => [role.name, role.rank])
+    ]);
+  }
+
+  // Room summary for an invite page; only active links resolve
+  async preview(code) {
+    const link = await this.getUsableLink(code);
+
+    return {
+      roomId: link.room_id,
+      roomName: link.room_name,
+      roomDescription: link.room_description,
+      roomType: link.room_type,
+      memberCount: parseInt(link.member_count),
+      autoApprove: link.auto_approve,
+      expiresAt: link.expires_at
+    };
+  }
+
+  async redeem(user, code) {
+    const link = await this.getUsableLink(code);
+    const roomId = link.room_id;
+
+    const existing = await RoomQueries.getMembership(roomId, user.id);
+    const current = existing.rows[0];
+
+    if (current && current.status === 'approved') {
+      throw inviteLinkError('Already a member');
+    }
+
+    if (current && current.status === 'pending' && !link.auto_approve) {
+      throw inviteLinkError('Already requested to join');
+    }
+
+    // Like the join route, only former and demoted members can come back
+    if (current && !['pending', 'left', 'ineligible'].includes(current.status)) {
+      throw inviteLinkError('You cannot join this room with an invite link', 403);
+    }
+
+    if (link.room_type === 'gated') {
+      let eligible;
+      try {
+        eligible = await TokenGateService.isEligible(roomId, link.gate_match, user.wallet_address);
+      } catch (error) {
+        console.error('Token gate check error:', error);
+        throw inviteLinkError('Unable to verify token holdings, try again later', 503);
+      }
+
+      if (!eligible) {
+        throw inviteLinkError('Wallet does not hold the required tokens', 403);
+      }
+    }
+
+    const result = await InviteLinkQueries.redeemLink(link.id, user.id, ADMIN_ROLES);
+    if (!result.rows.length) {
+      throw inviteLinkError('Invite link is no longer valid', 410);
+    }
+
+    const { status, role } = result.rows[0];
+
+    if (status === 'approved') {
+      if (link.room_type === 'gated') {
+        await GateQueries.markChecked(roomId, user.id);
+      }
+
+      DomainEvents.publish(DOMAIN_EVENTS.MEMBER_JOINED, {
+        roomId,
+        userId: user.id,
+        walletAddress: user.wallet_address
+      });
+    } else {
+      NotificationService.notifyJoinRequest(roomId, user.id).catch(error => {
+        console.error('Join request notification error:', error);
+      });
+    }
+
+    return { roomId, roomName: link.room_name, status, role };
+  }
+
+  async getUsableLink(code) {
+    if (typeof code !== 'string' || !/^[A-Za-z0-9_-]{1,32}$/.test(code)) {
+      throw inviteLinkError('Invite link not found', 404);
+    }
+
+    const result = await InviteLinkQueries.getLinkByCode(code);
+    const link = result.rows[0];
+
+    if (!link || link.revoked_at) {
+      throw inviteLinkError('Invite link not found', 404);
+    }
+
+    if (link.expires_at && new Date(link.expires_at) <= new Date()) {
+      throw inviteLinkError('Invite link has expired', 410);
+    }
+
+    if (link.max_uses !== null && link.use_count >= link.max_uses) {
+      throw inviteLinkError('Invite link has reached its maximum uses', 410);
+    }
+
+    return link;
+  }
+}
+
+module.exports = new InviteLinkService();
\ No newline at end of file
@@ -0,0 +1,349 @@
+const { ethers } = require('ethers');
+const ChainService = require('./chain');
+const DomainEvents = require('./events');
+const LinkPreviewQueries = require('../db/queries/linkPreviews');
+const { DOMAIN_EVENTS } = require('../config/events');
+const { matchExplorerUrl } = require('../config/explorers');
+const { extractUrls } = require('../utils/urls');
+const { safeFetch } = require('../utils/safeFetch');
+require('dotenv').config();
+
+const LINK_PREVIEW_CONFIG = {
+  enabled: process.env.LINK_PREVIEWS !== 'false',
+  maxPerMessage: 3,
+  ttlMinutes: parseInt(process.env.LINK_PREVIEW_TTL || 24 * 60),
+  // Failures and pages without metadata are retried sooner
+  emptyTtlMinutes: 60,
+  // Pending transactions change soon
+  pendingTtlMinutes: 1,
+  fetchTimeoutMs: 5000,
+  chainTimeoutMs: 5000,
+  // Metadata lives in the document head
+  maxHtmlBytes: 512 * 1024
+};
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error('Chain lookup timed out')), ms))
+]);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const clean = (value, maxLength) => {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  return text ? text.slice(0, maxLength) : null;
+};
+
+// Absolute http(s) URL or null; previews never point clients at other schemes
+const absoluteUrl = (value, base) => {
+  if (!value) return null;
+  try {
+    const url = new URL(decodeEntities(value.trim()), base);
+    return ['http:', 'https:'].includes(url.protocol) && url.toString().length <= 2048 ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseAttributes = (tag) => {
+  const attributes = {};
+  for (const [, name, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([a-zA-Z:_-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+    attributes[name.toLowerCase()] = doubleQuoted ?? singleQuoted ?? bare;
+  }
+  return attributes;
+};
+
+// Open Graph / Twitter card / plain HTML metadata, plus an oEmbed discovery link
+const parseHtmlMetadata = (html, baseUrl) => {
+  const meta = {};
+  for (const [tag] of html.matchAll(/<meta\s[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    const key = (attributes.property || attributes.name || '').toLowerCase();
+    if (key && attributes.content !== undefined && meta[key] === undefined) {
+      meta[key] = attributes.content;
+    }
+  }
+
+  let oembedUrl = null;
+  for (const [tag] of html.matchAll(/<link\s[^>]*>/gi)) {
+    const attributes = parseAttributes(tag);
+    if ((attributes.type || '').toLowerCase() === 'application/json+oembed') {
+      oembedUrl = absoluteUrl(attributes.href, baseUrl);
+      break;
+    }
+  }
+
+  const titleTag = html.match(/<title[^>]*>([^<]*)<\/title>/i);
+
+  return {
+    title: clean(meta['og:title'] || meta['twitter:title'] || titleTag?.[1], 300),
+    description: clean(meta['og:description'] || meta['twitter:description'] || meta.description, 1000),
+    siteName: clean(meta['og:site_name'], 200),
+    imageUrl: absoluteUrl(meta['og:image'] || meta['og:image:url'] || meta['twitter:image'], baseUrl),
+    oembedUrl
+  };
+};
+
+const shortAddress = (address) => address ? `${address.slice(0, 6)}…${address.slice(-4)}` : 'contract creation';
+
+// Detects links in new and edited messages, builds previews (Open Graph /
+// oEmbed for pages, chain data for block explorer links), caches them per URL
+// and announces them with a message_preview_ready domain event. Runs after the
+// message is stored, so sending never waits on third-party sites.
+class LinkPreviewService {
+  constructor() {
+    this.inflight = new Map(); // url -> pending preview
+    this.onMessage = (event) => {
+      this.processMessage(event.message).catch(error => {
+        console.error('Link preview error:', error);
+      });
+    };
+  }
+
+  async processMessage(message) {
+    if (!message || message.deleted_at) return;
+
+    const urls = extractUrls(message.content, LINK_PREVIEW_CONFIG.maxPerMessage);
+    const hadPreviews = Array.isArray(message.link_previews) && message.link_previews.length > 0;
+    if (urls.length === 0 && !hadPreviews) return;
+
+    const previews = (await Promise.all(urls.map(url => this.getPreview(url))))
+      .filter(preview => preview && preview.kind !== 'none');
+
+    // Nothing is stored (or announced) for a message deleted while fetching
+    const changed = await LinkPreviewQueries.setMessagePreviews(message.id, previews.map(preview => preview.url));
+    if (changed === 0) return;
+
+    DomainEvents.publish(DOMAIN_EVENTS.MESSAGE_PREVIEW_READY, {
+      roomId: message.room_id,
+      messageId: message.id,
+      previews: previews.map(preview => this.toSummary(preview))
+    });
+  }
+
+  // Same shape as the link_previews column built in SQL for message rows
+  toSummary(preview) {
+    return {
+      url: preview.url,
+      kind: preview.kind,
+      title: preview.title,
+      description: preview.description,
+      site_name: preview.site_name,
+      image_url: preview.image_url,
+      data: preview.data
+    };
+  }
+
+  // Cached preview row for a URL, fetching (once across concurrent callers) when missing or expired
+  async getPreview(url) {
+    const cached = await LinkPreviewQueries.getCachedPreviews([url]);
+    if (cached.rows.length) {
+      return cached.rows[0];
+    }
+
+    if (!this.inflight.has(url)) {
+      const pending = (async () => {
+        try {
+          const preview = await this.buildPreview(url);
+          const ttl = preview.ttlMinutes || (preview.kind === 'none' ? LINK_PREVIEW_CONFIG.emptyTtlMinutes : LINK_PREVIEW_CONFIG.ttlMinutes);
+          const result = await LinkPreviewQueries.upsertPreview(preview, ttl);
+          return result.rows[0];
+        } catch (error) {
+          console.error('Link preview fetch error:', error.message);
+          return null;
+        } finally {
+          this.inflight.delete(url);
+        }
+      })();
+
+      this.inflight.set(url, pending);
+    }
+
+    return await this.inflight.get(url);
+  }
+
+  async buildPreview(url) {
+    const explorerMatch = matchExplorerUrl(url);
+    if (explorerMatch) {
+      return await this.buildExplorerPreview(url, explorerMatch);
+    }
+
+    try {
+      return await this.buildPagePreview(url);
+    } catch (error) {
+      // Unreachable, refused by the fetcher (private address, timeout, ...) or unparseable
+      console.error(`Link preview unavailable for ${url}:`, error.message);
+      return { url, kind: 'none' };
+    }
+  }
+
+  async buildPagePreview(url) {
+    const response = await safeFetch(url, {
+      timeoutMs: LINK_PREVIEW_CONFIG.fetchTimeoutMs,
+      maxBytes: LINK_PREVIEW_CONFIG.maxHtmlBytes
+    });
+
+    if (response.status !== 200 || !/text\/html|application\/xhtml\+xml/.test(response.contentType)) {
+      return { url, kind: 'none' };
+    }
+
+    const page = parseHtmlMetadata(response.body.toString('utf8'), response.url);
+
+    if (page.oembedUrl) {
+      const oembed = await this.fetchOembed(page.oembedUrl);
+      if (oembed) {
+        return {
+          url,
+          kind: 'oembed',
+          title: clean(oembed.title, 300) || page.title,
+          description: page.description,
+          siteName: clean(oembed.provider_name, 200) || page.siteName,
+          imageUrl: absoluteUrl(oembed.thumbnail_url, page.oembedUrl) || page.imageUrl,
+          // Embed HTML is never stored; clients render their own player from these
+          data: {
+            type: clean(oembed.type, 20),
+            authorName: clean(oembed.author_name, 200),
+            authorUrl: absoluteUrl(oembed.author_url, page.oembedUrl),
+            width: Number.isInteger(oembed.width) ? oembed.width : null,
+            height: Number.isInteger(oembed.height) ? oembed.height : null
+          }
+        };
+      }
+    }
+
+    if (!page.title && !page.description && !page.imageUrl) {
+      return { url, kind: 'none' };
+    }
+
+    return {
+      url,
+      kind: 'page',
+      title: page.title,
+      description: page.description,
+      siteName: page.siteName || new URL(response.url).hostname,
+      imageUrl: page.imageUrl,
+      data: null
+    };
+  }
+
+  async fetchOembed(oembedUrl) {
+    try {
+      const response = await safeFetch(oembedUrl, {
+        timeoutMs: LINK_PREVIEW_CONFIG.fetchTimeoutMs,
+        maxBytes: 64 * 1024,
+        accept: 'application/json'
+      });
+      if (response.status !== 200) return null;
+
+      const oembed = JSON.parse(response.body.toString('utf8'));
+      return oembed && typeof oembed === 'object' ? oembed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Transaction / address summary from the chain; falls back to a bare
+  // preview when the chain has no RPC configured or the lookup fails
+  async buildExplorerPreview(url, { explorer, type, value }) {
+    const base = {
+      url,
+      kind: type,
+      siteName: explorer.name,
+      imageUrl: null
+    };
+
+    try {
+      const provider = ChainService.getProvider(explorer.chainId);
+      const lookup = (promise) => withTimeout(promise, LINK_PREVIEW_CONFIG.chainTimeoutMs);
+
+      if (type === 'transaction') {
+        const [transaction, receipt] = await Promise.all([
+          lookup(provider.getTransaction(value)),
+          lookup(provider.getTransactionReceipt(value))
+        ]);
+
+        if (!transaction) {
+          return {
+            ...base,
+            title: 'Transaction not found',
+            description: null,
+            data: { chainId: explorer.chainId, hash: value },
+            ttlMinutes: LINK_PREVIEW_CONFIG.pendingTtlMinutes
+          };
+        }
+
+        const status = receipt ? (receipt.status === 1 ? 'success' : 'failed') : 'pending';
+        const amount = ethers.formatEther(transaction.value || 0n);
+
+        return {
+          ...base,
+          title: `Transaction ${shortAddress(value)}`,
+          description: `${amount} ${explorer.symbol} from ${shortAddress(transaction.from)} to ${shortAddress(transaction.to)} (${status})`,
+          data: {
+            chainId: explorer.chainId,
+            hash: value,
+            from: transaction.from,
+            to: transaction.to,
+            value: amount,
+            symbol: explorer.symbol,
+            status,
+            blockNumber: transaction.blockNumber ?? null
+          },
+          ttlMinutes: status === 'pending' ? LINK_PREVIEW_CONFIG.pendingTtlMinutes : undefined
+        };
+      }
+
+      const [balance, transactionCount, isContract] = await Promise.all([
+        lookup(provider.getBalance(value)),
+        lookup(provider.getTransactionCount(value)),
+        lookup(ChainService.isContract(value, explorer.chainId))
+      ]);
+      const amount = ethers.formatEther(balance);
+
+      return {
+        ...base,
+        title: `${isContract ? 'Contract' : 'Address'} ${shortAddress(value)}`,
+        description: `Balance ${amount} ${explorer.symbol}, ${transactionCount} transactions sent`,
+        data: {
+          chainId: explorer.chainId,
+          address: ethers.getAddress(value),
+          balance: amount,
+          symbol: explorer.symbol,
+          transactionCount,
+          isContract
+        }
+      };
+    } catch (error) {
+      console.error(`Explorer preview lookup failed for ${url}:`, error.message);
+      return {
+        ...base,
+        title: type === 'transaction' ? `Transaction ${shortAddress(value)}` : `Address ${shortAddress(value)}`,
+        description: null,
+        data: type === 'transaction' ? { chainId: explorer.chainId, hash: value } : { chainId: explorer.chainId, address: value },
+        ttlMinutes: LINK_PREVIEW_CONFIG.emptyTtlMinutes
+      };
+    }
+  }
+
+  start() {
+    if (!LINK_PREVIEW_CONFIG.enabled) return;
+    DomainEvents.on(DOMAIN_EVENTS.MESSAGE_CREATED, this.onMessage);
+    DomainEvents.on(DOMAIN_EVENTS.MESSAGE_UPDATED, this.onMessage);
+  }
+
+  stop() {
+    DomainEvents.off(DOMAIN_EVENTS.MESSAGE_CREATED, this.onMessage);
+    DomainEvents.off(DOMAIN_EVENTS.MESSAGE_UPDATED, this.onMessage);
+  }
+}
+
+module.exports = new LinkPreviewService();
\ No newline at end of file
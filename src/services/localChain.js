@@ -0,0 +1,100 @@
+const { ethers } = require('ethers');
+
+// In-process stand-in for a JSON-RPC provider. Implements only the calls the
+// chain-backed services make (getCode, eth_call, ENS lookups and the balance /
+// transaction reads used by link previews), dispatching eth_call to plain
+// JavaScript implementations registered per contract address.
+class LocalChainProvider {
+  constructor() {
+    this.contracts = new Map(); // lowercase address -> { iface, implementation, code }
+    this.ensRecords = new Map(); // lowercase address -> { name, avatar }
+    this.balances = new Map(); // lowercase address -> bigint wei
+    this.transactions = new Map(); // lowercase hash -> { transaction, receipt }
+  }
+
+  setBalance(address, wei) {
+    this.balances.set(address.toLowerCase(), BigInt(wei));
+  }
+
+  // transaction: { hash, from, to, value, blockNumber, nonce }; receipt: { status } or null while pending
+  addTransaction(transaction, receipt = null) {
+    this.transactions.set(transaction.hash.toLowerCase(), { transaction, receipt });
+  }
+
+  setEnsRecord(address, name, avatar = null) {
+    this.ensRecords.set(address.toLowerCase(), { name, avatar });
+  }
+
+  deployContract(address, abi, implementation, code = '0x01') {
+    this.contracts.set(address.toLowerCase(), {
+      iface: new ethers.Interface(abi),
+      implementation,
+      code
+    });
+  }
+
+  removeContract(address) {
+    this.contracts.delete(address.toLowerCase());
+  }
+
+  async getCode(address) {
+    const contract = this.contracts.get(address.toLowerCase());
+    return contract ? contract.code : '0x';
+  }
+
+  async lookupAddress(address) {
+    const record = this.ensRecords.get(address.toLowerCase());
+    return record ? record.name : null;
+  }
+
+  async resolveName(name) {
+    for (const [address, record] of this.ensRecords) {
+      if (record.name === name) return ethers.getAddress(address);
+    }
+    return null;
+  }
+
+  async getAvatar(name) {
+    const record = [...this.ensRecords.values()].find(r => r.name === name);
+    return record ? record.avatar : null;
+  }
+
+  async getBalance(address) {
+    return this.balances.get(address.toLowerCase()) || 0n;
+  }
+
+  async getTransactionCount(address) {
+    const sender = address.toLowerCase();
+    return [...this.transactions.values()].filter(({ transaction }) => transaction.from.toLowerCase() === sender).length;
+  }
+
+  async getTransaction(hash) {
+    return this.transactions.get(hash.toLowerCase())?.transaction || null;
+  }
+
+  async getTransactionReceipt(hash) {
+    return this.transactions.get(hash.toLowerCase())?.receipt || null;
+  }
+
+  async call({ to, data }) {
+    const contract = this.contracts.get(to.toLowerCase());
+    if (!contract) {
+      return '0x';
+    }
+
+    const fragment = contract.iface.getFunction(data.slice(0, 10));
+    const handler = fragment && contract.implementation[fragment.name];
+    if (!handler) {
+      throw new Error(`Local contract ${to} does not implement ${data.slice(0, 10)}`);
+    }
+
+    const args = contract.iface.decodeFunctionData(fragment, data);
+    const result = await handler(...args);
+    return contract.iface.encodeFunctionResult(fragment, Array.isArray(result) ? result : [result]);
+  }
+}
+
+// Shared instance used when CHAIN_PROVIDER=local
+LocalChainProvider.shared = new LocalChainProvider();
+
+module.exports = LocalChainProvider;
\ No newline at end of file
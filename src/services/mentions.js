@@ -0,0 +1,105 @@
+const EventEmitter = require('events');
+const DomainEvents = require('./events');
+const PresenceService = require('./presence');
+const MentionQueries = require('../db/queries/mentions');
+const NotificationQueries = require('../db/queries/notifications');
+const RoleQueries = require('../db/queries/roles');
+const { DOMAIN_EVENTS } = require('../config/events');
+const { hasPermission } = require('../config/roles');
+const { parseMentions } = require('../utils/mentions');
+
+// Records who a message mentions once it is stored and emits 'mentioned' for
+// each newly mentioned member. Only approved members can be mentioned and the
+// sender never mentions themselves. @here (online members) and @everyone need
+// the mention_everyone permission and are ignored without it. Edits sync the
+// stored mentions; only members added by the edit are notified, and only if
+// their room preferences allow mentions.
+class MentionService extends EventEmitter {
+  constructor() {
+    super();
+    this.onMessage = (event) => {
+      this.processMessage(event.message).catch(error => {
+        console.error('Mention processing error:', error);
+      });
+    };
+  }
+
+  async processMessage(message) {
+    if (!message || message.deleted_at) return;
+
+    const parsed = parseMentions(message.content);
+    const mentions = await this.resolveMentions(message, parsed);
+
+    if (message.is_edited) {
+      await MentionQueries.removeMentionsExcept(message.id, mentions.map(mention => mention.userId));
+    }
+
+    if (mentions.length === 0) return;
+
+    const added = await MentionQueries.addMentions(message.id, message.room_id, mentions);
+    if (added.rows.length === 0) return;
+
+    const notifiable = await NotificationQueries.getNotifiableMembers(
+      message.room_id,
+      added.rows.map(row => row.user_id),
+      'mention',
+      message.sender_id
+    );
+    const recipients = new Set(notifiable.rows.map(row => row.user_id));
+
+    for (const row of added.rows.filter(row => recipients.has(row.user_id))) {
+      this.emit('mentioned', {
+        userId: row.user_id,
+        roomId: message.room_id,
+        messageId: message.id,
+        mentionType: row.mention_type,
+        message
+      });
+    }
+  }
+
+  // [{ userId, type }] with direct mentions taking precedence over room-wide ones
+  async resolveMentions(message, { addresses, ensNames, here, everyone }) {
+    const mentions = new Map();
+
+    if (addresses.length || ensNames.length) {
+      const members = await MentionQueries.findMentionedMembers(message.room_id, addresses, ensNames);
+      for (const member of members.rows) {
+        mentions.set(member.user_id, 'user');
+      }
+    }
+
+    if ((here || everyone) && await this.canMentionEveryone(message.room_id, message.sender_id)) {
+      const members = await MentionQueries.getApprovedMemberIds(message.room_id);
+      for (const { user_id: userId } of members.rows) {
+        if (mentions.has(userId)) continue;
+        if (everyone) {
+          mentions.set(userId, 'everyone');
+        } else if (PresenceService.isOnline(userId)) {
+          mentions.set(userId, 'here');
+        }
+      }
+    }
+
+    mentions.delete(message.sender_id);
+
+    return [...mentions].map(([userId, type]) => ({ userId, type }));
+  }
+
+  async canMentionEveryone(roomId, userId) {
+    const result = await RoleQueries.getMemberWithRole(roomId, userId);
+    return result.rows.length > 0 && hasPermission(result.rows[0], 'mention_everyone');
+  }
+
+  start() {
+    DomainEvents.on(DOMAIN_EVENTS.MESSAGE_CREATED, this.onMessage);
+    DomainEvents.on(DOMAIN_EVENTS.MESSAGE_UPDATED, this.onMessage);
+  }
+
+  stop() {
+    DomainEvents.off(DOMAIN_EVENTS.MESSAGE_CREATED, this.onMessage);
+    DomainEvents.off(DOMAIN_EVENTS.MESSAGE_UPDATED, this.onMessage);
+  }
+}
+
+module.exports = new MentionService();
\ No newline at end of file
@@ -0,0 +1,242 @@
+const db = require('../config/db');
+const MessageRequestQueries = require('../db/queries/messageRequests');
+const RoomQueries = require('../db/queries/rooms');
+const BlockQueries = require('../db/queries/blocks');
+const TokenGateService = require('./tokenGate');
+const BlockService = require('./blocks');
+const NotificationService = require('./notifications');
+const DomainEvents = require('./events');
+const { DOMAIN_EVENTS } = require('../config/events');
+require('dotenv').config();
+
+const MESSAGE_REQUEST_CONFIG = {
+  maxPendingMessages: parseInt(process.env.MESSAGE_REQUEST_LIMIT || 3),
+  // Senders holding this token skip the request step; unset means no token
+  contactToken: process.env.CONTACT_TOKEN_ADDRESS ? {
+    chain_id: parseInt(process.env.CONTACT_TOKEN_CHAIN_ID || 1),
+    contract_address: process.env.CONTACT_TOKEN_ADDRESS,
+    token_standard: process.env.CONTACT_TOKEN_STANDARD || 'erc20',
+    min_balance: process.env.CONTACT_TOKEN_MIN_BALANCE || '1',
+    token_ids: null
+  } : null
+};
+
+const RESPONSES = {
+  accept: 'accepted',
+  decline: 'declined',
+  block: 'blocked'
+};
+
+const messageRequestError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+// Consent for P2P conversations. Opening a conversation with a wallet that
+// shares no room with the sender (and when the sender doesn't hold the
+// configured contact token) creates a message request: the recipient only
+// sees it in their requests folder, and the sender can send a few messages
+// until the recipient accepts, declines or blocks. The sender is not told
+// about a decline or block beyond being unable to send.
+class MessageRequestService {
+  // Existing P2P room, a new room, or a new request; the recipient opening a
+  // conversation they were asked into accepts the request
+  async openConversation(sender, recipient) {
+    if (await BlockService.isBlocked(recipient.id, sender.id)) {
+      throw messageRequestError('This wallet is not accepting messages from you', 403);
+    }
+
+    const existing = await RoomQueries.getP2PRoom(sender.id, recipient.id);
+    if (existing.rows.length) {
+      return await this.openExisting(existing.rows[0], sender);
+    }
+
+    const knownContact = await this.isKnownContact(sender, recipient);
+    const created = await this.createConversation(sender, recipient, knownContact);
+
+    // A concurrent open for the same pair created the room first
+    if (created.existing) {
+      return await this.openExisting(created.existing, sender);
+    }
+
+    const { roomId, request } = created;
+
+    if (!request) {
+      // Both participants' live sockets pick up the new room
+      [sender, recipient].forEach(user => {
+        DomainEvents.publish(DOMAIN_EVENTS.MEMBER_JOINED, { roomId, userId: user.id, walletAddress: user.wallet_address });
+      });
+
+      const roomResult = await RoomQueries.getRoomById(roomId);
+      return { room: roomResult.rows[0], isNew: true, request: null };
+    }
+
+    DomainEvents.publish(DOMAIN_EVENTS.MEMBER_JOINED, {
+      roomId,
+      userId: sender.id,
+      walletAddress: sender.wallet_address
+    });
+
+    NotificationService.notify([recipient.id], {
+      type: 'message_request',
+      roomId,
+      actorId: sender.id,
+      data: { requestId: request.id }
+    }).catch(error => console.error('Message request notification error:', error));
+
+    const roomResult = await RoomQueries.getRoomById(roomId);
+    return { room: roomResult.rows[0], isNew: true, request: this.toSummary(request) };
+  }
+
+  async openExisting(room, sender) {
+    const requestResult = await MessageRequestQueries.getRequestByRoom(room.id);
+    let request = requestResult.rows[0] || null;
+
+    if (request && request.recipient_id === sender.id && request.status !== 'accepted') {
+      request = await this.respond(room.id, sender, 'accept');
+    }
+
+    const summary = request && request.sender_id === sender.id
+      ? this.toSenderSummary(request)
+      : this.toSummary(request);
+    return { room, isNew: false, request: summary };
+  }
+
+  // Creates the room (and the request, for strangers) under a lock on the
+  // pair, so concurrent opens end up in one room; returns { existing } when
+  // the other open won
+  async createConversation(sender, recipient, knownContact) {
+    const client = await db.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await MessageRequestQueries.lockPair(sender.id, recipient.id, client);
+
+      const existing = await RoomQueries.getP2PRoom(sender.id, recipient.id, client);
+      if (existing.rows.length) {
+        await client.query('COMMIT');
+        return { existing: existing.rows[0] };
+      }
+
+      let created;
+      if (knownContact) {
+        const result = await RoomQueries.createP2PRoom(sender.id, recipient.id, client);
+        created = { roomId: result.rows[0].room_id, request: null };
+      } else {
+        const name = `P2P: ${shortAddress(sender.wallet_address)} - ${shortAddress(recipient.wallet_address)}`;
+        const result = await MessageRequestQueries.createRequestRoom(name, sender.id, recipient.id, client);
+        created = { roomId: result.rows[0].room_id, request: result.rows[0] };
+      }
+
+      await client.query('COMMIT');
+      return created;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Known contacts share an active room, or the sender holds the contact token
+  async isKnownContact(sender, recipient) {
+    const shared = await MessageRequestQueries.sharesRoom(sender.id, recipient.id);
+    if (shared.rows.length) return true;
+
+    const token = MESSAGE_REQUEST_CONFIG.contactToken;
+    if (!token) return false;
+
+    try {
+      return await TokenGateService.passesGate(token, sender.wallet_address);
+    } catch (error) {
+      // Unknown holdings fall back to a request rather than failing the call
+      console.error('Contact token check error:', error.message);
+      return false;
+    }
+  }
+
+  // Throws unless the user may send another message to the room; messages
+  // sent while a request is pending count against the limit, and nobody can
+  // message a P2P partner who blocked them
+  async authorizeSend(roomId, userId) {
+    const blocked = await BlockQueries.isBlockedInP2PRoom(roomId, userId);
+    if (blocked.rows.length) {
+      throw messageRequestError('This wallet is not accepting messages from you', 403);
+    }
+
+    const result = await MessageRequestQueries.getRequestByRoom(roomId);
+    const request = result.rows[0];
+
+    if (!request || request.status === 'accepted') return;
+
+    if (request.sender_id !== userId || request.status !== 'pending') {
+      throw messageRequestError('This wallet is not accepting messages from you', 403);
+    }
+
+    const claimed = await MessageRequestQueries.claimSend(roomId, userId, MESSAGE_REQUEST_CONFIG.maxPendingMessages);
+    if (!claimed.rows.length) {
+      throw messageRequestError(`Message request limit reached; you can send ${MESSAGE_REQUEST_CONFIG.maxPendingMessages} messages until the recipient accepts`, 403);
+    }
+  }
+
+  // action is accept, decline or block; blocking also stops the sender from
+  // opening new conversations with the recipient. Accepting a request from a
+  // wallet the recipient still blocks needs an unblock first.
+  async respond(roomId, recipient, action) {
+    const status = RESPONSES[action];
+    if (!status) {
+      throw messageRequestError('Action must be accept, decline or block');
+    }
+
+    if (status === 'accepted') {
+      const current = await MessageRequestQueries.getRequestByRoom(roomId);
+      const request = current.rows[0];
+      if (request && request.recipient_id === recipient.id &&
+          await BlockService.isBlocked(recipient.id, request.sender_id)) {
+        throw messageRequestError('Unblock this wallet first', 403);
+      }
+    }
+
+    const result = await MessageRequestQueries.respondToRequest(roomId, recipient.id, status);
+    const request = result.rows[0];
+    if (!request) {
+      throw messageRequestError('Message request not found', 404);
+    }
+
+    if (status === 'accepted') {
+      DomainEvents.publish(DOMAIN_EVENTS.MEMBER_JOINED, {
+        roomId,
+        userId: recipient.id,
+        walletAddress: recipient.wallet_address
+      });
+    } else if (status === 'blocked') {
+      await BlockService.block(recipient.id, request.sender_id);
+    }
+
+    return request;
+  }
+
+  toSummary(request) {
+    if (!request) return null;
+
+    return {
+      id: request.id,
+      status: request.status,
+      messagesRemaining: request.status === 'pending'
+        ? Math.max(MESSAGE_REQUEST_CONFIG.maxPendingMessages - request.message_count, 0)
+        : null
+    };
+  }
+
+  // The sender's view: a declined or blocked request still looks pending
+  toSenderSummary(request) {
+    if (request.status === 'accepted') return this.toSummary(request);
+
+    return this.toSummary({ ...request, status: 'pending' });
+  }
+}
+
+module.exports = new MessageRequestService();
\ No newline at end of file
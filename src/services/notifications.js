@@ -0,0 +1,135 @@
+const EventEmitter = require('events');
+const DomainEvents = require('./events');
+const MentionService = require('./mentions');
+const ThreadService = require('./threads');
+const NotificationQueries = require('../db/queries/notifications');
+const RoleQueries = require('../db/queries/roles');
+const UserQueries = require('../db/queries/users');
+const BlockQueries = require('../db/queries/blocks');
+const { DOMAIN_EVENTS } = require('../config/events');
+const { hasPermission } = require('../config/roles');
+
+// Stores notifications for invitations, join requests, approvals, rejections,
+// mentions and thread replies, and emits 'created' with each stored row and
+// 'read' when a user's read state changes so sockets can update every device.
+// Room activity honours the recipient's room preferences (mentions and replies
+// arrive already filtered by MentionService and ThreadService); decisions
+// about the recipient's own membership are always delivered.
+class NotificationService extends EventEmitter {
+  constructor() {
+    super();
+    this.onMention = (mention) => {
+      this.notify([mention.userId], {
+        type: 'mention',
+        roomId: mention.roomId,
+        messageId: mention.messageId,
+        actorId: mention.message.sender_id,
+        data: { mentionType: mention.mentionType }
+      }).catch(error => console.error('Mention notification error:', error));
+    };
+    this.onReply = (reply) => {
+      this.notify(reply.followerIds, {
+        type: 'reply',
+        roomId: reply.roomId,
+        messageId: reply.message.id,
+        actorId: reply.message.sender_id,
+        data: { threadId: reply.threadId }
+      }).catch(error => console.error('Reply notification error:', error));
+    };
+    this.onMembershipDecision = (event) => {
+      this.notify([event.userId], {
+        type: event.type === DOMAIN_EVENTS.MEMBER_APPROVED ? 'member_approved' : 'member_rejected',
+        roomId: event.roomId,
+        actorId: event.actorId || null
+      }).catch(error => console.error('Membership notification error:', error));
+    };
+  }
+
+  // Stores one notification per recipient and emits them; returns the rows
+  async notify(userIds, notification) {
+    if (userIds.length === 0) return [];
+
+    const created = await NotificationQueries.createNotifications(userIds, notification);
+    if (created.rows.length === 0) return [];
+
+    const recipients = new Map(created.rows.map(row => [row.id, row.user_id]));
+    const result = await NotificationQueries.getNotificationsByIds([...recipients.keys()]);
+    for (const row of result.rows) {
+      this.emit('created', { userId: recipients.get(row.id), notification: row });
+    }
+    return result.rows;
+  }
+
+  // Recipients among userIds whose preferences for the room allow this kind
+  // ('mention' or 'activity') of notification right now, leaving out those
+  // who blocked the actor
+  async filterRecipients(roomId, userIds, kind, actorId = null) {
+    if (userIds.length === 0) return [];
+    const result = await NotificationQueries.getNotifiableMembers(roomId, userIds, kind, actorId);
+    return result.rows.map(row => row.user_id);
+  }
+
+  // Invitees without an account yet find the invitation on sign-in instead;
+  // invitees who blocked the inviter are not notified
+  async notifyInvitation(invitation) {
+    const user = await UserQueries.getUserByWalletAnyCase(invitation.invitee_wallet_address);
+    if (!user.rows.length) return;
+
+    const blocked = await BlockQueries.isBlocked(user.rows[0].id, invitation.inviter_id);
+    if (blocked.rows.length) return;
+
+    await this.notify([user.rows[0].id], {
+      type: 'invitation',
+      roomId: invitation.room_id,
+      actorId: invitation.inviter_id,
+      data: { invitationId: invitation.id }
+    });
+  }
+
+  // Tells members who can approve requests about a new one
+  async notifyJoinRequest(roomId, requesterId) {
+    const members = await RoleQueries.getApprovedMembersWithRoles(roomId, requesterId);
+    const approvers = members.rows
+      .filter(member => hasPermission(member, 'approve_requests'))
+      .map(member => member.user_id);
+
+    await this.notify(await this.filterRecipients(roomId, approvers, 'activity', requesterId), {
+      type: 'join_request',
+      roomId,
+      actorId: requesterId
+    });
+  }
+
+  // Marks notifications (all of them when ids is null) read or unread
+  async setRead(userId, ids, read) {
+    const changed = await NotificationQueries.setRead(userId, ids, read);
+    const unreadCount = await NotificationQueries.getUnreadCount(userId);
+
+    if (changed.rows.length) {
+      this.emit('read', {
+        userId,
+        notificationIds: changed.rows.map(row => row.id),
+        read,
+        unreadCount
+      });
+    }
+
+    return { updated: changed.rows.length, unreadCount };
+  }
+
+  start() {
+    MentionService.on('mentioned', this.onMention);
+    ThreadService.on('reply', this.onReply);
+    DomainEvents.on(DOMAIN_EVENTS.MEMBER_APPROVED, this.onMembershipDecision);
+    DomainEvents.on(DOMAIN_EVENTS.MEMBER_REJECTED, this.onMembershipDecision);
+  }
+
+  stop() {
+    MentionService.off('mentioned', this.onMention);
+    ThreadService.off('reply', this.onReply);
+    DomainEvents.off(DOMAIN_EVENTS.MEMBER_APPROVED, this.onMembershipDecision);
+    DomainEvents.off(DOMAIN_EVENTS.MEMBER_REJECTED, this.onMembershipDecision);
+  }
+}
+
+module.exports = new NotificationService();
\ No newline at end of file
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const UserQueries = require('../db/queries/users');
+const { getPubSub } = require('./pubsub');
+require('dotenv').config();
+
+const PRESENCE_CONFIG = {
+  idleAfterMs: parseInt(process.env.PRESENCE_IDLE_TIMEOUT || 5) * 60 * 1000,
+  sweepEveryMs: 30 * 1000,
+  // Other nodes' state is dropped if they stop sending snapshots
+  remoteTtlMs: 90 * 1000,
+  channel: 'presence'
+};
+
+const STATUS_ORDER = ['offline', 'idle', 'online'];
+
+// Highest of several statuses: online beats idle beats offline
+const combineStatuses = (statuses) => {
+  return statuses.reduce((best, status) => {
+    return STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(best) ? status : best;
+  }, 'offline');
+};
+
+// Tracks every live socket per user; a user is online while any socket is
+// active, idle when all of them are idle, offline once the last one closes.
+// Nodes share their per-user status over pub/sub so the overall status covers
+// sockets connected to any node. Emits 'update' with
+// { userId, walletAddress, status, lastSeenAt } on the node where a user's
+// overall status changed.
+class PresenceService extends EventEmitter {
+  constructor() {
+    super();
+    this.nodeId = crypto.randomUUID();
+    this.users = new Map(); // userId -> { walletAddress, sockets: Map(socketId -> { lastActiveAt, idle }) }
+    this.remoteNodes = new Map(); // nodeId -> { seenAt, users: Map(userId -> status) }
+    this.pubsub = null;
+    this.timer = null;
+  }
+
+  // Status from this node's sockets only
+  getLocalStatus(userId) {
+    const entry = this.users.get(userId);
+    if (!entry || entry.sockets.size === 0) {
+      return 'offline';
+    }
+
+    for (const socket of entry.sockets.values()) {
+      if (!socket.idle) return 'online';
+    }
+    return 'idle';
+  }
+
+  getStatus(userId) {
+    const statuses = [this.getLocalStatus(userId)];
+    this.remoteNodes.forEach(node => {
+      if (node.users.has(userId)) {
+        statuses.push(node.users.get(userId));
+      }
+    });
+    return combineStatuses(statuses);
+  }
+
+  isOnline(userId) {
+    return this.getStatus(userId) !== 'offline';
+  }
+
+  // Adds presence and a live last_seen_at to member rows that carry user_id
+  annotate(members) {
+    const now = new Date().toISOString();
+    return members.map(member => {
+      const presence = this.getStatus(member.user_id);
+      return {
+        ...member,
+        presence,
+        last_seen_at: presence === 'offline' ? member.last_seen_at : now
+      };
+    });
+  }
+
+  snapshot(userId) {
+    return {
+      local: this.getLocalStatus(userId),
+      overall: this.getStatus(userId),
+      walletAddress: this.users.get(userId)?.walletAddress
+    };
+  }
+
+  async connect(userId, walletAddress, socketId) {
+    const before = this.snapshot(userId);
+
+    if (!this.users.has(userId)) {
+      this.users.set(userId, { walletAddress, sockets: new Map() });
+    }
+    this.users.get(userId).sockets.set(socketId, { lastActiveAt: Date.now(), idle: false });
+
+    await this.commit(userId, before);
+  }
+
+  // Returns true when this was the user's last socket on this node
+  async disconnect(userId, socketId) {
+    const entry = this.users.get(userId);
+    if (!entry) return true;
+
+    const before = this.snapshot(userId);
+    entry.sockets.delete(socketId);
+
+    const wasLast = entry.sockets.size === 0;
+    if (wasLast) {
+      this.users.delete(userId);
+    }
+
+    await this.commit(userId, before);
+    return wasLast;
+  }
+
+  // Any client action counts as activity and wakes an idle socket
+  async touch(userId, socketId) {
+    const socket = this.users.get(userId)?.sockets.get(socketId);
+    if (!socket) return;
+
+    const before = this.snapshot(userId);
+    socket.lastActiveAt = Date.now();
+    socket.idle = false;
+
+    await this.commit(userId, before);
+  }
+
+  // Explicit status from the client (e.g. tab hidden)
+  async setIdle(userId, socketId, idle) {
+    const socket = this.users.get(userId)?.sockets.get(socketId);
+    if (!socket) return;
+
+    const before = this.snapshot(userId);
+    socket.idle = idle;
+    if (!idle) {
+      socket.lastActiveAt = Date.now();
+    }
+
+    await this.commit(userId, before);
+  }
+
+  // Share this node's change with other nodes, then announce overall changes
+  async commit(userId, before) {
+    const local = this.getLocalStatus(userId);
+    const status = this.getStatus(userId);
+    const walletAddress = this.users.get(userId)?.walletAddress || before.walletAddress;
+
+    if (local !== before.local) {
+      this.publish({ type: 'status', userId, status: local });
+    }
+
+    if (status === before.overall) return;
+
+    let lastSeenAt = new Date().toISOString();
+
+    // Persist last seen when a user connects or goes offline
+    if (before.overall === 'offline' || status === 'offline') {
+      try {
+        const result = await UserQueries.updateLastSeen(userId);
+        lastSeenAt = result.rows[0]?.last_seen_at || lastSeenAt;
+      } catch (error) {
+        console.error('Update last seen error:', error);
+      }
+    }
+
+    this.emit('update', { userId, walletAddress, status, lastSeenAt });
+  }
+
+  publish(message) {
+    if (!this.pubsub) return;
+
+    this.pubsub.publish(PRESENCE_CONFIG.channel, { ...message, nodeId: this.nodeId }).catch(error => {
+      console.error('Presence publish error:', error);
+    });
+  }
+
+  publishSnapshot() {
+    const users = [];
+    this.users.forEach((entry, userId) => {
+      users.push([userId, this.getLocalStatus(userId)]);
+    });
+    this.publish({ type: 'snapshot', users });
+  }
+
+  // Messages from other nodes: single status changes, full snapshots, and
+  // hellos from nodes that just started and want everyone's snapshot
+  handleRemote(message) {
+    if (!message || message.nodeId === this.nodeId) return;
+
+    if (message.type === 'hello') {
+      this.publishSnapshot();
+      return;
+    }
+
+    if (!this.remoteNodes.has(message.nodeId)) {
+      this.remoteNodes.set(message.nodeId, { seenAt: Date.now(), users: new Map() });
+    }
+    const node = this.remoteNodes.get(message.nodeId);
+    node.seenAt = Date.now();
+
+    if (message.type === 'snapshot') {
+      node.users = new Map(message.users);
+    } else if (message.type === 'status') {
+      if (message.status === 'offline') {
+        node.users.delete(message.userId);
+      } else {
+        node.users.set(message.userId, message.status);
+      }
+    }
+  }
+
+  // Sockets without activity for the idle timeout become idle
+  async sweepIdle() {
+    const cutoff = Date.now() - PRESENCE_CONFIG.idleAfterMs;
+
+    for (const [userId, entry] of this.users) {
+      const before = this.snapshot(userId);
+      entry.sockets.forEach(socket => {
+        if (socket.lastActiveAt < cutoff) {
+          socket.idle = true;
+        }
+      });
+      await this.commit(userId, before);
+    }
+
+    // Forget nodes that went away without saying so
+    const staleBefore = Date.now() - PRESENCE_CONFIG.remoteTtlMs;
+    this.remoteNodes.forEach((node, nodeId) => {
+      if (node.seenAt < staleBefore) {
+        this.remoteNodes.delete(nodeId);
+      }
+    });
+
+    this.publishSnapshot();
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sweepIdle().catch(error => console.error('Presence sweep error:', error));
+    }, PRESENCE_CONFIG.sweepEveryMs);
+    this.timer.unref();
+
+    this.pubsub = getPubSub();
+    if (this.pubsub) {
+      this.pubsub.subscribe(PRESENCE_CONFIG.channel, (message) => this.handleRemote(message))
+        .then(() => this.publish({ type: 'hello' }))
+        .catch(error => console.error('Presence subscribe error:', error));
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    // Other nodes drop this node's users right away instead of waiting for the TTL
+    this.publish({ type: 'snapshot', users: [] });
+  }
+}
+
+module.exports = new PresenceService();
\ No newline at end of file
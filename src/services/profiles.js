@@ -0,0 +1,117 @@
+const ChainService = require('./chain');
+const UserQueries = require('../db/queries/users');
+require('dotenv').config();
+
+const PROFILE_CONFIG = {
+  ensChainId: parseInt(process.env.ENS_CHAIN_ID || 1),
+  ensCacheTtlMs: parseInt(process.env.ENS_CACHE_TTL || 24) * 60 * 60 * 1000,
+  ensTimeoutMs: 5000
+};
+
+const withTimeout = (promise, ms) => Promise.race([
+  promise,
+  new Promise((_, reject) => setTimeout(() => reject(new Error('ENS lookup timed out')), ms))
+]);
+
+class ProfileService {
+  constructor() {
+    this.inflight = new Map(); // userId -> pending resolution
+  }
+
+  isEnsStale(user) {
+    return !user.ens_resolved_at ||
+      Date.now() - new Date(user.ens_resolved_at).getTime() > PROFILE_CONFIG.ensCacheTtlMs;
+  }
+
+  // ENS needs a provider for ensChainId; without one, lookups are skipped
+  isEnsEnabled() {
+    return ChainService.hasProvider(PROFILE_CONFIG.ensChainId);
+  }
+
+  // Reverse-resolve the wallet's primary ENS name and avatar through the chain provider
+  // (an ethers JsonRpcProvider, or the local stand-in) and cache it on the user row.
+  async resolveEns(user, { force = false } = {}) {
+    if (!this.isEnsEnabled() || (!force && !this.isEnsStale(user))) {
+      return user;
+    }
+
+    if (!this.inflight.has(user.id)) {
+      const resolution = (async () => {
+        try {
+          const provider = ChainService.getProvider(PROFILE_CONFIG.ensChainId);
+          const ensName = await withTimeout(provider.lookupAddress(user.wallet_address), PROFILE_CONFIG.ensTimeoutMs);
+          const ensAvatar = ensName
+            ? await withTimeout(provider.getAvatar(ensName), PROFILE_CONFIG.ensTimeoutMs).catch(() => null)
+            : null;
+
+          const result = await UserQueries.updateEnsRecord(user.id, ensName, ensAvatar);
+          return result.rows[0];
+        } catch (error) {
+          console.error('ENS resolution error:', error.message);
+          return user;
+        } finally {
+          this.inflight.delete(user.id);
+        }
+      })();
+
+      this.inflight.set(user.id, resolution);
+    }
+
+    return await this.inflight.get(user.id);
+  }
+
+  // Forward-resolve an ENS name to the address it points at, or null
+  async resolveName(name) {
+    if (!this.isEnsEnabled()) {
+      throw new Error('ENS resolution is disabled');
+    }
+
+    const provider = ChainService.getProvider(PROFILE_CONFIG.ensChainId);
+    return await withTimeout(provider.resolveName(name), PROFILE_CONFIG.ensTimeoutMs);
+  }
+
+  // Serve the cached profile, resolving ENS inline only if it was never resolved
+  async getFreshProfile(user) {
+    if (!user.ens_resolved_at) {
+      return await this.resolveEns(user);
+    }
+
+    if (this.isEnsStale(user)) {
+      this.resolveEns(user);
+    }
+
+    return user;
+  }
+
+  // Called once at startup so a missing RPC URL is reported once, not per lookup
+  start() {
+    if (!this.isEnsEnabled()) {
+      const chainId = PROFILE_CONFIG.ensChainId;
+      console.warn(`No RPC URL for chain ${chainId} (RPC_URL_${chainId} or RPC_URL): ENS resolution is disabled`);
+    }
+  }
+
+  toProfile(user) {
+    return {
+      walletAddress: user.wallet_address,
+      displayName: user.display_name || null,
+      bio: user.bio || null,
+      avatarUrl: user.avatar_url || user.ens_avatar || null,
+      ensName: user.ens_name || null,
+      ensAvatar: user.ens_avatar || null,
+      createdAt: user.created_at
+    };
+  }
+
+  // Same shape as the sender_profile column built in SQL for message rows
+  toSummary(user) {
+    return {
+      wallet_address: user.wallet_address,
+      display_name: user.display_name || null,
+      avatar_url: user.avatar_url || user.ens_avatar || null,
+      ens_name: user.ens_name || null
+    };
+  }
+}
+
+module.exports = new ProfileService();
\ No newline at end of file
@@ -0,0 +1,226 @@
+const { Client } = require('pg');
+const db = require('../config/db');
+require('dotenv').config();
+
+const PUBSUB_CONFIG = {
+  // postgres (default), redis, or none for a single node
+  driver: (process.env.PUBSUB_DRIVER || 'postgres').toLowerCase(),
+  // LISTEN needs a session: point this at a direct (non-pgbouncer) connection if DATABASE_URL is pooled
+  databaseUrl: process.env.PUBSUB_DATABASE_URL || process.env.DATABASE_URL,
+  redisUrl: process.env.REDIS_URL,
+  // NOTIFY payloads are capped at 8000 bytes; larger messages go through pubsub_payloads
+  maxNotifyBytes: 7500,
+  payloadTtlSeconds: 60,
+  reconnectDelayMs: 2000
+};
+
+// Cross-node publish/subscribe over PostgreSQL LISTEN/NOTIFY. Messages are
+// JSON; each handler receives the parsed message.
+class PostgresPubSub {
+  constructor(config) {
+    this.config = config;
+    this.handlers = new Map(); // channel -> Set of handlers
+    this.client = null;
+    this.connecting = null;
+    this.closed = false;
+    this.cleanupTimer = setInterval(() => this.cleanupPayloads(), config.payloadTtlSeconds * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  async connect() {
+    if (this.client) return this.client;
+    if (this.connecting) return this.connecting;
+
+    this.connecting = (async () => {
+      const client = new Client({
+        connectionString: this.config.databaseUrl,
+        ssl: { rejectUnauthorized: false }
+      });
+
+      client.on('notification', (notification) => this.dispatch(notification));
+      client.on('error', (error) => {
+        console.error('Pub/sub connection error:', error);
+        this.reconnect();
+      });
+
+      await client.connect();
+      for (const channel of this.handlers.keys()) {
+        await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+      }
+
+      this.client = client;
+      return client;
+    })();
+
+    try {
+      return await this.connecting;
+    } finally {
+      this.connecting = null;
+    }
+  }
+
+  reconnect() {
+    const client = this.client;
+    this.client = null;
+    if (client) {
+      client.end().catch(() => {});
+    }
+    if (this.closed) return;
+
+    setTimeout(() => {
+      this.connect().catch(error => {
+        console.error('Pub/sub reconnect failed:', error);
+        this.reconnect();
+      });
+    }, this.config.reconnectDelayMs).unref();
+  }
+
+  async subscribe(channel, handler) {
+    const isNew = !this.handlers.has(channel);
+    if (isNew) {
+      this.handlers.set(channel, new Set());
+    }
+    this.handlers.get(channel).add(handler);
+
+    const client = await this.connect();
+    if (isNew) {
+      await client.query(`LISTEN ${client.escapeIdentifier(channel)}`);
+    }
+
+    return () => this.handlers.get(channel)?.delete(handler);
+  }
+
+  async publish(channel, message) {
+    const payload = JSON.stringify(message);
+
+    if (Buffer.byteLength(payload) <= this.config.maxNotifyBytes) {
+      await db.query('SELECT pg_notify($1, $2)', [channel, payload]);
+      return;
+    }
+
+    // Too large for NOTIFY: store it and send a reference instead
+    const stored = await db.query(
+      'INSERT INTO pubsub_payloads (channel, payload) VALUES ($1, $2) RETURNING id',
+      [channel, payload]
+    );
+    await db.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify({ $payloadRef: stored.rows[0].id })]);
+  }
+
+  async dispatch({ channel, payload }) {
+    const handlers = this.handlers.get(channel);
+    if (!handlers || handlers.size === 0) return;
+
+    try {
+      let message = JSON.parse(payload);
+
+      if (message && message.$payloadRef) {
+        const stored = await db.query('SELECT payload FROM pubsub_payloads WHERE id = $1', [message.$payloadRef]);
+        if (!stored.rows.length) return;
+        message = JSON.parse(stored.rows[0].payload);
+      }
+
+      handlers.forEach(handler => handler(message));
+    } catch (error) {
+      console.error('Pub/sub dispatch error:', error);
+    }
+  }
+
+  async cleanupPayloads() {
+    try {
+      await db.query(
+        `DELETE FROM pubsub_payloads WHERE created_at < CURRENT_TIMESTAMP - ($1 || ' seconds')::interval`,
+        [this.config.payloadTtlSeconds]
+      );
+    } catch (error) {
+      console.error('Pub/sub payload cleanup error:', error);
+    }
+  }
+
+  async close() {
+    this.closed = true;
+    clearInterval(this.cleanupTimer);
+    if (this.client) {
+      await this.client.end();
+      this.client = null;
+    }
+  }
+}
+
+// Same interface over Redis pub/sub; needs the optional `redis` package
+class RedisPubSub {
+  constructor(config) {
+    let redis;
+    try {
+      redis = require('redis');
+    } catch (error) {
+      throw new Error('PUBSUB_DRIVER=redis requires the "redis" package (npm install redis)');
+    }
+
+    this.publisher = redis.createClient({ url: config.redisUrl });
+    this.subscriber = this.publisher.duplicate();
+    this.publisher.on('error', (error) => console.error('Redis publisher error:', error));
+    this.subscriber.on('error', (error) => console.error('Redis subscriber error:', error));
+    this.ready = Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+  }
+
+  async subscribe(channel, handler) {
+    await this.ready;
+    const listener = (payload) => {
+      try {
+        handler(JSON.parse(payload));
+      } catch (error) {
+        console.error('Pub/sub dispatch error:', error);
+      }
+    };
+    await this.subscriber.subscribe(channel, listener);
+    return () => this.subscriber.unsubscribe(channel, listener);
+  }
+
+  async publish(channel, message) {
+    await this.ready;
+    await this.publisher.publish(channel, JSON.stringify(message));
+  }
+
+  async close() {
+    await this.ready.catch(() => {});
+    await Promise.all([this.publisher.quit(), this.subscriber.quit()]);
+  }
+}
+
+let shared;
+
+// Process-wide pub/sub client for the configured driver, or null when running a single node
+const getPubSub = () => {
+  if (shared !== undefined) return shared;
+
+  switch (PUBSUB_CONFIG.driver) {
+    case 'postgres':
+      shared = new PostgresPubSub(PUBSUB_CONFIG);
+      break;
+    case 'redis':
+      shared = new RedisPubSub(PUBSUB_CONFIG);
+      break;
+    case 'none':
+      shared = null;
+      break;
+    default:
+      throw new Error(`Unknown PUBSUB_DRIVER: ${PUBSUB_CONFIG.driver}`);
+  }
+
+  return shared;
+};
+
+const closePubSub = async () => {
+  if (shared) {
+    await shared.close();
+  }
+  shared = undefined;
+};
+
+module.exports = {
+  PUBSUB_CONFIG,
+  PostgresPubSub,
+  RedisPubSub,
+  getPubSub,
+  closePubSub
+};
\ No newline at end of file
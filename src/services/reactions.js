@@ -0,0 +1,191 @@
+const db = require('../config/db');
+const MessageQueries = require('../db/queries/messages');
+const ReactionQueries = require('../db/queries/reactions');
+const DomainEvents = require('./events');
+const { historyVisibleTo } = require('../db/queries/fragments');
+const { DOMAIN_EVENTS } = require('../config/events');
+const {
+  BUILT_IN_REACTIONS,
+  SHORTCODE_REGEX,
+  MAX_ALLOWED_REACTIONS,
+  MAX_CUSTOM_REACTIONS,
+  normalizeReaction
+} = require('../config/reactions');
+
+const reactionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Reaction validation and bookkeeping shared by the REST and socket paths.
+// Changes are published as reaction_added / reaction_removed domain events
+// carrying the message's updated summary.
+class ReactionService {
+  // Canonical reaction key if the room accepts it, otherwise a 400 error
+  async resolveReaction(roomId, input) {
+    const normalized = normalizeReaction(input);
+    if (!normalized) {
+      throw reactionError('Reaction must be an emoji or a :shortcode:');
+    }
+
+    const { key, kind } = normalized;
+
+    if (kind === 'shortcode') {
+      const custom = await ReactionQueries.getCustomReaction(roomId, key);
+      if (!custom.rows.length) {
+        throw reactionError(`Unknown reaction :${key}:`);
+      }
+    }
+
+    const allowedResult = await ReactionQueries.getAllowedReactions(roomId);
+    const allowed = allowedResult.rows[0]?.allowed_reactions;
+    if (allowed && !allowed.includes(key)) {
+      throw reactionError('Reaction not allowed in this room');
+    }
+
+    return key;
+  }
+
+  // Room of a live message if the user is an approved member of it and the
+  // message is within their group DM history
+  async getMessageRoom(messageId, userId) {
+    const query = `
+      SELECT m.room_id
+      FROM messages m
+      JOIN room_members rm ON m.room_id = rm.room_id
+      WHERE m.id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
+      AND m.deleted_at IS NULL
+      AND ${historyVisibleTo('$2')}
+    `;
+    const result = await db.query(query, [messageId, userId]);
+
+    if (!result.rows.length) {
+      throw reactionError('Cannot react to this message', 403);
+    }
+
+    return result.rows[0].room_id;
+  }
+
+  // Summary as seen by viewerId, or without reacted_by_me for broadcasts
+  async getSummary(messageId, viewerId = null) {
+    const result = await ReactionQueries.getReactionSummary(messageId, viewerId);
+    const reactions = result.rows[0]?.reactions || [];
+
+    return viewerId ? reactions : reactions.map(({ reaction, count }) => ({ reaction, count }));
+  }
+
+  async addReaction(user, messageId, input) {
+    const roomId = await this.getMessageRoom(messageId, user.id);
+    const reaction = await this.resolveReaction(roomId, input);
+
+    const result = await MessageQueries.likeMessage(messageId, user.id, reaction);
+    const changed = result.rows.length > 0;
+
+    // Repeated reactions are no-ops and not broadcast
+    if (changed) {
+      await this.publishChange(DOMAIN_EVENTS.REACTION_ADDED, roomId, messageId, user, reaction);
+    }
+
+    return {
+      roomId,
+      messageId,
+      reaction,
+      changed,
+      row: result.rows[0],
+      reactions: await this.getSummary(messageId, user.id)
+    };
+  }
+
+  async removeReaction(user, messageId, input) {
+    const roomId = await this.getMessageRoom(messageId, user.id);
+
+    // Removal skips the room's current rules so reactions can always be withdrawn
+    const normalized = normalizeReaction(input);
+    if (!normalized) {
+      throw reactionError('Reaction must be an emoji or a :shortcode:');
+    }
+    const reaction = normalized.key;
+
+    const result = await MessageQueries.unlikeMessage(messageId, user.id, reaction);
+    const changed = result.rows.length > 0;
+
+    if (changed) {
+      await this.publishChange(DOMAIN_EVENTS.REACTION_REMOVED, roomId, messageId, user, reaction);
+    }
+
+    return { roomId, messageId, reaction, changed, reactions: await this.getSummary(messageId, user.id) };
+  }
+
+  async publishChange(type, roomId, messageId, user, reaction) {
+    DomainEvents.publish(type, {
+      roomId,
+      messageId,
+      walletAddress: user.wallet_address,
+      actorId: user.id,
+      reaction,
+      reactions: await this.getSummary(messageId)
+    });
+  }
+
+  // Validates an allow-list; null lifts the restriction
+  async validateAllowedReactions(roomId, allowed) {
+    if (allowed === null) {
+      return null;
+    }
+
+    if (!Array.isArray(allowed) || allowed.length === 0 || allowed.length > MAX_ALLOWED_REACTIONS) {
+      throw reactionError(`allowed must be null or a list of 1-${MAX_ALLOWED_REACTIONS} reactions`);
+    }
+
+    const customResult = await ReactionQueries.getCustomReactions(roomId);
+    const custom = new Set(customResult.rows.map(row => row.shortcode));
+    const keys = [];
+
+    for (const input of allowed) {
+      const normalized = normalizeReaction(input);
+      if (!normalized) {
+        throw reactionError(`Invalid reaction: ${input}`);
+      }
+      if (normalized.kind === 'shortcode' && !custom.has(normalized.key)) {
+        throw reactionError(`Unknown reaction :${normalized.key}:`);
+      }
+      if (!keys.includes(normalized.key)) {
+        keys.push(normalized.key);
+      }
+    }
+
+    return keys;
+  }
+
+  async validateCustomReaction(roomId, shortcode, imageUrl) {
+    const name = typeof shortcode === 'string' ? shortcode.replace(/^:(.*):$/, '$1').toLowerCase() : '';
+
+    if (!SHORTCODE_REGEX.test(name)) {
+      throw reactionError('Shortcode must be 1-32 characters of a-z, 0-9, _, + or -');
+    }
+
+    if (BUILT_IN_REACTIONS[name]) {
+      throw reactionError(`:${name}: is a built-in reaction`);
+    }
+
+    let protocol;
+    try {
+      protocol = new URL(imageUrl).protocol;
+    } catch (error) {
+      protocol = null;
+    }
+    if (typeof imageUrl !== 'string' || imageUrl.length > 500 || !['https:', 'ipfs:'].includes(protocol)) {
+      throw reactionError('Image URL must be an https:// or ipfs:// URL');
+    }
+
+    const existing = await ReactionQueries.getCustomReactions(roomId);
+    if (existing.rows.length >= MAX_CUSTOM_REACTIONS) {
+      throw reactionError(`Rooms can have at most ${MAX_CUSTOM_REACTIONS} custom reactions`);
+    }
+
+    return name;
+  }
+}
+
+module.exports = new ReactionService();
\ No newline at end of file
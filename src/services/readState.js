@@ -0,0 +1,59 @@
+const EventEmitter = require('events');
+const ReadStateQueries = require('../db/queries/readState');
+const MessageQueries = require('../db/queries/messages');
+const RoomQueries = require('../db/queries/rooms');
+
+const readError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Read markers shared by the REST and socket paths. Emits 'read' when a
+// member's marker moves so every transport can broadcast the receipt.
+class ReadStateService extends EventEmitter {
+  // Marks the room read up to messageId (latest message when omitted) and
+  // returns the member's read state with the remaining unread count
+  async markRead(user, roomId, messageId = null) {
+    // Membership first, so non-members can't probe which messages are in the room
+    const membership = await RoomQueries.getMembership(roomId, user.id);
+    if (!membership.rows.length || membership.rows[0].status !== 'approved') {
+      throw readError('Not a member of this room', 403);
+    }
+
+    if (messageId && !(await MessageQueries.messageInRoom(messageId, roomId))) {
+      throw readError('Message not found in this room', 404);
+    }
+
+    const updated = await ReadStateQueries.markRead(roomId, user.id, messageId);
+    const stateResult = await ReadStateQueries.getReadState(roomId, user.id);
+
+    // Left the room in the meantime
+    if (!stateResult.rows.length) {
+      throw readError('Not a member of this room', 403);
+    }
+
+    const state = stateResult.rows[0];
+
+    const readState = {
+      roomId,
+      lastReadMessageId: state.last_read_message_id,
+      lastReadAt: state.last_read_at,
+      unreadCount: parseInt(state.unread_count)
+    };
+
+    if (updated.rows.length) {
+      this.emit('read', {
+        roomId,
+        userId: user.id,
+        walletAddress: user.wallet_address,
+        messageId: state.last_read_message_id,
+        readAt: state.last_read_at
+      });
+    }
+
+    return readState;
+  }
+}
+
+module.exports = new ReadStateService();
\ No newline at end of file
@@ -0,0 +1,109 @@
+const EventEmitter = require('events');
+const db = require('../config/db');
+const SessionQueries = require('../db/queries/sessions');
+const { generateToken, generateRefreshToken, hashRefreshToken, JWT_CONFIG } = require('../config/jwt');
+
+const sessionError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Issues, rotates and revokes refresh-token sessions. Emits 'revoked' with the
+// affected session ids so live sockets can be disconnected.
+class SessionService extends EventEmitter {
+  async issueTokens(user, familyId, meta, client = db) {
+    const refreshToken = generateRefreshToken();
+    const result = await SessionQueries.createSession(
+      user.id,
+      hashRefreshToken(refreshToken),
+      JWT_CONFIG.refreshTokenTtlDays,
+      { ...meta, familyId },
+      client
+    );
+    const session = result.rows[0];
+
+    return {
+      token: generateToken(user.wallet_address, session.family_id),
+      refreshToken,
+      sessionId: session.family_id,
+      refreshTokenExpiresAt: session.expires_at
+    };
+  }
+
+  // Start a new session (one per sign-in / device)
+  async createSession(user, meta) {
+    return await this.issueTokens(user, null, meta);
+  }
+
+  // Exchange a refresh token for a new pair. Presenting an already-rotated token
+  // means it leaked: the whole family is revoked.
+  async rotate(refreshToken, meta) {
+    const client = await db.pool.connect();
+    let reusedFamilyId = null;
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await SessionQueries.getSessionByTokenHashForUpdate(hashRefreshToken(refreshToken), client);
+      const session = result.rows[0];
+
+      if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        await client.query('ROLLBACK');
+        throw sessionError('Invalid or expired refresh token');
+      }
+
+      if (session.replaced_at) {
+        await SessionQueries.revokeFamily(session.family_id, 'reuse_detected', client);
+        await client.query('COMMIT');
+        reusedFamilyId = session.family_id;
+        throw sessionError('Refresh token reuse detected; session revoked');
+      }
+
+      await SessionQueries.markSessionReplaced(session.id, client);
+      const tokens = await this.issueTokens(
+        { id: session.user_id, wallet_address: session.wallet_address },
+        session.family_id,
+        meta,
+        client
+      );
+
+      await client.query('COMMIT');
+      return tokens;
+    } catch (error) {
+      if (!error.status) {
+        await client.query('ROLLBACK');
+      }
+      throw error;
+    } finally {
+      client.release();
+      if (reusedFamilyId) {
+        console.warn(`Refresh token reuse detected for session ${reusedFamilyId}`);
+        this.emit('revoked', [reusedFamilyId]);
+      }
+    }
+  }
+
+  async revoke(userId, sessionId, reason) {
+    const result = await SessionQueries.revokeUserFamily(userId, sessionId, reason);
+    if (result.rows.length) {
+      this.emit('revoked', [sessionId]);
+    }
+    return result.rows.length > 0;
+  }
+
+  async revokeOthers(userId, keepSessionId, reason) {
+    const result = await SessionQueries.revokeOtherUserSessions(userId, keepSessionId, reason);
+    const sessionIds = [...new Set(result.rows.map(row => row.family_id))];
+    if (sessionIds.length) {
+      this.emit('revoked', sessionIds);
+    }
+    return sessionIds;
+  }
+
+  async isActive(sessionId) {
+    return await SessionQueries.isSessionActive(sessionId);
+  }
+}
+
+module.exports = new SessionService();
\ No newline at end of file
@@ -2,26 +2,50 @@ const { Server } = require('socket.io');
 const authMiddleware = require('../middleware/auth');
 const UserQueries = require('../db/queries/users');
 const MessageQueries = require('../db/queries/messages');
+const RoleQueries = require('../db/queries/roles');
+const { hasPermission } = require('../config/roles');
+const { toShortcode } = require('../config/reactions');
+const { DOMAIN_EVENTS } = require('../config/events');
+const SessionService = require('./sessions');
+const ProfileService = require('./profiles');
+const ThreadService = require('./threads');
+const MentionService = require('./mentions');
+const NotificationService = require('./notifications');
+const ReadStateService = require('./readState');
+const ReactionService = require('./reactions');
+const AttachmentService = require('./attachments');
+const MessageRequestService = require('./messageRequests');
+const BlockService = require('./blocks');
+const PresenceService = require('./presence');
+const DomainEvents = require('./events');
+const { getPubSub } = require('./pubsub');
+const { createAdapter } = require('./socketAdapter');
 
 // Import db with correct relative path
 const db = require('../config/db');
 
 class SocketService {
   constructor(server) {
+    // With a pub/sub driver configured, events fan out to sockets on every node
+    const pubsub = getPubSub();
+
     this.io = new Server(server, {
       cors: {
         origin: process.env.CORS_ORIGIN?.split(',') || '*',
         methods: ['GET', 'POST'],
         credentials: true
       },
-      connectionStateRecovery: {
-        maxDisconnectionDuration: 2 * 60 * 1000, // 2 minutes
-        skipMiddlewares: true
-      }
+      // Missed-event recovery needs the in-memory session store, so it is single-node only
+      ...(pubsub ? { adapter: createAdapter(pubsub) } : {
+        connectionStateRecovery: {
+          maxDisconnectionDuration: 2 * 60 * 1000, // 2 minutes
+          skipMiddlewares: true
+        }
+      })
     });
 
     // Add debug logging for auth
-    this.io.use((socket, next) => {
+    this.io.use(async (socket, next) => {
       console.log('Socket connection attempt:', {
         token: socket.handshake.auth.token,
         walletAddress: socket.handshake.auth.walletAddress
@@ -37,6 +61,12 @@ class SocketService {
       try {
         const { verifyToken } = require('../config/jwt');
         const decoded = verifyToken(token);
+
+        if (!decoded.sid || !(await SessionService.isActive(decoded.sid))) {
+          console.log('Session revoked or missing for:', decoded.walletAddress);
+          return next(new Error('Authentication error: Session revoked'));
+        }
+
         console.log('Token verified for:', decoded.walletAddress);
         socket.user = decoded;
         next();
@@ -47,36 +77,95 @@ class SocketService {
     });
 
     this.userRooms = new Map(); // userId -> Set of roomIds
+    this.roomBroadcasts = new Map(); // roomId -> last queued broadcast
     this.initializeHandlers();
+
+    // Drop live sockets whose session was logged out or revoked
+    SessionService.on('revoked', (sessionIds) => {
+      sessionIds.forEach(sessionId => this.disconnectSession(sessionId));
+    });
+
+    // Notify thread followers of new replies, whichever transport created them
+    ThreadService.on('reply', (reply) => {
+      this.notifyThreadFollowers(reply);
+    });
+
+    // Ping mentioned members on their own channel, wherever they are
+    MentionService.on('mentioned', (mention) => {
+      this.notifyMention(mention);
+    });
+
+    // Notification center updates go to the recipient's devices only
+    NotificationService.on('created', ({ userId, notification }) => {
+      this.io.to(`user:${userId}`).emit('notification', notification);
+    });
+
+    NotificationService.on('read', ({ userId, notificationIds, read, unreadCount }) => {
+      this.io.to(`user:${userId}`).emit('notifications_read', { notificationIds, read, unreadCount });
+    });
+
+    // Broadcast read markers so other members (and the reader's other devices) update
+    ReadStateService.on('read', (receipt) => {
+      this.broadcastReadReceipt(receipt);
+    });
+
+    PresenceService.on('update', (update) => {
+      this.broadcastPresence(update);
+    });
+
+    // State changes from routes, socket handlers and background jobs alike
+    DomainEvents.on('*', (event) => {
+      this.broadcastDomainEvent(event);
+      this.syncMembership(event);
+    });
   }
 
   initializeHandlers() {
     this.io.on('connection', (socket) => {
       console.log(`User connected: ${socket.user.walletAddress}`);
 
+      // Per-session channel so revocation can reach every socket of a device
+      socket.join(`session:${socket.user.sid}`);
+
       // Join user's rooms on connection
       this.joinUserRooms(socket);
 
       // Message events
       socket.on('send_message', async (data) => {
+        this.touchPresence(socket);
         await this.handleSendMessage(socket, data);
       });
 
-      socket.on('typing', (data) => {
-        this.handleTyping(socket, data);
+      socket.on('typing', async (data) => {
+        this.touchPresence(socket);
+        await this.handleTyping(socket, data);
+      });
+
+      socket.on('typing_stop', async (data) => {
+        await this.handleTypingStop(socket, data);
+      });
+
+      socket.on('mark_read', async (data) => {
+        this.touchPresence(socket);
+        await this.handleMarkRead(socket, data);
       });
 
-      socket.on('typing_stop', (data) => {
-        this.handleTypingStop(socket, data);
+      // Presence events
+      socket.on('presence', (data) => {
+        this.handlePresence(socket, data);
       });
 
-      // Reaction events
-      socket.on('like_message', (data) => {
-        this.handleLikeMessage(socket, data);
+      // Reaction events (like_message / unlike_message are the legacy names)
+      ['add_reaction', 'like_message'].forEach(event => {
+        socket.on(event, async (data) => {
+          await this.handleReaction(socket, data, true);
+        });
       });
 
-      socket.on('unlike_message', (data) => {
-        this.handleUnlikeMessage(socket, data);
+      ['remove_reaction', 'unlike_message'].forEach(event => {
+        socket.on(event, async (data) => {
+          await this.handleReaction(socket, data, false);
+        });
       });
 
       // Room events
@@ -88,8 +177,8 @@ class SocketService {
         this.handleLeaveRoom(socket, data);
       });
 
-      socket.on('disconnect', () => {
-        this.handleDisconnect(socket);
+      socket.on('disconnect', async () => {
+        await this.handleDisconnect(socket);
       });
     });
   }
@@ -100,6 +189,10 @@ class SocketService {
       if (!userResult.rows.length) return;
 
       const userId = userResult.rows[0].id;
+      socket.userId = userId;
+      
+      // Personal channel for events targeted at this user (all their sockets)
+      socket.join(`user:${userId}`);
       
       // Get user's approved rooms
       const query = `
@@ -115,12 +208,20 @@ class SocketService {
         roomSet.add(roomId);
       });
 
-      this.userRooms.set(userId, roomSet);
+      // Socket may have closed while rooms were loading
+      if (socket.disconnected) return;
+
+      // Merge with rooms joined by the user's other sockets
+      const knownRooms = this.userRooms.get(userId) || new Set();
+      roomSet.forEach(roomId => knownRooms.add(roomId));
+      this.userRooms.set(userId, knownRooms);
       
       socket.emit('rooms_joined', {
         rooms: Array.from(roomSet),
         count: roomSet.size
       });
+
+      await PresenceService.connect(userId, socket.user.walletAddress, socket.id);
     } catch (error) {
       console.error('Join user rooms error:', error);
     }
@@ -187,10 +288,14 @@ class SocketService {
 
   async handleSendMessage(socket, data) {
     try {
-      const { roomId, content, parentMessageId } = data;
+      const { roomId, content = '', parentMessageId, attachmentIds } = data;
       
-      if (!content || content.trim().length === 0) {
-        return socket.emit('error', { message: 'Message content required' });
+      if (typeof content !== 'string' || (content.trim().length === 0 && !attachmentIds?.length)) {
+        return socket.emit('error', { message: 'Message content or attachments required' });
+      }
+
+      if (content.length > 2000) {
+        return socket.emit('error', { message: 'Message too long (max 2000 characters)' });
       }
 
       const userResult = await UserQueries.getUserByWallet(socket.user.walletAddress);
@@ -198,39 +303,60 @@ class SocketService {
         return socket.emit('error', { message: 'User not found' });
       }
 
-      const userId = userResult.rows[0].id;
+      const sender = userResult.rows[0];
+      const userId = sender.id;
 
-      // Check if user can send messages in this room
-      const canSendQuery = `
-        SELECT status FROM room_members 
-        WHERE room_id = $1 AND user_id = $2
-      `;
-      const canSendResult = await db.query(canSendQuery, [roomId, userId]);
+      // Check if user can send messages in this room (approved, role allows sending)
+      const memberResult = await RoleQueries.getMemberWithRole(roomId, userId);
 
-      if (!canSendResult.rows.length || canSendResult.rows[0].status !== 'approved') {
+      if (!memberResult.rows.length || !hasPermission(memberResult.rows[0], 'send_messages')) {
         return socket.emit('error', { message: 'Cannot send messages in this room' });
       }
 
-      // Save message to database
-      const messageResult = await MessageQueries.createMessage(
-        roomId, 
-        userId, 
-        content.trim(), 
-        parentMessageId
-      );
+      // Replies attach to the thread root in the same room; attachments must be the sender's own uploads
+      let threadId;
+      let attachmentIdList;
+      try {
+        threadId = await ThreadService.resolveParent(roomId, parentMessageId, userId);
+        attachmentIdList = await AttachmentService.validateForMessage(roomId, userId, attachmentIds);
+        await MessageRequestService.authorizeSend(roomId, userId);
+      } catch (error) {
+        return socket.emit('error', { message: error.message });
+      }
 
-      const message = messageResult.rows[0];
+      // Save message to database along with its attachments
+      let message;
+      let attachments;
+      try {
+        ({ message, attachments } = await AttachmentService.createMessage(
+          roomId,
+          userId,
+          content.trim(),
+          threadId,
+          attachmentIdList
+        ));
+      } catch (error) {
+        if (!error.status) throw error;
+        return socket.emit('error', { message: error.message });
+      }
       
       // Add sender wallet to message
       const messageWithSender = {
         ...message,
         sender_wallet: socket.user.walletAddress,
+        sender_profile: ProfileService.toSummary(sender),
+        attachments,
+        link_previews: [],
+        reactions: [],
         like_count: 0,
         liked_by: []
       };
 
-      // Broadcast to room
-      this.io.to(roomId).emit('new_message', messageWithSender);
+      DomainEvents.publish(DOMAIN_EVENTS.MESSAGE_CREATED, { roomId, message: messageWithSender });
+
+      ThreadService.recordReply(messageWithSender).catch(error => {
+        console.error('Thread reply bookkeeping error:', error);
+      });
       
     } catch (error) {
       console.error('Send message error:', error);
@@ -238,127 +364,313 @@ class SocketService {
     }
   }
 
-  handleTyping(socket, data) {
-    const { roomId } = data;
-    
-    // Notify others in room
-    socket.to(roomId).emit('user_typing', {
-      walletAddress: socket.user.walletAddress,
-      roomId,
-      timestamp: new Date().toISOString()
-    });
+  async handleTyping(socket, data) {
+    try {
+      const { roomId } = data;
+
+      // Notify others in room, except members who blocked the typist
+      const target = await this.exceptBlockers(socket.to(roomId), socket.userId);
+      target.emit('user_typing', {
+        walletAddress: socket.user.walletAddress,
+        roomId,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Typing error:', error);
+    }
   }
 
-  handleTypingStop(socket, data) {
-    const { roomId } = data;
-    
-    socket.to(roomId).emit('user_typing_stop', {
-      walletAddress: socket.user.walletAddress,
-      roomId
-    });
+  async handleTypingStop(socket, data) {
+    try {
+      const { roomId } = data;
+
+      const target = await this.exceptBlockers(socket.to(roomId), socket.userId);
+      target.emit('user_typing_stop', {
+        walletAddress: socket.user.walletAddress,
+        roomId
+      });
+    } catch (error) {
+      console.error('Typing stop error:', error);
+    }
   }
 
-  async handleLikeMessage(socket, data) {
+  // Narrows a broadcast so it skips every socket of users who blocked userId
+  async exceptBlockers(target, userId) {
+    if (!userId) return target;
+
+    const blockerIds = await BlockService.getBlockerIds(userId);
+    if (blockerIds.size === 0) return target;
+
+    return target.except([...blockerIds].map(blockerId => `user:${blockerId}`));
+  }
+
+  async handleMarkRead(socket, data) {
     try {
-      const { messageId, reactionType = 'like' } = data;
-      
+      const { roomId, messageId } = data;
+
       const userResult = await UserQueries.getUserByWallet(socket.user.walletAddress);
       if (!userResult.rows.length) {
         return socket.emit('error', { message: 'User not found' });
       }
 
-      const userId = userResult.rows[0].id;
-
-      // Get message room to check permissions
-      const roomQuery = `
-        SELECT m.room_id 
-        FROM messages m
-        JOIN room_members rm ON m.room_id = rm.room_id
-        WHERE m.id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
-      `;
-      const roomResult = await db.query(roomQuery, [messageId, userId]);
+      const readState = await ReadStateService.markRead(userResult.rows[0], roomId, messageId || null);
 
-      if (!roomResult.rows.length) {
-        return socket.emit('error', { message: 'Cannot like this message' });
+      socket.emit('read_state', readState);
+    } catch (error) {
+      if (error.status) {
+        return socket.emit('error', { message: error.message });
       }
+      console.error('Mark read error:', error);
+      socket.emit('error', { message: 'Failed to mark room as read' });
+    }
+  }
 
-      const roomId = roomResult.rows[0].room_id;
+  // Add or remove a reaction ({ messageId, reaction }; reactionType is the legacy name)
+  async handleReaction(socket, data, add) {
+    try {
+      const { messageId, reaction, reactionType } = data;
+
+      const userResult = await UserQueries.getUserByWallet(socket.user.walletAddress);
+      if (!userResult.rows.length) {
+        return socket.emit('error', { message: 'User not found' });
+      }
 
-      // Save like to database
-      await MessageQueries.likeMessage(messageId, userId, reactionType);
+      const user = userResult.rows[0];
+      const input = reaction || reactionType || 'like';
 
-      // Get updated like count
-      const likesResult = await MessageQueries.getMessageLikes(messageId);
+      const result = add
+        ? await ReactionService.addReaction(user, messageId, input)
+        : await ReactionService.removeReaction(user, messageId, input);
 
-      // Broadcast to room
-      this.io.to(roomId).emit('message_liked', {
+      // The broadcast has no reacted_by_me, so send the reactor their own view
+      socket.emit('reaction_state', {
         messageId,
-        walletAddress: socket.user.walletAddress,
-        reactionType,
-        likeCount: likesResult.rows.length,
-        timestamp: new Date().toISOString()
+        reactions: result.reactions
       });
-
     } catch (error) {
-      console.error('Like message error:', error);
-      socket.emit('error', { message: 'Failed to like message' });
+      if (error.status) {
+        return socket.emit('error', { message: error.message });
+      }
+      console.error('Reaction error:', error);
+      socket.emit('error', { message: add ? 'Failed to add reaction' : 'Failed to remove reaction' });
     }
   }
 
-  async handleUnlikeMessage(socket, data) {
-    try {
-      const { messageId, reactionType = 'like' } = data;
-      
-      const userResult = await UserQueries.getUserByWallet(socket.user.walletAddress);
-      if (!userResult.rows.length) {
-        return socket.emit('error', { message: 'User not found' });
-      }
+  handlePresence(socket, data) {
+    const { status } = data || {};
 
-      const userId = userResult.rows[0].id;
+    if (!socket.userId || !['online', 'idle'].includes(status)) {
+      return socket.emit('error', { message: 'Presence status must be online or idle' });
+    }
 
-      // Get message room
-      const roomQuery = `
-        SELECT m.room_id 
-        FROM messages m
-        JOIN room_members rm ON m.room_id = rm.room_id
-        WHERE m.id = $1 AND rm.user_id = $2 AND rm.status = 'approved'
-      `;
-      const roomResult = await db.query(roomQuery, [messageId, userId]);
+    PresenceService.setIdle(socket.userId, socket.id, status === 'idle').catch(error => {
+      console.error('Set presence error:', error);
+    });
+  }
+
+  touchPresence(socket) {
+    if (!socket.userId) return;
+
+    PresenceService.touch(socket.userId, socket.id).catch(error => {
+      console.error('Presence activity error:', error);
+    });
+  }
+
+  async handleDisconnect(socket) {
+    console.log(`User disconnected: ${socket.user.walletAddress}`);
 
-      if (!roomResult.rows.length) {
-        return socket.emit('error', { message: 'Cannot unlike this message' });
+    if (!socket.userId) return;
+
+    try {
+      const wasLast = await PresenceService.disconnect(socket.userId, socket.id);
+
+      // Room bookkeeping is only needed while the user has a live socket
+      if (wasLast) {
+        this.userRooms.delete(socket.userId);
       }
+    } catch (error) {
+      console.error('Disconnect cleanup error:', error);
+    }
+  }
+
+  // Tell every room the user shares about their status change, except users
+  // who blocked them
+  async broadcastPresence({ userId, walletAddress, status, lastSeenAt }) {
+    const rooms = this.userRooms.get(userId);
+    if (!rooms || rooms.size === 0) return;
 
-      const roomId = roomResult.rows[0].room_id;
+    let target = this.io;
+    rooms.forEach(roomId => {
+      target = target.to(roomId);
+    });
 
-      // Remove like from database
-      await MessageQueries.unlikeMessage(messageId, userId, reactionType);
+    try {
+      target = await this.exceptBlockers(target, userId);
+    } catch (error) {
+      console.error('Presence block lookup error:', error);
+      return;
+    }
 
-      // Get updated like count
-      const likesResult = await MessageQueries.getMessageLikes(messageId);
+    target.emit('presence_update', {
+      walletAddress,
+      status,
+      lastSeenAt
+    });
+  }
 
-      // Broadcast to room
-      this.io.to(roomId).emit('message_unliked', {
-        messageId,
-        walletAddress: socket.user.walletAddress,
-        reactionType,
-        likeCount: likesResult.rows.length,
-        timestamp: new Date().toISOString()
+  notifyThreadFollowers({ threadId, roomId, message, replyCount, lastReplyAt, followerIds }) {
+    followerIds.forEach(userId => {
+      this.io.to(`user:${userId}`).emit('thread_reply', {
+        threadId,
+        roomId,
+        message,
+        replyCount,
+        lastReplyAt
       });
+    });
+  }
 
-    } catch (error) {
-      console.error('Unlike message error:', error);
-      socket.emit('error', { message: 'Failed to unlike message' });
+  notifyMention({ userId, roomId, messageId, mentionType, message }) {
+    this.io.to(`user:${userId}`).emit('mentioned', {
+      roomId,
+      messageId,
+      mentionType,
+      message
+    });
+  }
+
+  broadcastReadReceipt({ roomId, userId, walletAddress, messageId, readAt }) {
+    // The reader's own channel is included so all their devices clear the unread badge
+    this.io.to(roomId).to(`user:${userId}`).emit('read_receipt', {
+      roomId,
+      walletAddress,
+      messageId,
+      readAt
+    });
+  }
+
+  // Join or remove every socket of the affected user (on any node) when their
+  // access to a room changes, so removed members stop receiving its events
+  syncMembership({ type, roomId, userId, reason }) {
+    switch (type) {
+      case DOMAIN_EVENTS.MEMBER_JOINED:
+      case DOMAIN_EVENTS.MEMBER_APPROVED:
+        this.grantRoomAccess(userId, roomId);
+        break;
+      case DOMAIN_EVENTS.MEMBER_REMOVED:
+        this.revokeRoomAccess(userId, roomId, reason || 'removed');
+        break;
+      case DOMAIN_EVENTS.MEMBER_LEFT:
+        this.revokeRoomAccess(userId, roomId, 'left');
+        break;
+      case DOMAIN_EVENTS.ROOM_DELETED:
+        this.closeRoom(roomId);
+        break;
     }
   }
 
-  handleDisconnect(socket) {
-    console.log(`User disconnected: ${socket.user.walletAddress}`);
+  grantRoomAccess(userId, roomId) {
+    const channel = `user:${userId}`;
+    this.io.in(channel).socketsJoin(roomId);
+    this.userRooms.get(userId)?.add(roomId);
+    this.io.to(channel).emit('room_access_granted', { roomId });
+  }
+
+  revokeRoomAccess(userId, roomId, reason) {
+    const channel = `user:${userId}`;
+    this.io.in(channel).socketsLeave(roomId);
+    this.userRooms.get(userId)?.delete(roomId);
+    this.io.to(channel).emit('room_access_revoked', { roomId, reason });
+  }
+
+  closeRoom(roomId) {
+    this.io.to(roomId).emit('room_access_revoked', { roomId, reason: 'room_deleted' });
+    this.io.in(roomId).socketsLeave(roomId);
+    this.userRooms.forEach(rooms => rooms.delete(roomId));
   }
 
-  // Helper method to notify room members
-  notifyRoom(roomId, event, data) {
-    this.io.to(roomId).emit(event, data);
+  disconnectSession(sessionId) {
+    const channel = `session:${sessionId}`;
+    this.io.to(channel).emit('session_revoked', { sessionId });
+    this.io.in(channel).disconnectSockets(true);
+  }
+
+  // Room broadcasts are chained per room, so an event waiting on a block
+  // lookup can't be overtaken by a later one (an edit, a delete) for the same room
+  enqueueRoomBroadcast(roomId, send) {
+    const tail = (this.roomBroadcasts.get(roomId) || Promise.resolve())
+      .then(send)
+      .catch(error => console.error('Room broadcast error:', error));
+
+    this.roomBroadcasts.set(roomId, tail);
+    tail.then(() => {
+      if (this.roomBroadcasts.get(roomId) === tail) {
+        this.roomBroadcasts.delete(roomId);
+      }
+    });
+  }
+
+  // Emits to the room (and extra channels), skipping members who blocked
+  // actorId. Like typing and presence, the event is dropped when the block
+  // list can't be read.
+  broadcastToRoom(roomId, event, data, { actorId = null, channels = [] } = {}) {
+    this.enqueueRoomBroadcast(roomId, async () => {
+      let target = this.io.to(roomId);
+      channels.forEach(channel => {
+        target = target.to(channel);
+      });
+      target = await this.exceptBlockers(target, actorId);
+      target.emit(event, data);
+    });
+  }
+
+  // Payload of the message_liked / message_unliked events; likeCount counts
+  // every reaction on the message
+  toLegacyLike({ messageId, walletAddress, reaction, reactions }) {
+    return {
+      messageId,
+      walletAddress,
+      reactionType: toShortcode(reaction),
+      likeCount: reactions.reduce((total, summary) => total + summary.count, 0),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Domain events become socket events of the same name, sent to the room;
+  // member events also reach the affected user's own sockets. New messages,
+  // edits and reactions skip members who blocked their author. Internal user
+  // ids stay server-side.
+  broadcastDomainEvent({ type, userId, actorId, ...payload }) {
+    switch (type) {
+      case DOMAIN_EVENTS.MESSAGE_CREATED:
+        this.broadcastToRoom(payload.roomId, 'new_message', payload.message, { actorId: payload.message.sender_id });
+        break;
+      case DOMAIN_EVENTS.MESSAGE_UPDATED:
+        this.broadcastToRoom(payload.roomId, type, payload, { actorId: payload.message.sender_id });
+        break;
+      case DOMAIN_EVENTS.REACTION_ADDED:
+      case DOMAIN_EVENTS.REACTION_REMOVED:
+        this.broadcastToRoom(payload.roomId, type, payload, { actorId });
+        // Clients from before reactions still listen for likes
+        this.broadcastToRoom(
+          payload.roomId,
+          type === DOMAIN_EVENTS.REACTION_ADDED ? 'message_liked' : 'message_unliked',
+          this.toLegacyLike(payload),
+          { actorId }
+        );
+        break;
+      case DOMAIN_EVENTS.MEMBER_REJECTED:
+        this.io.to(`user:${userId}`).emit(type, payload);
+        break;
+      case DOMAIN_EVENTS.MEMBER_JOINED:
+      case DOMAIN_EVENTS.MEMBER_APPROVED:
+      case DOMAIN_EVENTS.MEMBER_REMOVED:
+      case DOMAIN_EVENTS.MEMBER_LEFT:
+        this.broadcastToRoom(payload.roomId, type, payload, { channels: [`user:${userId}`] });
+        break;
+      default:
+        this.broadcastToRoom(payload.roomId, type, payload);
+    }
   }
 }
 
@@ -0,0 +1,57 @@
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+const ADAPTER_CHANNELS = {
+  messages: 'socketio_messages',
+  responses: 'socketio_responses'
+};
+
+// Socket.IO cluster adapter on top of a pub/sub client (see ./pubsub), so
+// broadcasts, joins/leaves and disconnects reach sockets on every node.
+// Packets are sent as JSON: events must not carry binary attachments.
+class PubSubAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, pubsub, opts) {
+    super(nsp, opts);
+    this.pubsub = pubsub;
+
+    this.subscriptions = Promise.all([
+      pubsub.subscribe(ADAPTER_CHANNELS.messages, (message) => this.onMessage(message)),
+      pubsub.subscribe(ADAPTER_CHANNELS.responses, ({ requesterUid, response }) => {
+        if (requesterUid === this.uid) {
+          this.onResponse(response);
+        }
+      })
+    ]);
+
+    this.subscriptions
+      .then(() => this.init())
+      .catch(error => console.error('Socket adapter subscribe error:', error));
+  }
+
+  async doPublish(message) {
+    await this.pubsub.publish(ADAPTER_CHANNELS.messages, message);
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.pubsub.publish(ADAPTER_CHANNELS.responses, { requesterUid, response });
+  }
+
+  close() {
+    super.close();
+    this.subscriptions
+      .then(unsubscribers => unsubscribers.forEach(unsubscribe => unsubscribe()))
+      .catch(() => {});
+  }
+}
+
+// Adapter constructor for `new Server(..., { adapter })`
+const createAdapter = (pubsub, opts = {}) => {
+  return function (nsp) {
+    return new PubSubAdapter(nsp, pubsub, opts);
+  };
+};
+
+module.exports = {
+  ADAPTER_CHANNELS,
+  PubSubAdapter,
+  createAdapter
+};
\ No newline at end of file
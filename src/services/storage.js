@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const STORAGE_CONFIG = {
+  // local (default) or s3 for any S3-compatible service
+  driver: (process.env.STORAGE_DRIVER || 'local').toLowerCase(),
+  localDir: path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads'),
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    // Set for non-AWS services (MinIO, R2, ...); those usually also need path-style URLs
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  }
+};
+
+const KEY_REGEX = /^[a-z0-9][a-z0-9/_.-]*$/i;
+
+// Keys are generated server-side; refuse anything that could leave the storage root
+const assertKey = (key) => {
+  if (!KEY_REGEX.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+// Files under a local directory. Every backend implements the same interface:
+// put(key, buffer, contentType), get(key) -> readable stream, delete(key).
+class LocalStorage {
+  constructor(config) {
+    this.root = config.localDir;
+  }
+
+  resolve(key) {
+    assertKey(key);
+    return path.join(this.root, key);
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    const filePath = this.resolve(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+// Same interface over an S3-compatible bucket; needs the optional `@aws-sdk/client-s3` package
+class S3Storage {
+  constructor(config) {
+    let sdk;
+    try {
+      sdk = require('@aws-sdk/client-s3');
+    } catch (error) {
+      throw new Error('STORAGE_DRIVER=s3 requires the "@aws-sdk/client-s3" package (npm install @aws-sdk/client-s3)');
+    }
+
+    if (!config.s3.bucket) {
+      throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET');
+    }
+
+    this.sdk = sdk;
+    this.bucket = config.s3.bucket;
+    this.client = new sdk.S3Client({
+      region: config.s3.region,
+      endpoint: config.s3.endpoint,
+      forcePathStyle: config.s3.forcePathStyle,
+      credentials: config.s3.accessKeyId
+        ? { accessKeyId: config.s3.accessKeyId, secretAccessKey: config.s3.secretAccessKey }
+        : undefined
+    });
+  }
+
+  async put(key, buffer, contentType) {
+    assertKey(key);
+    await this.client.send(new this.sdk.PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+  }
+
+  async get(key) {
+    assertKey(key);
+    const result = await this.client.send(new this.sdk.GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    return result.Body;
+  }
+
+  async delete(key) {
+    assertKey(key);
+    await this.client.send(new this.sdk.DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+let shared;
+
+// Process-wide storage backend for the configured driver
+const getStorage = () => {
+  if (shared) return shared;
+
+  switch (STORAGE_CONFIG.driver) {
+    case 'local':
+      shared = new LocalStorage(STORAGE_CONFIG);
+      break;
+    case 's3':
+      shared = new S3Storage(STORAGE_CONFIG);
+      break;
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${STORAGE_CONFIG.driver}`);
+  }
+
+  return shared;
+};
+
+module.exports = {
+  STORAGE_CONFIG,
+  LocalStorage,
+  S3Storage,
+  getStorage
+};
\ No newline at end of file
@@ -0,0 +1,78 @@
+const EventEmitter = require('events');
+const MessageQueries = require('../db/queries/messages');
+const NotificationQueries = require('../db/queries/notifications');
+const { UUID_REGEX } = require('../utils/cursor');
+
+const threadError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Thread bookkeeping shared by the REST and socket send paths. Emits 'reply'
+// with the follower ids to notify once a reply is stored, leaving out
+// followers whose room preferences silence replies.
+class ThreadService extends EventEmitter {
+  // Threads are one level deep: replying to a reply attaches to its root.
+  // The parent must be visible to the sender (group DM history).
+  async resolveParent(roomId, parentMessageId, userId) {
+    if (!parentMessageId) {
+      return null;
+    }
+
+    if (typeof parentMessageId !== 'string' || !UUID_REGEX.test(parentMessageId)) {
+      throw threadError('Invalid parent message ID');
+    }
+
+    const result = await MessageQueries.getMessageVisibleTo(parentMessageId, userId);
+    const parent = result.rows[0];
+
+    if (!parent || parent.room_id !== roomId) {
+      throw threadError('Parent message not found in this room', 404);
+    }
+
+    if (parent.deleted_at) {
+      throw threadError('Cannot reply to a deleted message');
+    }
+
+    return parent.parent_message_id || parent.id;
+  }
+
+  // Auto-follow the thread for the replier and the root author, then notify followers
+  async recordReply(message) {
+    if (!message.parent_message_id) {
+      return;
+    }
+
+    const threadId = message.parent_message_id;
+    const rootResult = await MessageQueries.getMessageById(threadId);
+
+    await MessageQueries.followThread(threadId, message.sender_id);
+    if (rootResult.rows.length) {
+      await MessageQueries.followThread(threadId, rootResult.rows[0].sender_id);
+    }
+
+    const [summary, followers] = await Promise.all([
+      MessageQueries.getThreadSummary(threadId),
+      MessageQueries.getThreadFollowers(threadId)
+    ]);
+
+    const followerIds = followers.rows
+      .map(row => row.user_id)
+      .filter(userId => userId !== message.sender_id);
+    const notifiable = followerIds.length
+      ? await NotificationQueries.getNotifiableMembers(message.room_id, followerIds, 'activity', message.sender_id)
+      : { rows: [] };
+
+    this.emit('reply', {
+      threadId,
+      roomId: message.room_id,
+      message,
+      replyCount: parseInt(summary.rows[0].reply_count),
+      lastReplyAt: summary.rows[0].last_reply_at,
+      followerIds: notifiable.rows.map(row => row.user_id)
+    });
+  }
+}
+
+module.exports = new ThreadService();
\ No newline at end of file
@@ -0,0 +1,204 @@
+const { ethers } = require('ethers');
+const ChainService = require('./chain');
+const GateQueries = require('../db/queries/gates');
+const DomainEvents = require('./events');
+const { DOMAIN_EVENTS } = require('../config/events');
+require('dotenv').config();
+
+const GATE_CONFIG = {
+  recheckIntervalMinutes: parseInt(process.env.GATE_RECHECK_INTERVAL || 60),
+  sweepEveryMs: 5 * 60 * 1000,
+  batchSize: 100,
+  // Backoff for members whose holdings can't be read
+  retryBaseMinutes: 5,
+  maxGatesPerRoom: 10,
+  maxTokenIds: 50
+};
+
+const TOKEN_INTERFACES = {
+  erc20: new ethers.Interface([
+    'function balanceOf(address owner) view returns (uint256)'
+  ]),
+  erc721: new ethers.Interface([
+    'function balanceOf(address owner) view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)'
+  ]),
+  erc1155: new ethers.Interface([
+    'function balanceOf(address account, uint256 id) view returns (uint256)'
+  ])
+};
+
+const gateError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const isUint = (value) => /^\d{1,78}$/.test(String(value));
+
+class TokenGateService {
+  constructor() {
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  // Normalise gate rules from a request body; throws a 400 error on bad input
+  validateGates(gates) {
+    if (!Array.isArray(gates) || gates.length === 0) {
+      throw gateError('At least one gate rule required');
+    }
+
+    if (gates.length > GATE_CONFIG.maxGatesPerRoom) {
+      throw gateError(`At most ${GATE_CONFIG.maxGatesPerRoom} gate rules allowed`);
+    }
+
+    return gates.map(gate => {
+      const { chainId, contractAddress, tokenStandard, minBalance = '1', tokenIds = null } = gate || {};
+
+      if (!Number.isInteger(chainId) || chainId <= 0) {
+        throw gateError('Gate chainId must be a positive integer');
+      }
+
+      if (!contractAddress || !ethers.isAddress(contractAddress)) {
+        throw gateError('Gate contractAddress must be a valid address');
+      }
+
+      if (!TOKEN_INTERFACES[tokenStandard]) {
+        throw gateError('Gate tokenStandard must be erc20, erc721 or erc1155');
+      }
+
+      if (!isUint(minBalance) || BigInt(minBalance) === 0n) {
+        throw gateError('Gate minBalance must be a positive integer (in base units)');
+      }
+
+      if (tokenIds !== null) {
+        if (!Array.isArray(tokenIds) || tokenIds.length === 0 || tokenIds.length > GATE_CONFIG.maxTokenIds || !tokenIds.every(isUint)) {
+          throw gateError(`Gate tokenIds must be 1-${GATE_CONFIG.maxTokenIds} token ids`);
+        }
+        if (tokenStandard === 'erc20') {
+          throw gateError('ERC-20 gates do not take tokenIds');
+        }
+      } else if (tokenStandard === 'erc1155') {
+        throw gateError('ERC-1155 gates require tokenIds');
+      }
+
+      return {
+        chainId,
+        contractAddress: ethers.getAddress(contractAddress),
+        tokenStandard,
+        minBalance: String(minBalance),
+        tokenIds: tokenIds && tokenIds.map(String)
+      };
+    });
+  }
+
+  // Balance of the gated asset: fungible units, or number of listed token ids held
+  async getHolding(gate, walletAddress) {
+    const iface = TOKEN_INTERFACES[gate.token_standard];
+    const read = (fn, args) => ChainService.readContract(gate.chain_id, gate.contract_address, iface, fn, args);
+
+    if (!gate.token_ids || gate.token_ids.length === 0) {
+      const [balance] = await read('balanceOf', [walletAddress]);
+      return balance;
+    }
+
+    let total = 0n;
+    for (const tokenId of gate.token_ids) {
+      if (gate.token_standard === 'erc721') {
+        try {
+          const [owner] = await read('ownerOf', [tokenId]);
+          if (owner.toLowerCase() === walletAddress.toLowerCase()) total += 1n;
+        } catch (error) {
+          // ownerOf reverts for burned / unminted tokens
+        }
+      } else {
+        const [balance] = await read('balanceOf', [walletAddress, tokenId]);
+        total += balance;
+      }
+    }
+    return total;
+  }
+
+  async passesGate(gate, walletAddress) {
+    return (await this.getHolding(gate, walletAddress)) >= BigInt(gate.min_balance);
+  }
+
+  // Throws if the chain cannot be read, so callers can tell "not eligible" from "unknown"
+  async isEligible(roomId, gateMatch, walletAddress) {
+    const gatesResult = await GateQueries.getRoomGates(roomId);
+    const gates = gatesResult.rows;
+
+    if (!gates.length) {
+      return false;
+    }
+
+    const results = [];
+    for (const gate of gates) {
+      const passed = await this.passesGate(gate, walletAddress);
+      if (passed && gateMatch !== 'all') return true;
+      results.push(passed);
+    }
+
+    return gateMatch === 'all' && results.every(Boolean);
+  }
+
+  // Re-verify holdings of gated-room members and demote those who no longer qualify
+  async recheckMembers() {
+    if (this.sweeping) return;
+    this.sweeping = true;
+
+    try {
+      let batch;
+      do {
+        batch = await GateQueries.getMembersDueForCheck(GATE_CONFIG.recheckIntervalMinutes, GATE_CONFIG.batchSize);
+
+        for (const member of batch.rows) {
+          try {
+            const eligible = await this.isEligible(member.room_id, member.gate_match, member.wallet_address);
+
+            if (eligible) {
+              await GateQueries.markChecked(member.room_id, member.user_id);
+            } else {
+              await GateQueries.demoteMember(member.room_id, member.user_id);
+              console.log(`Demoted ${member.wallet_address} from gated room ${member.room_id}`);
+
+              DomainEvents.publish(DOMAIN_EVENTS.MEMBER_REMOVED, {
+                roomId: member.room_id,
+                userId: member.user_id,
+                walletAddress: member.wallet_address,
+                reason: 'ineligible'
+              });
+            }
+          } catch (error) {
+            // Leave the membership alone if the chain can't be read, and back
+            // the member off so the rest of the queue still gets checked
+            console.error('Gate recheck error:', error.message);
+            await GateQueries.markCheckFailed(
+              member.room_id,
+              member.user_id,
+              GATE_CONFIG.retryBaseMinutes,
+              GATE_CONFIG.recheckIntervalMinutes
+            );
+          }
+        }
+      } while (batch.rows.length === GATE_CONFIG.batchSize);
+    } catch (error) {
+      console.error('Gate recheck sweep error:', error);
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.recheckMembers(), GATE_CONFIG.sweepEveryMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = new TokenGateService();
\ No newline at end of file
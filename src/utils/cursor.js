@@ -0,0 +1,56 @@
+// Opaque pagination cursors over a (created_at, id) key. The cursor only names
+// the anchor row; queries look its key up so timestamps keep full database
+// precision. Clients must treat cursors as strings; the encoding may change.
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const encodeCursor = (row) => {
+  if (!row) return null;
+  return Buffer.from(JSON.stringify({ id: row.id })).toString('base64url');
+};
+
+// Returns { id } of the anchor row or throws a 400 error on a malformed cursor
+const decodeCursor = (cursor) => {
+  try {
+    const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!UUID_REGEX.test(id)) {
+      throw new Error('bad cursor');
+    }
+    return { id };
+  } catch (error) {
+    const invalid = new Error('Invalid cursor');
+    invalid.status = 400;
+    throw invalid;
+  }
+};
+
+// Parse ?limit&before&after&around (at most one anchor) for message pages
+const parsePageQuery = ({ limit = 50, before, after, around, topLevel }) => {
+  const anchors = [before, after, around].filter(Boolean);
+  if (anchors.length > 1) {
+    const invalid = new Error('Use only one of before, after or around');
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  if (around && !UUID_REGEX.test(around)) {
+    const invalid = new Error('around must be a message ID');
+    invalid.status = 400;
+    throw invalid;
+  }
+
+  return {
+    limit: Math.min(Math.max(parseInt(limit) || 50, 1), 100),
+    before: before ? decodeCursor(before).id : null,
+    after: after ? decodeCursor(after).id : null,
+    around: around || null,
+    topLevelOnly: topLevel === 'true'
+  };
+};
+
+module.exports = {
+  UUID_REGEX,
+  encodeCursor,
+  decodeCursor,
+  parsePageQuery
+};
\ No newline at end of file
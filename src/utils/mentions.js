@@ -0,0 +1,41 @@
+// @0x… addresses, @name.eth ENS names, @here and @everyone. A mention must
+// start the content or follow a character that can't be part of a word or
+// email address, and end at a non-word character.
+const MENTION_REGEX = /(?<![\w.@])@(0x[0-9a-fA-F]{40}|(?:[a-zA-Z0-9-]+\.)+eth|here|everyone)(?![\w-])/g;
+
+const MAX_MENTIONS = 50;
+
+// { addresses, ensNames (lowercase), here, everyone } found in message content
+const parseMentions = (content) => {
+  const addresses = new Set();
+  const ensNames = new Set();
+  let here = false;
+  let everyone = false;
+
+  for (const [, target] of String(content || '').matchAll(MENTION_REGEX)) {
+    const value = target.toLowerCase();
+
+    if (value === 'here') {
+      here = true;
+    } else if (value === 'everyone') {
+      everyone = true;
+    } else if (/^0x[0-9a-f]{40}$/.test(value)) {
+      addresses.add(value);
+    } else {
+      ensNames.add(value);
+    }
+
+    if (addresses.size + ensNames.size >= MAX_MENTIONS) break;
+  }
+
+  return {
+    addresses: [...addresses],
+    ensNames: [...ensNames],
+    here,
+    everyone
+  };
+};
+
+module.exports = {
+  parseMentions
+};
\ No newline at end of file
@@ -0,0 +1,82 @@
+// Content type detection from file signatures. Uploads are stored and served
+// with the sniffed type, never the one the client declared.
+const SIGNATURES = [
+  { mime: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mime: 'application/pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mime: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { mime: 'video/webm', bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { mime: 'audio/ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mime: 'audio/mpeg', bytes: [0x49, 0x44, 0x33] }
+];
+
+const startsWith = (buffer, bytes, offset = 0) => {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+};
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString('latin1');
+
+// Drop a multi-byte character cut off at the end of a sample
+const trimPartialChar = (sample) => {
+  for (let i = 1; i <= 3 && i <= sample.length; i++) {
+    const byte = sample[sample.length - i];
+    if ((byte & 0xc0) === 0xc0) return sample.subarray(0, sample.length - i);
+    if ((byte & 0x80) === 0) break;
+  }
+  return sample;
+};
+
+// Plain text if it decodes as UTF-8 and has no control bytes other than whitespace
+const isText = (buffer) => {
+  let sample = buffer.subarray(0, 8192);
+  if (sample.length < buffer.length) {
+    sample = trimPartialChar(sample);
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample);
+  } catch (error) {
+    return false;
+  }
+
+  for (const byte of sample) {
+    if (byte < 0x20 && byte !== 0x09 && byte !== 0x0a && byte !== 0x0d) return false;
+  }
+  return true;
+};
+
+// Sniffed MIME type of a buffer, or null if unrecognised
+const sniffMime = (buffer) => {
+  if (!buffer || buffer.length === 0) return null;
+
+  for (const { mime, bytes } of SIGNATURES) {
+    if (startsWith(buffer, bytes)) return mime;
+  }
+
+  // RIFF containers: WebP images and WAV audio
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const format = ascii(buffer, 8, 12);
+    if (format === 'WEBP') return 'image/webp';
+    if (format === 'WAVE') return 'audio/wav';
+  }
+
+  // ISO base media (MP4 / QuickTime): "ftyp" box at offset 4
+  if (ascii(buffer, 4, 8) === 'ftyp') {
+    return ascii(buffer, 8, 12) === 'qt  ' ? 'video/quicktime' : 'video/mp4';
+  }
+
+  // MPEG audio frame without an ID3 tag
+  if (buffer.length > 1 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    return 'audio/mpeg';
+  }
+
+  if (isText(buffer)) return 'text/plain';
+
+  return null;
+};
+
+module.exports = {
+  sniffMime
+};
\ No newline at end of file
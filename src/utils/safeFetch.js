@@ -0,0 +1,173 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const FETCH_DEFAULTS = {
+  timeoutMs: 5000,
+  maxBytes: 1024 * 1024,
+  maxRedirects: 3,
+  userAgent: 'Mozilla/5.0 (compatible; Web3ChatLinkPreview/1.0)'
+};
+
+// Addresses a server-side fetch must never reach: loopback, private ranges,
+// link-local (incl. cloud metadata), CGNAT, multicast and reserved space
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+  ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+  // IPv4-compatible (::a.b.c.d) and 6to4 (2002:aabb:ccdd::) addresses embed an
+  // IPv4 target that may be private, so neither is fetched
+  ['::', 96], ['2002::', 16]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+const fetchError = (message) => {
+  const error = new Error(message);
+  error.code = 'UNSAFE_FETCH';
+  return error;
+};
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+
+  // BlockList also applies the IPv4 rules to IPv4-mapped IPv6 addresses (::ffff:a.b.c.d)
+  return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// DNS lookup for http.request that only ever connects to a public address.
+// Checking inside the lookup (not before the request) leaves no window for
+// DNS rebinding between the check and the connection.
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const safe = addresses.filter(entry => isPublicAddress(entry.address));
+    if (safe.length === 0) {
+      return callback(fetchError(`Refusing to fetch ${hostname}: not a public address`));
+    }
+
+    if (options && options.all) {
+      return callback(null, safe);
+    }
+    callback(null, safe[0].address, safe[0].family);
+  });
+};
+
+const parseTarget = (url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    throw fetchError('Invalid URL');
+  }
+
+  if (!['http:', 'https:'].includes(target.protocol)) {
+    throw fetchError('Only http and https URLs can be fetched');
+  }
+  if (target.username || target.password) {
+    throw fetchError('URLs with credentials are not fetched');
+  }
+  if (target.port && !['80', '443'].includes(target.port)) {
+    throw fetchError('Only default ports are fetched');
+  }
+
+  // Literal IPs skip DNS, so check them here
+  const host = target.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    throw fetchError(`Refusing to fetch ${host}: not a public address`);
+  }
+
+  return target;
+};
+
+const requestOnce = (target, options, signal) => new Promise((resolve, reject) => {
+  const client = target.protocol === 'https:' ? https : http;
+
+  const req = client.get(target, {
+    lookup: safeLookup,
+    signal,
+    headers: {
+      'User-Agent': options.userAgent,
+      Accept: options.accept || 'text/html,application/xhtml+xml,application/json;q=0.9,*/*;q=0.5'
+    },
+    timeout: options.timeoutMs
+  }, (res) => {
+    // Redirects are followed by the caller so every hop is validated again
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      res.resume();
+      return resolve({ redirect: new URL(res.headers.location, target).toString() });
+    }
+
+    const chunks = [];
+    let received = 0;
+
+    res.on('data', (chunk) => {
+      received += chunk.length;
+      if (received > options.maxBytes) {
+        // Keep what fits: previews only need the document head
+        chunks.push(chunk.subarray(0, chunk.length - (received - options.maxBytes)));
+        res.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    const finish = () => resolve({
+      status: res.statusCode,
+      url: target.toString(),
+      contentType: (res.headers['content-type'] || '').toLowerCase(),
+      body: Buffer.concat(chunks)
+    });
+    res.on('end', finish);
+    res.on('close', finish);
+    res.on('error', reject);
+  });
+
+  req.on('timeout', () => req.destroy(fetchError('Request timed out')));
+  req.on('error', reject);
+});
+
+// GET a URL from the public internet only: http(s) on default ports, public
+// addresses after DNS resolution (on every redirect hop), bounded time and size.
+// Resolves { status, url, contentType, body } for the final response.
+const safeFetch = async (url, options = {}) => {
+  const settings = { ...FETCH_DEFAULTS, ...options };
+  let current = url;
+
+  for (let hop = 0; hop <= settings.maxRedirects; hop++) {
+    const target = parseTarget(current);
+
+    // One deadline for the whole exchange, not just socket inactivity
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), settings.timeoutMs);
+
+    let response;
+    try {
+      response = await requestOnce(target, settings, controller.signal);
+    } catch (error) {
+      throw controller.signal.aborted ? fetchError('Request timed out') : error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.redirect) {
+      return response;
+    }
+    current = response.redirect;
+  }
+
+  throw fetchError('Too many redirects');
+};
+
+module.exports = {
+  FETCH_DEFAULTS,
+  isPublicAddress,
+  safeFetch
+};
\ No newline at end of file
@@ -0,0 +1,40 @@
+const URL_REGEX = /\bhttps?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION = /[.,;:!?'"]+$/;
+const MAX_URL_LENGTH = 2048;
+
+// Drop punctuation that ends the sentence rather than the URL, and a closing
+// parenthesis unless the URL opened one (e.g. wiki links)
+const trimUrl = (raw) => {
+  let url = raw.replace(TRAILING_PUNCTUATION, '');
+  while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+    url = url.slice(0, -1).replace(TRAILING_PUNCTUATION, '');
+  }
+  return url;
+};
+
+// Distinct http(s) URLs in message content, in order of appearance, normalised
+const extractUrls = (content, limit = 3) => {
+  const urls = [];
+
+  for (const match of String(content || '').matchAll(URL_REGEX)) {
+    let url;
+    try {
+      const parsed = new URL(trimUrl(match[0]));
+      parsed.hash = '';
+      url = parsed.toString();
+    } catch (error) {
+      continue;
+    }
+
+    if (url.length <= MAX_URL_LENGTH && !urls.includes(url)) {
+      urls.push(url);
+    }
+    if (urls.length >= limit) break;
+  }
+
+  return urls;
+};
+
+module.exports = {
+  extractUrls
+};
\ No newline at end of file